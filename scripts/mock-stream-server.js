@@ -0,0 +1,134 @@
+// mock-stream-server.js - Local live-reading stream for development
+//
+// Serves the same reading every second over both transports:
+//   Server-Sent Events  http://localhost:4000/events
+//   WebSocket           ws://localhost:4000/ws
+//
+// Usage: npm run mock-stream [-- --port 4000 --interval 1000]
+// Every ~30 readings an oil or angle fault is injected so alerts can be checked.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const PORT = getArg('port', 4000);
+const INTERVAL_MS = getArg('interval', 1000);
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+// Random walk around typical values so charts look plausible
+const state = { temperature: 26, humidity: 62, voltage: 9.5, current: 150, energy: 0 };
+let tick = 0;
+
+const walk = (value, step, min, max) => Math.min(max, Math.max(min, value + (Math.random() - 0.5) * step));
+
+const nextReading = () => {
+  tick++;
+  const now = new Date();
+  state.temperature = walk(state.temperature, 0.4, 20, 35);
+  state.humidity = walk(state.humidity, 1, 40, 80);
+  state.voltage = walk(state.voltage, 0.1, 8.5, 10.5);
+  state.current = walk(state.current, 10, 50, 300);
+  const power = state.voltage * state.current;
+  state.energy += (power / 1000) * (INTERVAL_MS / 3600000);
+
+  const fault = tick % 30;
+  return {
+    timestamp: now.toLocaleTimeString(),
+    date: now.toLocaleDateString(),
+    temperature: Number(state.temperature.toFixed(1)),
+    humidity: Number(state.humidity.toFixed(1)),
+    oilLevel: fault >= 10 && fault < 13 ? 12 : 20,
+    voltage: Number(state.voltage.toFixed(2)),
+    current: Math.round(state.current),
+    power: Math.round(power),
+    energy: Number(state.energy.toFixed(4)),
+    angle: Number(((fault >= 20 && fault < 23 ? 5 : 0) + (Math.random() - 0.5)).toFixed(2))
+  };
+};
+
+// Encode a server-to-client WebSocket text frame (unmasked, no fragmentation)
+const encodeFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    // 64-bit length; the high 32 bits stay 0 for any payload this server sends
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write('retry: 5000\n\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    console.log(`📡 SSE client connected (${sseClients.size} total)`);
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Use /events (SSE) or /ws (WebSocket)\n');
+});
+
+// Minimal RFC 6455 handshake; clients are only written to
+server.on('upgrade', (req, socket) => {
+  if (req.url !== '/ws' || !req.headers['sec-websocket-key']) {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto
+    .createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+    .digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '\r\n'
+  ].join('\r\n'));
+  wsClients.add(socket);
+  console.log(`📡 WebSocket client connected (${wsClients.size} total)`);
+
+  socket.on('data', (buffer) => {
+    // Opcode 0x8 = close frame
+    if ((buffer[0] & 0x0f) === 0x8) socket.end();
+  });
+  socket.on('close', () => wsClients.delete(socket));
+  socket.on('error', () => wsClients.delete(socket));
+});
+
+setInterval(() => {
+  const message = JSON.stringify(nextReading());
+  sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  wsClients.forEach(socket => socket.write(encodeFrame(message)));
+}, INTERVAL_MS);
+
+server.listen(PORT, () => {
+  console.log(`✅ Mock stream server on http://localhost:${PORT}`);
+  console.log(`   SSE:       http://localhost:${PORT}/events`);
+  console.log(`   WebSocket: ws://localhost:${PORT}/ws`);
+});
@@ -0,0 +1,58 @@
+// webhook-receiver.js - Local endpoint for testing the webhook notification channel
+//
+// Accepts POST requests on any path and prints the JSON body of each one.
+// Set the asset's webhook URL to http://localhost:4001/alerts and use "Send Test".
+//
+// Usage: npm run webhook-receiver [-- --port 4001 --status 200]
+// --status makes every request answer with that HTTP status, to check error handling.
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const PORT = getArg('port', 4001);
+const STATUS = getArg('status', 200);
+
+// The dashboard posts cross-origin with a JSON content type, so browsers send a preflight first
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { ...CORS_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('POST a JSON payload\n');
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    console.log(`📥 #${received} ${new Date().toISOString()} POST ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.warn(`⚠️ Body is not valid JSON (${error.message}):\n${body}`);
+    }
+    res.writeHead(STATUS, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Webhook receiver on http://localhost:${PORT} (answering ${STATUS})`);
+});
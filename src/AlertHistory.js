@@ -0,0 +1,174 @@
+import { useEffect, useMemo, useState } from 'react';
+import { FIELD_LABELS, METRIC_KEYS } from './dataSources';
+import { SEVERITY_LABELS } from './alerts';
+import { ALERT_EVENT_LABELS, alertEventsToCsv, buildTimeline, filterAlertEvents } from './alertHistory';
+import { loadAlertEvents } from './historyCache';
+import { formatReadingTime, getAxisTimeFormat, parseReadingTime } from './time';
+
+const SEVERITY_COLORS = {
+  critical: '#dc2626',
+  warning: '#f59e0b',
+  info: '#3b82f6'
+};
+
+const TIMELINE_TICKS = 5;
+
+// Start or end of a day picked in a date input, in the display time zone
+const dayBound = (date, timeZone, end) => (date ? parseReadingTime(date, end ? '23:59:59' : '00:00:00', timeZone) + (end ? 999 : 0) : null);
+
+const downloadCsv = (csv, filename) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Alert event log of one asset: filters by metric, severity and date, a timeline
+// with one lane per metric and one bar per alert occurrence, the event table and CSV export
+const AlertHistory = ({ asset, displayTimeZone, refreshKey, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [metric, setMetric] = useState('');
+  const [severity, setSeverity] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Reload whenever new events were logged while the view is open
+  useEffect(() => {
+    loadAlertEvents(asset.id).then(setEvents);
+  }, [asset.id, refreshKey]);
+
+  const filtered = useMemo(() => filterAlertEvents(events, {
+    metric,
+    severity,
+    from: dayBound(fromDate, displayTimeZone, false),
+    to: dayBound(toDate, displayTimeZone, true)
+  }), [events, metric, severity, fromDate, toDate, displayTimeZone]);
+
+  const episodes = useMemo(() => buildTimeline(filtered), [filtered]);
+  const now = Date.now();
+  const start = dayBound(fromDate, displayTimeZone, false) ?? Math.min(...episodes.map(episode => episode.start));
+  const end = dayBound(toDate, displayTimeZone, true) ?? Math.max(now, ...episodes.map(episode => episode.end ?? now));
+  const span = Math.max(1, end - start);
+  const position = (time) => `${Math.min(100, Math.max(0, ((time - start) / span) * 100))}%`;
+  // Alerts about the whole feed (no data received) have no metric and get a lane of their own
+  const lanes = [...METRIC_KEYS, null].filter(key => episodes.some(episode => (episode.metric ?? null) === key));
+  const tickFormat = getAxisTimeFormat(span);
+
+  const exportCsv = () => {
+    const filename = `alert-history-${asset.name.replace(/\W+/g, '-')}-${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadCsv(alertEventsToCsv(filtered, asset.name, displayTimeZone), filename);
+    console.log(`📄 Exported ${filtered.length} alert events`);
+  };
+
+  return (
+    <div className="alert-modal-overlay" onClick={onClose}>
+      <div className="alert-modal settings-modal alert-history-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="alert-modal-header">
+          <h3>📜 Alert History • {asset.name}</h3>
+          <button className="close-modal-btn" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="alert-modal-content">
+          <div className="alert-history-filters">
+            <label className="settings-field">
+              <span>Metric</span>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+                <option value="">All metrics</option>
+                {METRIC_KEYS.map(key => <option key={key} value={key}>{FIELD_LABELS[key]}</option>)}
+              </select>
+            </label>
+            <label className="settings-field">
+              <span>Severity</span>
+              <select value={severity} onChange={(e) => setSeverity(e.target.value)}>
+                <option value="">All severities</option>
+                <option value="critical">{SEVERITY_LABELS.critical}</option>
+                <option value="warning">{SEVERITY_LABELS.warning}</option>
+              </select>
+            </label>
+            <label className="settings-field">
+              <span>From</span>
+              <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+            </label>
+            <label className="settings-field">
+              <span>To</span>
+              <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+            </label>
+          </div>
+
+          {filtered.length === 0 ? (
+            <p className="no-alerts">No alert events match these filters.</p>
+          ) : (
+            <>
+              <div className="alert-timeline">
+                {lanes.map(lane => (
+                  <div key={lane ?? 'all'} className="alert-timeline-lane">
+                    <span className="alert-timeline-label">{FIELD_LABELS[lane] || 'All sensors'}</span>
+                    <div className="alert-timeline-track">
+                      {episodes.filter(episode => (episode.metric ?? null) === lane).map(episode => (
+                        <div
+                          key={`${episode.alertKey}-${episode.start}`}
+                          className="alert-timeline-bar"
+                          style={{
+                            left: position(episode.start),
+                            width: `calc(${position(episode.end ?? now)} - ${position(episode.start)})`,
+                            backgroundColor: SEVERITY_COLORS[episode.severity]
+                          }}
+                          title={`${episode.message}\n${formatReadingTime(episode.start, displayTimeZone)} → ${episode.end ? formatReadingTime(episode.end, displayTimeZone) : 'still open'}${episode.acknowledgedAt ? `\nAcknowledged ${formatReadingTime(episode.acknowledgedAt, displayTimeZone)}` : ''}`}
+                        >
+                          {episode.acknowledgedAt && (
+                            <span className="alert-timeline-ack" style={{ left: `${((episode.acknowledgedAt - episode.start) / Math.max(1, (episode.end ?? now) - episode.start)) * 100}%` }} />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <div className="alert-timeline-axis">
+                  {Array.from({ length: TIMELINE_TICKS }, (_, index) => start + (span * index) / (TIMELINE_TICKS - 1)).map(time => (
+                    <span key={time}>{formatReadingTime(time, displayTimeZone, tickFormat)}</span>
+                  ))}
+                </div>
+              </div>
+
+              <table className="preview-table alert-history-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Event</th>
+                    <th>Metric</th>
+                    <th>Severity</th>
+                    <th>Value</th>
+                    <th>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...filtered].reverse().map(event => (
+                    <tr key={event.id}>
+                      <td>{formatReadingTime(event.time, displayTimeZone, 'shortDateTime')}</td>
+                      <td>{ALERT_EVENT_LABELS[event.type]}</td>
+                      <td>{FIELD_LABELS[event.metric] || event.metric || 'All sensors'}</td>
+                      <td>{SEVERITY_LABELS[event.severity]}</td>
+                      <td>{event.value}</td>
+                      <td>{event.by || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div className="alert-modal-actions">
+            <button className="refresh-button" onClick={exportCsv} disabled={filtered.length === 0}>
+              Export CSV ({filtered.length})
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertHistory;
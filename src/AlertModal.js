@@ -0,0 +1,121 @@
+import { METRIC_INFO } from './dataSources';
+import { ALERT_STATE_LABELS, SNOOZE_OPTIONS, getAlertsByState } from './alertState';
+import { formatReadingTime } from './time';
+
+const SEVERITY_ICONS = {
+  critical: '🔴',
+  warning: '🟡',
+  info: '🔵'
+};
+
+// Order of the sections in the modal
+const STATE_ORDER = ['active', 'snoozed', 'acknowledged', 'resolved'];
+
+// One line about where an alert is in its lifecycle
+const describeState = (alert, displayTimeZone) => {
+  const at = (time) => formatReadingTime(time, displayTimeZone, 'shortDateTime');
+  const raised = `Raised ${at(alert.raisedAt)}${alert.escalatedAt ? ` • escalated ${at(alert.escalatedAt)}` : ''}`;
+  if (alert.state === 'acknowledged') return `${raised} • acknowledged by ${alert.acknowledgedBy} at ${at(alert.acknowledgedAt)}`;
+  if (alert.state === 'snoozed') return `${raised} • snoozed until ${at(alert.snoozedUntil)}`;
+  if (alert.state === 'resolved') return `${raised} • resolved ${at(alert.resolvedAt)}`;
+  return raised;
+};
+
+// Alerts of one asset grouped by lifecycle state. Active alerts can be acknowledged
+// (recording the operator name) or snoozed; resolved ones stay listed until cleared.
+const AlertModal = ({ alerts, displayTimeZone, operatorName, onChangeOperatorName, onAcknowledge, onAcknowledgeAll, onSnooze, onClearResolved, onClose }) => {
+  const canAcknowledge = operatorName.trim() !== '';
+  const activeCount = getAlertsByState(alerts, 'active').length;
+  const resolvedCount = getAlertsByState(alerts, 'resolved').length;
+
+  return (
+    <div className="alert-modal-overlay" onClick={onClose}>
+      <div className="alert-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="alert-modal-header">
+          <h3>🚨 Alerts</h3>
+          <button className="close-modal-btn" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="alert-modal-content">
+          <label className="alert-operator">
+            Acknowledge as
+            <input
+              type="text"
+              value={operatorName}
+              placeholder="Your name"
+              onChange={(e) => onChangeOperatorName(e.target.value)}
+            />
+          </label>
+          {alerts.length === 0 ? (
+            <p className="no-alerts">No active alerts at this time.</p>
+          ) : (
+            STATE_ORDER.map(state => {
+              const stateAlerts = getAlertsByState(alerts, state);
+              if (stateAlerts.length === 0) return null;
+              return (
+                <div key={state} className="alert-state-group">
+                  <h4 className="alert-state-title">{ALERT_STATE_LABELS[state]} ({stateAlerts.length})</h4>
+                  <div className="alert-list">
+                    {stateAlerts.map(alert => (
+                      <div key={alert.key} className={`alert-item alert-${alert.severity} alert-state-${alert.state}`}>
+                        <div className="alert-icon">{SEVERITY_ICONS[alert.severity]}</div>
+                        <div className="alert-details">
+                          <div className="alert-metric">{METRIC_INFO[alert.metric]?.label || alert.metric || 'All sensors'}</div>
+                          <div className="alert-message">{alert.message}</div>
+                          {/* Display detailed description including below/above threshold info */}
+                          {alert.description && (
+                            <div className="alert-description">
+                              {alert.description}
+                            </div>
+                          )}
+                          <div className="alert-time">{describeState(alert, displayTimeZone)}</div>
+                        </div>
+                        {(alert.state === 'active' || alert.state === 'snoozed') && (
+                          <div className="alert-item-actions">
+                            <button
+                              className="refresh-button"
+                              onClick={() => onAcknowledge(alert.key)}
+                              disabled={!canAcknowledge}
+                              title={canAcknowledge ? `Acknowledge as ${operatorName}` : 'Enter your name to acknowledge'}
+                            >
+                              Acknowledge
+                            </button>
+                            {alert.state === 'active' && (
+                              <select value="" onChange={(e) => e.target.value && onSnooze(alert.key, Number(e.target.value))} title="Hide this alert for a while">
+                                <option value="">Snooze…</option>
+                                {SNOOZE_OPTIONS.map(option => (
+                                  <option key={option.ms} value={option.ms}>{option.label}</option>
+                                ))}
+                              </select>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })
+          )}
+          {(activeCount > 0 || resolvedCount > 0) && (
+            <div className="alert-modal-actions">
+              {activeCount > 0 && (
+                <button className="dismiss-all-btn" onClick={onAcknowledgeAll} disabled={!canAcknowledge}>
+                  Acknowledge All
+                </button>
+              )}
+              {resolvedCount > 0 && (
+                <button className="dismiss-all-btn" onClick={onClearResolved}>
+                  Clear Resolved
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertModal;
@@ -0,0 +1,150 @@
+import { FIELD_LABELS, METRIC_INFO, METRIC_KEYS } from './dataSources';
+import { RULE_LEVELS, RULE_TYPES } from './rules';
+
+const FIELD_PLACEHOLDERS = {
+  min: 'min',
+  max: 'max',
+  value: 'value',
+  maxPerMinute: 'per min'
+};
+
+// Keep number inputs editable while the user is mid-way through typing (e.g. "-")
+const limitInputValue = (value) => (value === null || value === undefined || isNaN(value) ? '' : value);
+
+const parseLimit = (text) => (text === '' ? null : parseFloat(text));
+
+// Unique rule id derived from the metric, e.g. "temperature-2"
+const createRuleId = (metric, rules) => {
+  const used = new Set(rules.map(rule => rule.id));
+  let index = 1;
+  while (used.has(`${metric}-${index}`)) index++;
+  return `${metric}-${index}`;
+};
+
+// Empty level with the fields of a rule type
+const emptyLevel = (type) => Object.fromEntries(RULE_TYPES[type].fields.map(field => [field, null]));
+
+// Table editor for an asset's alert rules: metric, condition, warning/critical limits
+// and debounce settings (deadband, consecutive samples, minimum duration)
+const AlertRulesEditor = ({ rules, onChange }) => {
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateLimit = (index, severity, field, text) => {
+    const rule = rules[index];
+    updateRule(index, { [severity]: { ...(rule[severity] || emptyLevel(rule.type)), [field]: parseLimit(text) } });
+  };
+
+  // Minimum duration is edited in seconds and stored in milliseconds
+  const updateDebounce = (index, field, text) => {
+    const value = parseLimit(text);
+    updateRule(index, { [field]: field === 'minDurationMs' && value !== null ? value * 1000 : value });
+  };
+
+  const changeType = (index, type) => {
+    updateRule(index, { type, warning: null, critical: emptyLevel(type) });
+  };
+
+  const addRule = () => {
+    onChange([...rules, { id: createRuleId('temperature', rules), metric: 'temperature', type: 'range', warning: null, critical: emptyLevel('range') }]);
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((rule, i) => i !== index));
+  };
+
+  return (
+    <div className="mqtt-topics alert-rules">
+      <table className="preview-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Condition</th>
+            <th>🟡 Warning</th>
+            <th>🔴 Critical</th>
+            <th title="Deadband before a raised alert clears, consecutive samples and seconds a violation must last before it fires">Debounce</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule, index) => (
+            <tr key={rule.id}>
+              <td>
+                <select value={rule.metric} onChange={(e) => updateRule(index, { metric: e.target.value })}>
+                  {METRIC_KEYS.map(metric => (
+                    <option key={metric} value={metric}>{FIELD_LABELS[metric]}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <select value={rule.type} onChange={(e) => changeType(index, e.target.value)}>
+                  {Object.entries(RULE_TYPES).map(([type, { label }]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              {[...RULE_LEVELS].reverse().map(severity => (
+                <td key={severity}>
+                  <div className="alert-rule-limits">
+                    {RULE_TYPES[rule.type].fields.map(field => (
+                      <input
+                        key={field}
+                        type="number"
+                        step="any"
+                        placeholder={FIELD_PLACEHOLDERS[field]}
+                        title={`${severity} ${FIELD_PLACEHOLDERS[field]} (${METRIC_INFO[rule.metric].unit}); leave empty for no limit`}
+                        value={limitInputValue(rule[severity]?.[field])}
+                        onChange={(e) => updateLimit(index, severity, field, e.target.value)}
+                      />
+                    ))}
+                  </div>
+                </td>
+              ))}
+              <td>
+                <div className="alert-rule-limits">
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    placeholder="deadband"
+                    title={`Clear the alert only once the value is back inside the limit by this much (${METRIC_INFO[rule.metric].unit})`}
+                    value={limitInputValue(rule.deadband)}
+                    disabled={rule.type === 'equals'}
+                    onChange={(e) => updateDebounce(index, 'deadband', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    placeholder="samples"
+                    title="Consecutive violating readings before the alert fires"
+                    value={limitInputValue(rule.minSamples)}
+                    onChange={(e) => updateDebounce(index, 'minSamples', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="sec"
+                    title="Seconds the violation must last before the alert fires"
+                    value={limitInputValue(rule.minDurationMs === null || rule.minDurationMs === undefined ? null : rule.minDurationMs / 1000)}
+                    onChange={(e) => updateDebounce(index, 'minDurationMs', e.target.value)}
+                  />
+                </div>
+              </td>
+              <td>
+                <button className="dismiss-alert-btn" onClick={() => removeRule(index)} title="Remove rule">
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button className="refresh-button" onClick={addRule}>+ Add Rule</button>
+    </div>
+  );
+};
+
+export default AlertRulesEditor;
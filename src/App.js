@@ -1,58 +1,138 @@
-import { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { METRIC_INFO, METRIC_KEYS, createDataSource, fetchReadings, getLatestValues, isSameReading } from './dataSources';
+import { connectReadingStream } from './streaming';
+import { connectMqttIngestion } from './mqttIngestion';
+import { clearHistory, loadHistory, saveAlertEvents, saveHistory } from './historyCache';
+import { SCENARIOS, simulateReadings } from './simulator';
+import { TIME_ZONE_OPTIONS, formatReadingTime, parseReadingTime, toTimeSeries } from './time';
+import { DEFAULT_TIME_RANGE, TIME_RANGE_PRESETS, combineBounds, filterByTime, getRangeBounds } from './timeRange';
+import { SEVERITY_LABELS, evaluateAlerts } from './alerts';
+import { acknowledgeAlert, acknowledgeAll, clearResolved, getAlertsByState, loadAlerts, reconcileAlerts, saveAlerts, snoozeAlert } from './alertState';
+import AlertModal from './AlertModal';
+import AlertHistory from './AlertHistory';
+import Correlation from './Correlation';
+import ReportBuilder from './ReportBuilder';
+import { diffAlertEvents } from './alertHistory';
+import { createNotifier } from './notifications';
+import { detectAnomalies, findAnomalies } from './anomaly';
+import { forecastMetric } from './forecast';
+import { computeDerivedSeries, evaluateConsistency } from './derived';
+import { assessQuality, getQualityIssues } from './quality';
+import { buildReport, getReportFileName } from './report';
+import { HEARTBEAT_STATUS, assessHeartbeat, formatAge } from './heartbeat';
+import { evaluateRules } from './rules';
+import { ASSET_KINDS, POLL_INTERVAL_MS, FULL_RESYNC_INTERVAL_MS } from './config';
+import { createAsset, loadSettings, saveSettings } from './settings';
+import SettingsPanel from './SettingsPanel';
+import FleetOverview from './FleetOverview';
+import MetricCard from './MetricCard';
+import MetricChart from './MetricChart';
+import DerivedMetricsPanel from './DerivedMetricsPanel';
+import TimeRangePicker from './TimeRangePicker';
 import './App.css';
 
-const IndustrialHealthDashboard = () => {
+const STREAM_TYPE_LABELS = {
+  sse: 'SSE',
+  websocket: 'WebSocket',
+  mqtt: 'MQTT'
+};
+
+const STREAM_STATUS_LABELS = {
+  off: 'Disabled',
+  connecting: '⏳ Connecting...',
+  open: '📡 Live',
+  reconnecting: '🔄 Reconnecting (polling meanwhile)',
+  closed: 'Closed'
+};
+
+// Trend charts on the dashboard and in the PDF report
+const METRIC_CHARTS = [
+  { metric: 'temperature', title: 'Temperature Trend', color: '#FF6B6B' },
+  { metric: 'humidity', title: 'Humidity Trend', color: '#4ECDC4' },
+  { metric: 'oilLevel', title: 'Oil Level Trend', color: '#FFD166' },
+  { metric: 'voltage', title: 'Voltage Trend', color: '#6246EA' },
+  { metric: 'current', title: 'Current Trend', color: '#3A86FF' },
+  { metric: 'power', title: 'Power Trend', color: '#F72585' },
+  { metric: 'energy', title: 'Energy Consumption', color: '#2EC4B6' },
+  { metric: 'angle', title: 'Angle Variation', color: '#9D4EDD' }
+];
+
+// Indicator colour per heartbeat status of the data feed
+const HEARTBEAT_INDICATORS = {
+  live: 'status-indicator-green',
+  stale: 'status-indicator-yellow',
+  offline: 'status-indicator-red',
+  unknown: 'status-indicator-yellow'
+};
+
+// How often the age of the newest reading is re-checked between fetches
+const HEARTBEAT_CHECK_MS = 30000;
+
+// Zoom window shared by all charts when zoom is synced
+const SYNCED_ZOOM_KEY = 'all';
+
+// Fallback readings are simulated normal operation, the same on every load
+const FALLBACK_SEED = 1;
+// Latest samples the trend insight looks at
+const TREND_SAMPLES = 5;
+
+// Dashboard for a single asset; cards, charts and alerts use the asset's source and alert rules
+const IndustrialHealthDashboard = ({ asset, canRemove, displayTimeZone, operatorName, reportTemplates, onChangeTimeZone, onChangeOperatorName, onSaveReportTemplates, onSaveAsset, onRemoveAsset, onBack }) => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('Checking...');
   const [dataSource, setDataSource] = useState('Unknown');
   const [lastUpdate, setLastUpdate] = useState(null);
+  // Clock for the heartbeat: readings age even when no fetch or stream message arrives
+  const [now, setNow] = useState(() => Date.now());
+  const [timeRange, setTimeRange] = useState(DEFAULT_TIME_RANGE);
+  // Zoom windows per metric, or one under SYNCED_ZOOM_KEY when syncZoom is on
+  const [zooms, setZooms] = useState({});
+  const [syncZoom, setSyncZoom] = useState(false);
   const [isExportingPDF, setIsExportingPDF] = useState(false); // New state to track PDF export
   const [latestValues, setLatestValues] = useState(null);
   // Flag indicating latestValues has been set from data fetch
   const [hasFetchedValues, setHasFetchedValues] = useState(false);
 
   const [insights, setInsights] = useState({});
-  const [alerts, setAlerts] = useState([]);
+  // Alerts with their lifecycle (alertState.js), persisted per asset. The ref holds
+  // the latest list for stream and fetch callbacks created before the last render.
+  const [alerts, setAlerts] = useState(() => loadAlerts(asset.id));
+  const alertsRef = useRef(alerts);
   const [showAlertModal, setShowAlertModal] = useState(false);
+  const [showAlertHistory, setShowAlertHistory] = useState(false);
+  const [showCorrelation, setShowCorrelation] = useState(false);
+  const [showReportBuilder, setShowReportBuilder] = useState(false);
+  // Bumped after alert events are logged so an open history view reloads
+  const [alertEventCount, setAlertEventCount] = useState(0);
+  // Channels (desktop, sound, webhook) with their rate limits, rebuilt when the settings change
+  const notifier = useMemo(() => createNotifier(asset.notifications), [asset.notifications]);
+  const notifierRef = useRef(notifier);
+  notifierRef.current = notifier;
 
   // Function to analyze trends and provide ML-based suggestions
   const analyzeTrend = (data, metric) => {
     if (!data || data.length < 2) return null;
-    
-    const values = data.map(item => parseFloat(item[metric]));
-    const recentValues = values.slice(-5); // Look at last 5 readings
-    
-    // Calculate trend
-    const trend = recentValues[recentValues.length - 1] - recentValues[0];
-    const avgValue = recentValues.reduce((a, b) => a + b, 0) / recentValues.length;
-    const stdDev = Math.sqrt(
-      recentValues.reduce((sq, n) => sq + Math.pow(n - avgValue, 2), 0) / recentValues.length
-    );
-    
-    // Metric-specific thresholds for abnormal detection
-    const thresholds = {
-      temperature: 2.0,
-      humidity: 2.0,
-      voltage: 1.5,
-      current: 2.0,
-      oilLevel: 1.5,
-      power: 2.5,    // Power can fluctuate more
-      energy: 2.0,   // Energy consumption threshold
-      angle: 1.2     // More sensitive for angle changes
-    };
-    
-    // Threshold detection using metric-specific sensitivity
-    const isAbnormal = Math.abs(recentValues[recentValues.length - 1] - avgValue) > 
-      (thresholds[metric] || 2.0) * stdDev;
-    
-    // Determine rate of change
-    const rateOfChange = ((recentValues[recentValues.length - 1] - recentValues[0]) / recentValues[0]) * 100;
-    
+
+    // Anomaly scores over the whole history; the latest point decides the insight
+    const points = detectAnomalies(data, metric, asset.anomaly);
+    const recentPoints = points.slice(-TREND_SAMPLES).filter(point => point.value !== null);
+    if (recentPoints.length < 2) return null;
+    const first = recentPoints[0];
+    const last = recentPoints[recentPoints.length - 1];
+
+    // Trend of the EWMA-smoothed level, so a single noisy sample does not flip it
+    const trend = last.ewma - first.ewma;
+
+    // Abnormal when the latest sample is an outlier or CUSUM saw a level shift recently
+    const isAbnormal = last.isAnomaly || recentPoints.some(point => point.shift !== null);
+
+    // Change per hour relative to the recent average level; undefined for a zero level or no elapsed time
+    const hours = (last.time - first.time) / 3600000;
+    const level = Math.abs(recentPoints.reduce((sum, point) => sum + point.value, 0) / recentPoints.length);
+    const rateOfChange = hours > 0 && level > 0 ? (trend / level) * 100 / hours : null;
+
     // Generate detailed insights based on metric type
     const insights = {
       current: {
@@ -225,119 +305,139 @@ const IndustrialHealthDashboard = () => {
       } else {
         suggestion = insights[metric]?.low || [`⚠️ Abnormal decrease in ${metric} detected.`];
       }
-      
-      // Add predictive insight if rate of change is significant
-      if (Math.abs(rateOfChange) > 10) {
-        const timeToThreshold = Math.abs((100 / rateOfChange) * 24); // Hours until significant change
-        suggestion.push(`${insights[metric]?.prediction || "May require attention in"} ${timeToThreshold.toFixed(1)} hours.`);
-      }
     } else {
       suggestion = insights[metric]?.stable || [`✅ ${metric} levels are stable.`];
     }
+
+    // Time until the forecast trend reaches the nearest alert rule limit
+    const forecast = forecastMetric(data, metric, asset.alertRules, asset.forecast);
+    const crossing = forecast ? forecast.crossings[0] || null : null;
+    if (crossing) {
+      const limit = `${crossing.direction === 'high' ? 'max' : 'min'} ${crossing.limit}${METRIC_INFO[metric]?.unit || ''}`;
+      suggestion.push(`${insights[metric]?.prediction || "May require attention in"} ${crossing.hours.toFixed(1)} hours (${SEVERITY_LABELS[crossing.severity].toLowerCase()} limit ${limit}).`);
+    }
     
     return {
       trend,
       isAbnormal,
       suggestion,
-      rateOfChange: rateOfChange.toFixed(1) + '%/hour'
+      crossing,
+      rateOfChange: rateOfChange === null ? '—' : rateOfChange.toFixed(1) + '%/hour'
     };
   };
 
-  // Google Sheet ID from your provided URL
-  const SHEET_ID = '1kMIFbO2SZtQy-d_G5qGLLADygHX3W-7WCVI-V9BWH-A';
-  const SHEET_NAME = 'Sheet1'; // Adjust if needed
+  // Data source adapter selected in the asset settings (local files are chosen at runtime)
+  const [showSettings, setShowSettings] = useState(false);
+  const [localFile, setLocalFile] = useState(null);
+  // Fields whose source column is unmapped or missing, reported instead of shown as 0
+  const [columnIssues, setColumnIssues] = useState([]);
+  const source = createDataSource(asset.dataSource, { file: localFile, columnMap: asset.columnMap });
+  // Rows fetched so far (the incremental cursor is its length) and when it was last fully re-downloaded
+  const historyRef = useRef([]);
+  const lastFullSyncRef = useRef(0);
+  // Live stream state; while the stream is open polling is paused
+  const [streamStatus, setStreamStatus] = useState('off');
+  const streamOpenRef = useRef(false);
+  // Set while the dashboard shows readings from the IndexedDB cache instead of the source
+  const [cacheInfo, setCacheInfo] = useState(null);
+
+  const handleSaveSettings = (updatedAsset) => {
+    onSaveAsset(updatedAsset);
+    setShowSettings(false);
+  };
+
+  // Fetch only the rows after the cursor and append them to the history.
+  // Returns null when the overlap row no longer matches, meaning rows already
+  // fetched were edited or deleted and a full resync is needed.
+  const fetchNewReadings = async () => {
+    const history = historyRef.current;
+    // Re-request the last known row so edits above the cursor are noticed
+    const { readings, issues } = await fetchReadings(source, { offset: history.length - 1, previous: history });
+    const [overlapRow, ...newRows] = readings;
+    if (!isSameReading(overlapRow, history[history.length - 1])) {
+      return null;
+    }
+    console.log(`🔄 Incremental fetch: ${newRows.length} new rows from ${source.label}`);
+    return { readings: newRows.length > 0 ? [...history, ...newRows] : history, issues };
+  };
+
+  const fetchAllReadings = async () => {
+    const result = await fetchReadings(source, { previous: historyRef.current });
+    lastFullSyncRef.current = Date.now();
+    console.log(`🔁 Full resync: ${result.readings.length} rows from ${source.label}`);
+    return result;
+  };
 
-  // Function to fetch data from Google Sheets
-  const fetchGoogleSheetData = async () => {
+  // Function to fetch data from the configured data source
+  const fetchSourceData = async ({ fullResync = false } = {}) => {
     try {
       setLoading(true);
-      setConnectionStatus('Connecting to Google Sheet...');
+      setConnectionStatus(`Connecting to ${source.label}...`);
       
-      // Using Google Sheets API in a way that's accessible without authentication
-      const url = `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:json&sheet=${SHEET_NAME}`;
-      const response = await fetch(url);
+      const resyncDue = Date.now() - lastFullSyncRef.current > FULL_RESYNC_INTERVAL_MS;
+      const incremental = !fullResync && !resyncDue && historyRef.current.length > 0;
+      const previousLength = historyRef.current.length;
+      const incrementalResult = incremental ? await fetchNewReadings() : null;
+      const { readings: processedData, issues } = incrementalResult || await fetchAllReadings();
+      historyRef.current = processedData;
+      // Keep the newly fetched rows in the local cache
+      saveHistory(asset.id, processedData, {
+        fromIndex: incrementalResult ? previousLength : 0,
+        retention: asset.cacheRetention
+      });
+      const missingFields = new Set(issues.map(issue => issue.field));
+      issues.forEach(issue => console.warn(`⚠️ Column mapping: ${issue.message}`));
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: Sheet may not be public or accessible`);
-      }
+      // Get latest values for the cards
+      const latestRow = processedData[processedData.length - 1];
       
-      const text = await response.text();
+      // Analyze trends after data is processed (skipping metrics with no source column)
+      const metrics = ['temperature', 'humidity', 'voltage', 'current', 'oilLevel', 'power', 'energy', 'angle'];
+      const newInsights = {};
+      metrics.filter(metric => !missingFields.has(metric)).forEach(metric => {
+        newInsights[metric] = analyzeTrend(processedData, metric);
+      });
       
-      // Parse the JSONP-like response (Google's format)
-      // Remove the prefix and suffix to get the JSON
-      const jsonStart = text.indexOf('{');
-      const jsonEnd = text.lastIndexOf('}') + 1;
-      const jsonData = JSON.parse(text.substring(jsonStart, jsonEnd));
+      setColumnIssues(issues);
+      setCacheInfo(null);
+      setConnectionStatus(`✅ Connected to ${source.label}`);
+      setDataSource(`${source.label} (Live Data)`);
+      setData(processedData);
+      setLatestValues(latestRow);
+      setHasFetchedValues(true);
+      setLastUpdate(Date.now());
+      setInsights(newInsights);
+      setLoading(false);
       
-      if (jsonData.table && jsonData.table.rows && jsonData.table.rows.length > 0) {
-        // Get column headers from the table
-        const headers = jsonData.table.cols.map(col => col.label);
-        
-        // Process all rows for historical data
-        const processedData = jsonData.table.rows.map((row, index) => {
-          const rowData = {};
-          
-          // Map the data according to headers
-          headers.forEach((header, colIndex) => {
-            if (row.c[colIndex] && (row.c[colIndex].v !== null)) {
-              // Use formatted value if available, otherwise use raw value
-              rowData[header] = row.c[colIndex].f || row.c[colIndex].v;
-            } else {
-              rowData[header] = null;
-            }
-          });
-
-          // Return the row data
-          
-          // Transform data keys to match our expected format
-          return {
-            timestamp: rowData['Time'] || new Date().toLocaleTimeString(),
-            date: rowData['Date'] || new Date().toLocaleDateString(),
-            temperature: parseFloat(rowData['Temperature']) || 0,
-            humidity: parseFloat(rowData['Humidity (%)']) || 0,
-            oilLevel: parseFloat(rowData['Oil Level (%)']) || 0,
-            voltage: parseFloat(rowData['Voltage (V)']) || 0,
-            current: parseFloat(rowData['Current (mA)']) || 0,
-            power: parseFloat(rowData['Power (mW)']) || 0,
-            energy: parseFloat(rowData['Energy (Wh)']) || 0,
-            angle: parseFloat(rowData['Angle (°)']) || 0
-            // Impact is excluded as requested
-          };
-        });
-        
-        // Get latest values for the cards
-        const latestRow = processedData[processedData.length - 1];
-        
-        // Analyze trends after data is processed
-        const metrics = ['temperature', 'humidity', 'voltage', 'current', 'oilLevel', 'power', 'energy', 'angle'];
-        const newInsights = {};
-        metrics.forEach(metric => {
-          newInsights[metric] = analyzeTrend(processedData, metric);
-        });
-        
-        setConnectionStatus('✅ Connected to Google Sheet');
-        setDataSource('Google Sheet (Live Data)');
-        setData(processedData);
-  setLatestValues(latestRow);
-  setHasFetchedValues(true);
-        setLastUpdate(new Date().toLocaleString());
-        setInsights(newInsights);
-        setLoading(false);
-        
-        // Check for critical alerts
-        checkForCriticalAlerts();
-        
-        console.log(`✅ SUCCESS: Fetched data from Google Sheet - ${processedData.length} rows with insights`);
-        return processedData;
-      } else {
-        throw new Error('No data found in Google Sheet');
-      }
+      // Check for critical alerts
+      checkForCriticalAlerts(processedData);
+      
+      console.log(`✅ SUCCESS: Fetched data from ${source.label} - ${processedData.length} rows with insights`);
+      return processedData;
     } catch (error) {
-      console.error('❌ ERROR: Could not fetch from Google Sheet:', error.message);
-      setConnectionStatus('❌ Using Fallback Data - Check Sheet Permissions');
-      setDataSource('Fallback Data (Not from Sheet)');
+      console.error(`❌ ERROR: Could not fetch from ${source.label}:`, error.message);
+      setColumnIssues([]);
       setLoading(false);
-      setError(`Failed to fetch data: ${error.message}. Make sure your Google Sheet is publicly accessible with the "Anyone with the link" viewing permission.`);
+      // The next successful fetch starts from a full download again
+      historyRef.current = [];
+
+      // Prefer the last known history over generated values
+      const cached = await loadHistory(asset.id);
+      if (cached) {
+        setConnectionStatus(`⚠️ Offline - ${source.label} unavailable, showing cached data`);
+        setDataSource('Local Cache (IndexedDB)');
+        setError(`Failed to fetch data: ${error.message}.`);
+        showCachedHistory(cached);
+        return cached.readings;
+      }
+
+      setConnectionStatus(source.type === 'googleSheets'
+        ? '❌ Using Fallback Data - Check Sheet Permissions'
+        : `❌ Using Fallback Data - ${source.label} unavailable`);
+      setDataSource(`Fallback Data (Not from ${source.label})`);
+      setError(source.type === 'googleSheets'
+        ? `Failed to fetch data: ${error.message}. Make sure your Google Sheet is publicly accessible with the "Anyone with the link" viewing permission.`
+        : `Failed to fetch data: ${error.message}.`);
       
       // Generate fallback data and insights
       const fallbackData = generateFallbackData();
@@ -349,66 +449,179 @@ const IndustrialHealthDashboard = () => {
       setInsights(fallbackInsights);
       
       // Check for critical alerts with fallback data
-      checkForCriticalAlerts();
+      checkForCriticalAlerts(fallbackData);
       
       return fallbackData;
     }
   };
 
-  // Generate fallback data if we can't access the sheet
+  // Show simulated normal operation if the source can't be reached and nothing is cached
   const generateFallbackData = () => {
-    const fallbackData = [];
-    const now = new Date();
-    
-    // Generate 20 data points with 1-minute intervals
-    for (let i = 20; i >= 0; i--) {
-      const time = new Date(now.getTime() - i * 60000);
-      fallbackData.push({
-        timestamp: time.toLocaleTimeString(),
-        date: time.toLocaleDateString(),
-        temperature: (25 + Math.random() * 5).toFixed(1),
-        humidity: (60 + Math.random() * 10).toFixed(1),
-        oilLevel: i % 5 === 0 ? 100 : 0,
-        voltage: (9 + Math.random()).toFixed(1),
-        current: Math.floor(50 + Math.random() * 250),
-        power: Math.floor(500 + Math.random() * 2000),
-        energy: (0.001 + Math.random() * 0.05).toFixed(3),
-        angle: (Math.random() * 40 * (Math.random() > 0.5 ? 1 : -1)).toFixed(1)
-      });
-    }
-    
-    // Set the latest values for cards
-  setLatestValues(fallbackData[fallbackData.length - 1]);
-  setHasFetchedValues(true);
+    const fallbackData = simulateReadings({ seed: FALLBACK_SEED, count: 21, timeZone: source.timeZone });
+    setLatestValues(fallbackData[fallbackData.length - 1]);
+    setHasFetchedValues(true);
     setData(fallbackData);
     return fallbackData;
   };
 
+  // Render cached history (on load, or when the source cannot be reached)
+  const showCachedHistory = ({ readings: cachedReadings, cachedAt }) => {
+    // Readings cached before timestamps were parsed only carry the Date/Time strings
+    const readings = cachedReadings.map(reading => (reading.time === undefined
+      ? { ...reading, time: parseReadingTime(reading.date, reading.timestamp, source.timeZone) }
+      : reading));
+    const latestRow = getLatestValues(readings);
+    const newInsights = {};
+    METRIC_KEYS.filter(metric => latestRow[metric] !== null).forEach(metric => {
+      newInsights[metric] = analyzeTrend(readings, metric);
+    });
+
+    setData(readings);
+    setLatestValues(latestRow);
+    setHasFetchedValues(true);
+    setInsights(newInsights);
+    setCacheInfo({ cachedAt, count: readings.length });
+    checkForCriticalAlerts(readings);
+    console.log(`🗄️ Showing ${readings.length} cached readings from ${new Date(cachedAt).toLocaleString()}`);
+  };
+
+  // Switching scenario restarts the simulation so the fault develops from now
+  const handleScenarioChange = (scenario) => {
+    onSaveAsset({
+      ...asset,
+      dataSource: {
+        ...asset.dataSource,
+        simulator: { ...asset.dataSource.simulator, scenario, startedAt: Date.now() }
+      }
+    });
+  };
+
+  const handleClearCache = async () => {
+    try {
+      await clearHistory(asset.id);
+      setCacheInfo(null);
+    } catch (error) {
+      console.error('❌ ERROR: Could not clear cache:', error.message);
+    }
+  };
+
+  // Append pushed readings to the history and evaluate alerts on every message
+  const handleStreamReadings = (readings) => {
+    const processedData = [...historyRef.current, ...readings];
+    historyRef.current = processedData;
+    saveHistory(asset.id, processedData, {
+      fromIndex: processedData.length - readings.length,
+      retention: asset.cacheRetention
+    });
+    const latestRow = getLatestValues(processedData);
+
+    const newInsights = {};
+    METRIC_KEYS.filter(metric => latestRow[metric] !== null).forEach(metric => {
+      newInsights[metric] = analyzeTrend(processedData, metric);
+    });
+
+    setConnectionStatus(`✅ Streaming live (${STREAM_TYPE_LABELS[asset.stream.type]})`);
+    setDataSource(`Live Stream + ${source.label}`);
+    setCacheInfo(null);
+    setData(processedData);
+    setLatestValues(latestRow);
+    setHasFetchedValues(true);
+    setLastUpdate(Date.now());
+    setInsights(newInsights);
+    checkForCriticalAlerts(processedData);
+  };
+
+  // A different source or file invalidates the incremental cursor
+  useEffect(() => {
+    historyRef.current = [];
+    lastFullSyncRef.current = 0;
+  }, [localFile, asset]);
+
+  // Render the cached history right away; the first fetch replaces it
+  useEffect(() => {
+    let cancelled = false;
+    loadHistory(asset.id).then(cached => {
+      if (!cancelled && cached && historyRef.current.length === 0) {
+        setConnectionStatus(`Loading ${source.label} - showing cached data`);
+        showCachedHistory(cached);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [asset.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Initial data fetch and setup polling for real-time updates
   // eslint-disable-next-line react-hooks/exhaustive-deps
   // eslint-disable-next-line react-hooks/exhaustive-deps
   // eslint-disable-next-line react-hooks/exhaustive-deps
   useEffect(() => {
     const fetchData = async () => {
-      await fetchGoogleSheetData();
+      await fetchSourceData();
     };
     
     fetchData();
     
-    // Poll for new data every 3 minutes (180000ms) for real-time updates
+    // Poll for new rows every 3 minutes (POLL_INTERVAL_MS) for real-time updates
     const intervalId = setInterval(() => {
-      // Only auto-refresh if not currently exporting PDF
-      if (!isExportingPDF) {
+      // Only auto-refresh if not currently exporting PDF and the live stream is down
+      if (streamOpenRef.current) {
+        console.log('📡 Live stream active - poll skipped');
+      } else if (!isExportingPDF) {
         console.log('🔄 Auto-refreshing data...');
-        fetchGoogleSheetData();
+        fetchSourceData();
       } else {
         console.log('⏸️ Auto-refresh paused - PDF export in progress');
       }
-    }, 180000);
+    }, POLL_INTERVAL_MS);
     
     // Clean up interval on component unmount
     return () => clearInterval(intervalId);
-  }, [isExportingPDF]);
+  }, [isExportingPDF, localFile, asset]);
+
+  // Subscribe to the live stream; the regular source is polled while it is down
+  useEffect(() => {
+    if (!asset.stream.enabled || !asset.stream.url) {
+      setStreamStatus('off');
+      return undefined;
+    }
+
+    const { type, url, mqtt: mqttOptions } = asset.stream;
+    const connect = type === 'mqtt' ? connectMqttIngestion : connectReadingStream;
+    const stream = connect({
+      type,
+      url,
+      timeZone: source.timeZone,
+      ...(type === 'mqtt' ? mqttOptions : {}),
+      onReadings: handleStreamReadings,
+      onStatus: (status, retryDelay) => {
+        const wasOpen = streamOpenRef.current;
+        streamOpenRef.current = status === 'open';
+        setStreamStatus(status);
+        if (status === 'reconnecting') {
+          console.warn(`⚠️ Live stream down, retrying in ${(retryDelay / 1000).toFixed(1)}s - polling ${source.label} meanwhile`);
+          // Catch up on anything missed once, then the regular polling interval takes over
+          if (wasOpen) fetchSourceData({ fullResync: true });
+        }
+      }
+    });
+
+    return () => {
+      streamOpenRef.current = false;
+      stream.close();
+    };
+  }, [asset]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Tick the heartbeat clock; a source that stopped updating raises its "no data" alert
+  // without waiting for the next poll
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), HEARTBEAT_CHECK_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  useEffect(() => {
+    if (hasFetchedValues) checkForCriticalAlerts();
+  }, [now]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Trigger alert checks whenever latestValues change after data fetch
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -424,1090 +637,195 @@ const IndustrialHealthDashboard = () => {
     return typeof value === 'number' ? value.toFixed(precision) : value;
   };
 
-  // Comprehensive PDF Export Function with improved chart handling and layout
-  const exportToPDF = async () => {
-    // Show loading state and prevent auto-refresh during export
+  // Build the report from a template and download it; auto-refresh pauses meanwhile
+  const exportToPDF = async (template) => {
     setIsExportingPDF(true);
-    const exportButton = document.querySelector('.export-button');
-    const originalButtonText = exportButton.textContent;
-    exportButton.textContent = '⏳ Generating PDF...';
-    exportButton.disabled = true;
-
     try {
-      console.log('🔄 Starting PDF export process...');
-      console.log('🛑 All auto-refresh operations halted');
-      
-      // Wait for any pending operations to complete
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Create a new jsPDF instance in landscape for better chart display
-      const pdf = new jsPDF('l', 'mm', 'a4'); // 'l' for landscape
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      let yPosition = 25;
-
-      // Add attractive header with company-style layout
-      pdf.setFillColor(41, 128, 185); // Blue background
-      pdf.rect(0, 0, pageWidth, 35, 'F');
-      
-      // Title
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(24);
-      pdf.setFont(undefined, 'bold');
-      pdf.text('INDUSTRIAL HEALTH MONITORING REPORT', pageWidth / 2, 18, { align: 'center' });
-      
-      // Subtitle
-      pdf.setFontSize(12);
-      pdf.setFont(undefined, 'normal');
-      pdf.text(`Real-time Equipment Analytics & Performance Dashboard`, pageWidth / 2, 28, { align: 'center' });
-
-      yPosition = 50;
-
-      // Report metadata in a styled box
-      pdf.setFillColor(248, 249, 250);
-      pdf.setDrawColor(200, 200, 200);
-      pdf.rect(15, yPosition - 5, pageWidth - 30, 25, 'FD');
-      
-      pdf.setTextColor(51, 51, 51);
-      pdf.setFontSize(10);
-      pdf.setFont(undefined, 'bold');
-      
-      // Left column info
-      pdf.text('Report Generated:', 20, yPosition + 5);
-      pdf.text('Data Source:', 20, yPosition + 12);
-      pdf.text('Connection Status:', 20, yPosition + 19);
-      
-      pdf.setFont(undefined, 'normal');
-      pdf.text(new Date().toLocaleString(), 65, yPosition + 5);
-      pdf.text(dataSource, 55, yPosition + 12);
-      pdf.text(connectionStatus.replace(/[✅❌⚠️]/g, ''), 75, yPosition + 19);
-      
-      // Right column info  
-      pdf.setFont(undefined, 'bold');
-      pdf.text('Total Data Points:', pageWidth - 120, yPosition + 5);
-      pdf.text('Last Updated:', pageWidth - 120, yPosition + 12);
-      pdf.text('Report Version:', pageWidth - 120, yPosition + 19);
-      
-      pdf.setFont(undefined, 'normal');
-      pdf.text(data.length.toString(), pageWidth - 60, yPosition + 5);
-      pdf.text(lastUpdate || 'N/A', pageWidth - 60, yPosition + 12);
-      pdf.text('v2.0', pageWidth - 60, yPosition + 19);
-
-      yPosition += 35;
-
-      // Current readings section with better styling
-      pdf.setFillColor(46, 204, 113); // Green header
-      pdf.rect(15, yPosition, pageWidth - 30, 12, 'F');
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(14);
-      pdf.setFont(undefined, 'bold');
-      pdf.text('📊 CURRENT SYSTEM READINGS', 20, yPosition + 8);
-
-      yPosition += 20;
-
-      // Create an improved table for current readings with better spacing
-      const metricsData = [
-        ['Parameter', 'Current Value', 'Unit', 'Status', 'Timestamp'],
-        ['Temperature', formatValue(latestValues.temperature), '°C', getStatusIndicator(latestValues.temperature, 20, 30), latestValues.timestamp],
-        ['Humidity', formatValue(latestValues.humidity), '%', getStatusIndicator(latestValues.humidity, 40, 80), latestValues.timestamp],
-        ['Oil Level', formatValue(latestValues.oilLevel), '%', getStatusIndicator(latestValues.oilLevel, 20, 100), latestValues.timestamp],
-        ['Voltage', formatValue(latestValues.voltage), 'V', getStatusIndicator(latestValues.voltage, 8, 12), latestValues.timestamp],
-        ['Current', formatValue(latestValues.current, 0), 'mA', getStatusIndicator(latestValues.current, 50, 300), latestValues.timestamp],
-        ['Power', formatValue(latestValues.power, 0), 'mW', getStatusIndicator(latestValues.power, 500, 2500), latestValues.timestamp],
-        ['Energy', formatValue(latestValues.energy, 3), 'Wh', 'Normal', latestValues.timestamp],
-        ['Angle', formatValue(latestValues.angle, 1), '°', getStatusIndicator(Math.abs(latestValues.angle), 0, 45), latestValues.timestamp]
-      ];
-
-        // Draw improved table with alternating row colors
-        pdf.setFontSize(9);
-        const cellWidths = [60, 35, 25, 30, 40]; // Adjusted widths for landscape
-        const cellHeight = 8;
-
-        metricsData.forEach((row, rowIndex) => {
-          let xPos = 15;
-          
-          row.forEach((cell, cellIndex) => {
-            // Set background color first
-            if (rowIndex === 0) {
-              // Header row - dark blue background
-              pdf.setFillColor(52, 73, 94);
-            } else {
-              // Data rows - alternating light colors
-              if (rowIndex % 2 === 0) {
-                pdf.setFillColor(245, 245, 245); // Very light gray
-              } else {
-                pdf.setFillColor(255, 255, 255); // White
-              }
-            }
-            
-            // Fill the cell background
-            pdf.rect(xPos, yPosition, cellWidths[cellIndex], cellHeight, 'F');
-            
-            // Draw cell border
-            pdf.setDrawColor(200, 200, 200);
-            pdf.rect(xPos, yPosition, cellWidths[cellIndex], cellHeight, 'D');
-            
-            // Now set text color and font
-            if (rowIndex === 0) {
-              pdf.setTextColor(255, 255, 255); // White text for header
-              pdf.setFont(undefined, 'bold');
-            } else {
-              pdf.setTextColor(51, 51, 51); // Dark text for data
-              pdf.setFont(undefined, 'normal');
-            }
-            
-            // Center align numeric values, left align text
-            const align = cellIndex === 1 || cellIndex === 2 ? 'center' : 'left';
-            const textX = align === 'center' ? xPos + cellWidths[cellIndex] / 2 : xPos + 2;
-            
-            // Add the text
-            pdf.text(String(cell), textX, yPosition + 5.5, { 
-              maxWidth: cellWidths[cellIndex] - 4,
-              align: align 
-            });
-            
-            xPos += cellWidths[cellIndex];
-          });
-          yPosition += cellHeight;
-        });      yPosition += 20;
-
-      // Add historical data section
-      if (yPosition > pageHeight - 40) {
-        pdf.addPage();
-        yPosition = 20;
-      }
-
-      // Simple historical summary without problematic statistics
-      pdf.setFillColor(155, 89, 182); // Purple header
-      pdf.rect(15, yPosition, pageWidth - 30, 12, 'F');
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(14);
-      pdf.setFont(undefined, 'bold');
-      pdf.text('📈 HISTORICAL DATA OVERVIEW', 20, yPosition + 8);
-
-      yPosition += 20;
-
-      // Add simple text summary instead of complex table
-      if (data.length > 0) {
-        pdf.setTextColor(51, 51, 51);
-        pdf.setFontSize(12);
-        pdf.setFont(undefined, 'bold');
-        pdf.text(`Historical Data Summary`, 20, yPosition);
-        yPosition += 10;
-
-        pdf.setFontSize(10);
-        pdf.setFont(undefined, 'normal');
-        pdf.text(`• Total data points collected: ${data.length}`, 25, yPosition);
-        yPosition += 6;
-        pdf.text(`• Data collection period: From ${data[0]?.date || 'N/A'} to ${data[data.length - 1]?.date || 'N/A'}`, 25, yPosition);
-        yPosition += 6;
-        pdf.text(`• Latest reading timestamp: ${latestValues.timestamp}`, 25, yPosition);
-        yPosition += 6;
-        
-        // Add current values summary
-        pdf.setFont(undefined, 'bold');
-        pdf.text('Current System Status:', 25, yPosition);
-        yPosition += 8;
-        
-        pdf.setFont(undefined, 'normal');
-        const statusItems = [
-          `Temperature: ${formatValue(latestValues.temperature)}°C`,
-          `Humidity: ${formatValue(latestValues.humidity)}%`,
-          `Oil Level: ${formatValue(latestValues.oilLevel)}%`,
-          `Voltage: ${formatValue(latestValues.voltage)}V`,
-          `Current: ${formatValue(latestValues.current, 0)}mA`,
-          `Power: ${formatValue(latestValues.power, 0)}mW`,
-          `Energy: ${formatValue(latestValues.energy, 3)}Wh`,
-          `Angle: ${formatValue(latestValues.angle, 1)}°`
-        ];
-        
-        statusItems.forEach((item, index) => {
-          if (index % 2 === 0) {
-            pdf.text(`• ${item}`, 30, yPosition);
-          } else {
-            pdf.text(`• ${item}`, 150, yPosition - 4); // Same line, right side
-            yPosition += 4;
-          }
-        });
-      }
-
-      yPosition += 15;
-
-      // Capture and add charts with improved handling and better layout
-      pdf.addPage(); // Start charts on a new page
-      yPosition = 25;
-      
-      // Charts section header
-      pdf.setFillColor(231, 76, 60); // Red header for charts
-      pdf.rect(15, yPosition, pageWidth - 30, 12, 'F');
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(14);
-      pdf.setFont(undefined, 'bold');
-      pdf.text('📈 PERFORMANCE TRENDS & ANALYTICS', 20, yPosition + 8);
-
-      yPosition += 20;
-
-      const chartElements = document.querySelectorAll('.chart-container');
-      console.log(`Found ${chartElements.length} charts to capture`);
-      
-      // Update export button to show progress
-      exportButton.textContent = `⏳ Stabilizing ${chartElements.length} charts...`;
-      
-      // Add a much longer delay to ensure all charts are fully rendered before capture
-      console.log('⏳ Waiting 10 seconds for all charts to fully render...');
-      await new Promise(resolve => setTimeout(resolve, 10000));
-      
-      // Process charts in pairs for better layout (2 charts per row in landscape)
-      const maxChartHeight = 80; // Define max height for charts
-      
-      for (let i = 0; i < chartElements.length; i += 2) {
-        // Check if we need a new page (leaving space for 2 charts)
-        if (yPosition > pageHeight - 140) {
-          pdf.addPage();
-          yPosition = 25;
-        }
-
-        // Process first chart in the row
-        const chart1 = chartElements[i];
-        const chart1Title = chart1.querySelector('.chart-title')?.textContent || `Chart ${i + 1}`;
-        
-        // Process second chart in the row (if exists)
-        const chart2 = chartElements[i + 1];
-        const chart2Title = chart2 ? chart2.querySelector('.chart-title')?.textContent || `Chart ${i + 2}` : null;
-
-        try {
-          // Capture first chart
-          console.log(`Capturing chart ${i + 1}: ${chart1Title}`);
-          exportButton.textContent = `📊 Capturing Chart ${i + 1}/${chartElements.length}`;
-          
-          // Ensure chart is visible and properly rendered
-          chart1.scrollIntoView({ behavior: 'instant', block: 'center' });
-          console.log(`📊 Waiting for chart ${i + 1} to stabilize...`);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          const canvas1 = await html2canvas(chart1, {
-            scale: 2,
-            backgroundColor: '#ffffff',
-            allowTaint: true,
-            useCORS: true,
-            logging: false,
-            width: chart1.offsetWidth,
-            height: chart1.offsetHeight,
-            scrollX: 0,
-            scrollY: 0,
-            ignoreElements: (element) => {
-              // Skip elements that might cause rendering issues
-              return element.classList.contains('recharts-tooltip-wrapper');
-            },
-            onclone: (clonedDoc) => {
-              // Ensure proper styling in cloned document
-              const clonedCharts = clonedDoc.querySelectorAll('.chart-container');
-              clonedCharts.forEach(chart => {
-                chart.style.backgroundColor = '#ffffff';
-                chart.style.padding = '15px';
-                chart.style.border = '1px solid #e0e0e0';
-                chart.style.borderRadius = '8px';
-              });
-              
-              // Ensure axis text is visible
-              const axisTexts = clonedDoc.querySelectorAll('.recharts-cartesian-axis-tick text');
-              axisTexts.forEach(text => {
-                text.style.fontSize = '11px';
-                text.style.fill = '#666';
-                text.style.fontFamily = 'Arial, sans-serif';
-              });
-            }
-          });
-
-          if (canvas1.width > 0 && canvas1.height > 0) {
-            const imgData1 = canvas1.toDataURL('image/png', 1.0);
-            
-            // Add first chart title
-            pdf.setFontSize(11);
-            pdf.setTextColor(51, 51, 51);
-            pdf.setFont(undefined, 'bold');
-            pdf.text(chart1Title, 20, yPosition);
-            
-            // Calculate dimensions for first chart (left side)
-            const chart1Width = (pageWidth - 50) / 2; // Half width minus margins
-            const chart1Height = (canvas1.height * chart1Width) / canvas1.width;
-            
-            // Limit height to prevent overflow
-            const maxChartHeight = 80;
-            const finalChart1Height = Math.min(chart1Height, maxChartHeight);
-            const finalChart1Width = chart1Height > maxChartHeight ? 
-              (canvas1.width * finalChart1Height) / canvas1.height : chart1Width;
-            
-            pdf.addImage(imgData1, 'PNG', 20, yPosition + 5, finalChart1Width, finalChart1Height);
-            console.log(`✅ Successfully captured chart: ${chart1Title}`);
-          } else {
-            throw new Error('Canvas has zero dimensions for chart 1');
-          }
-
-          // Capture second chart if exists
-          if (chart2) {
-            console.log(`Capturing chart ${i + 2}: ${chart2Title}`);
-            exportButton.textContent = `📊 Capturing Chart ${i + 2}/${chartElements.length}`;
-            
-            chart2.scrollIntoView({ behavior: 'instant', block: 'center' });
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            const canvas2 = await html2canvas(chart2, {
-              scale: 2,
-              backgroundColor: '#ffffff',
-              allowTaint: true,
-              useCORS: true,
-              logging: false,
-              width: chart2.offsetWidth,
-              height: chart2.offsetHeight,
-              scrollX: 0,
-              scrollY: 0,
-              ignoreElements: (element) => {
-                return element.classList.contains('recharts-tooltip-wrapper');
-              },
-              onclone: (clonedDoc) => {
-                const clonedCharts = clonedDoc.querySelectorAll('.chart-container');
-                clonedCharts.forEach(chart => {
-                  chart.style.backgroundColor = '#ffffff';
-                  chart.style.padding = '15px';
-                  chart.style.border = '1px solid #e0e0e0';
-                  chart.style.borderRadius = '8px';
-                });
-                
-                const axisTexts = clonedDoc.querySelectorAll('.recharts-cartesian-axis-tick text');
-                axisTexts.forEach(text => {
-                  text.style.fontSize = '11px';
-                  text.style.fill = '#666';
-                  text.style.fontFamily = 'Arial, sans-serif';
-                });
-              }
-            });
-
-            if (canvas2.width > 0 && canvas2.height > 0) {
-              const imgData2 = canvas2.toDataURL('image/png', 1.0);
-              
-              // Add second chart title (right side)
-              const chart2X = pageWidth / 2 + 10;
-              pdf.text(chart2Title, chart2X, yPosition);
-              
-              // Calculate dimensions for second chart (right side)
-              const chart2Width = (pageWidth - 50) / 2;
-              const chart2Height = (canvas2.height * chart2Width) / canvas2.width;
-              
-              const finalChart2Height = Math.min(chart2Height, maxChartHeight);
-              const finalChart2Width = chart2Height > maxChartHeight ? 
-                (canvas2.width * finalChart2Height) / canvas2.height : chart2Width;
-              
-              pdf.addImage(imgData2, 'PNG', chart2X, yPosition + 5, finalChart2Width, finalChart2Height);
-              console.log(`✅ Successfully captured chart: ${chart2Title}`);
-            } else {
-              // Fallback for second chart
-              const chart2X = pageWidth / 2 + 10;
-              pdf.setFontSize(10);
-              pdf.setTextColor(200, 0, 0);
-              pdf.text(`${chart2Title} - Capture Failed`, chart2X, yPosition + 20);
-            }
-          }
-          
-          yPosition += maxChartHeight + 25; // Move to next row
-          
-        } catch (error) {
-          console.error(`❌ Error capturing charts in row ${Math.floor(i/2) + 1}:`, error);
-          
-          // Fallback display for failed charts
-          pdf.setFontSize(10);
-          pdf.setTextColor(200, 0, 0);
-          pdf.text(`${chart1Title} - Chart Capture Failed`, 20, yPosition + 10);
-          
-          if (chart2Title) {
-            pdf.text(`${chart2Title} - Chart Capture Failed`, pageWidth / 2 + 10, yPosition + 10);
-          }
-          
-          yPosition += 30;
-        }
-        
-        // Add a delay between chart row captures to ensure proper rendering
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-
-      // Add statistical analysis section on a new page
-      pdf.addPage();
-      yPosition = 25;
-      
-      // Statistics section header
-      pdf.setFillColor(155, 89, 182); // Purple header
-      pdf.rect(15, yPosition, pageWidth - 30, 12, 'F');
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(14);
-      pdf.setFont(undefined, 'bold');
-      pdf.text('📊 STATISTICAL ANALYSIS & SUMMARY', 20, yPosition + 8);
-
-      yPosition += 25;
-
-      // Add statistical summary in a professional format
-      if (data.length > 0) {
-        const stats = calculateStatistics();
-        
-        pdf.setTextColor(51, 51, 51);
-        pdf.setFontSize(12);
-        pdf.setFont(undefined, 'bold');
-        pdf.text(`Data Analysis Summary (${data.length} data points analyzed)`, 20, yPosition);
-        yPosition += 12;
-
-        // Create statistics table
-        const statsHeaders = ['Parameter', 'Current', 'Minimum', 'Maximum', 'Average', 'Status'];
-        const statsData = [statsHeaders];
-        
-        Object.entries(stats).forEach(([metric, values]) => {
-          const status = getStatusIndicator(values.current, 
-            metric === 'Temperature' ? 20 : metric === 'Humidity' ? 40 : 
-            metric === 'Voltage' ? 8 : metric === 'Current' ? 50 : 0, 
-            metric === 'Temperature' ? 30 : metric === 'Humidity' ? 80 : 
-            metric === 'Voltage' ? 12 : metric === 'Current' ? 300 : 1000);
-          
-          statsData.push([
-            metric,
-            values.current,
-            values.min,
-            values.max,
-            values.avg,
-            status
-          ]);
-        });
-
-        // Draw statistics table with improved formatting
-        const statsCellWidths = [50, 25, 25, 25, 25, 25];
-        const statsCellHeight = 8;
-
-        statsData.forEach((row, rowIndex) => {
-          let xPos = 20;
-          
-          row.forEach((cell, cellIndex) => {
-            // Set background colors first
-            if (rowIndex === 0) {
-              // Header row
-              pdf.setFillColor(52, 152, 219); // Blue background
-            } else {
-              // Data rows with alternating colors
-              if (rowIndex % 2 === 0) {
-                pdf.setFillColor(248, 248, 248); // Light gray for even rows
-              } else {
-                pdf.setFillColor(255, 255, 255); // White for odd rows
-              }
-            }
-            
-            // Fill cell background
-            pdf.rect(xPos, yPosition, statsCellWidths[cellIndex], statsCellHeight, 'F');
-            
-            // Draw cell border
-            pdf.setDrawColor(200, 200, 200);
-            pdf.rect(xPos, yPosition, statsCellWidths[cellIndex], statsCellHeight, 'D');
-            
-            xPos += statsCellWidths[cellIndex];
-          });
-          
-          // Reset position for text
-          xPos = 20;
-          
-          row.forEach((cell, cellIndex) => {
-            // Set text properties for each cell
-            if (rowIndex === 0) {
-              pdf.setTextColor(255, 255, 255); // White text for header
-              pdf.setFont(undefined, 'bold');
-            } else {
-              pdf.setTextColor(51, 51, 51); // Dark gray text for data
-              pdf.setFont(undefined, 'normal');
-            }
-            
-            const align = cellIndex === 0 ? 'left' : 'center';
-            const textX = align === 'center' ? xPos + statsCellWidths[cellIndex] / 2 : xPos + 2;
-            
-            pdf.setFontSize(9);
-            pdf.text(String(cell), textX, yPosition + 5.5, { 
-              maxWidth: statsCellWidths[cellIndex] - 4,
-              align: align 
-            });
-            
-            xPos += statsCellWidths[cellIndex];
-          });
-          
-          yPosition += statsCellHeight;
-        });
-      }
-
-      yPosition += 20;
-
-      // Add raw data table on new page
-      if (data.length > 0) {
-        pdf.addPage();
-        yPosition = 25;
-        
-        // Raw data section header
-        pdf.setFillColor(230, 126, 34); // Orange header
-        pdf.rect(15, yPosition, pageWidth - 30, 12, 'F');
-        pdf.setTextColor(255, 255, 255);
-        pdf.setFontSize(14);
-        pdf.setFont(undefined, 'bold');
-        pdf.text('📋 DETAILED RAW DATA TABLE', 20, yPosition + 8);
-
-        yPosition += 20;
-        
-        pdf.setTextColor(51, 51, 51);
-        pdf.setFontSize(10);
-        pdf.setFont(undefined, 'normal');
-        pdf.text(`Showing the latest 25 data entries from ${data.length} total records`, 20, yPosition);
-        yPosition += 10;
-        
-        // Table headers with better layout for landscape
-        const headers = ['Time', 'Date', 'Temp(°C)', 'Humidity(%)', 'Oil(%)', 'Voltage(V)', 'Current(mA)', 'Power(mW)', 'Energy(Wh)', 'Angle(°)'];
-        const colWidths = [25, 25, 20, 22, 18, 22, 22, 22, 22, 20]; // Adjusted for landscape
-        
-        pdf.setFontSize(8);
-        pdf.setFont(undefined, 'bold');
-        
-        // Draw header row
-        pdf.setFillColor(52, 73, 94);
-        pdf.setTextColor(255, 255, 255);
-        let xPos = 20;
-        headers.forEach((header, index) => {
-          pdf.rect(xPos, yPosition, colWidths[index], 8, 'F');
-          pdf.setDrawColor(200, 200, 200);
-          pdf.rect(xPos, yPosition, colWidths[index], 8, 'D');
-          pdf.text(header, xPos + colWidths[index]/2, yPosition + 5.5, { align: 'center' });
-          xPos += colWidths[index];
-        });
-        yPosition += 8;
-        
-        // Data rows (show last 25 entries to fit in pages)
-        pdf.setFont(undefined, 'normal');
-        pdf.setTextColor(51, 51, 51);
-        const displayData = data.slice(-25);
-        
-        displayData.forEach((row, rowIndex) => {
-          if (yPosition > pageHeight - 20) {
-            pdf.addPage();
-            yPosition = 25;
-            
-            // Redraw header on new page
-            pdf.setFillColor(52, 73, 94);
-            pdf.setFont(undefined, 'bold');
-            xPos = 20;
-            headers.forEach((header, index) => {
-              pdf.rect(xPos, yPosition, colWidths[index], 8, 'F');
-              pdf.setDrawColor(200, 200, 200);
-              pdf.rect(xPos, yPosition, colWidths[index], 8, 'D');
-              pdf.setTextColor(255, 255, 255);
-              pdf.text(header, xPos + colWidths[index]/2, yPosition + 5.5, { align: 'center' });
-              xPos += colWidths[index];
-            });
-            yPosition += 8;
-          }
-          
-          const rowData = [
-            (row.timestamp || '—').substring(0, 8), // Truncate time
-            (row.date || '—').substring(0, 8), // Truncate date
-            formatValue(row.temperature),
-            formatValue(row.humidity),
-            formatValue(row.oilLevel),
-            formatValue(row.voltage),
-            formatValue(row.current, 0),
-            formatValue(row.power, 0),
-            formatValue(row.energy, 3),
-            formatValue(row.angle, 1)
-          ];
-          
-          // Set background colors first
-          xPos = 20;
-          rowData.forEach((cell, cellIndex) => {
-            // Alternate row colors
-            if (rowIndex % 2 === 0) {
-              pdf.setFillColor(248, 248, 248); // Light gray
-            } else {
-              pdf.setFillColor(255, 255, 255); // White
-            }
-            
-            pdf.rect(xPos, yPosition, colWidths[cellIndex], 6, 'F');
-            pdf.setDrawColor(220, 220, 220);
-            pdf.rect(xPos, yPosition, colWidths[cellIndex], 6, 'D');
-            xPos += colWidths[cellIndex];
-          });
-          
-          // Now add text
-          xPos = 20;
-          pdf.setTextColor(51, 51, 51); // Dark text for data
-          pdf.setFont(undefined, 'normal');
-          
-          rowData.forEach((cell, cellIndex) => {
-            pdf.text(String(cell), xPos + colWidths[cellIndex]/2, yPosition + 4, { 
-              maxWidth: colWidths[cellIndex] - 2, 
-              align: 'center' 
-            });
-            xPos += colWidths[cellIndex];
-          });
-          yPosition += 6;
-        });
-      }
-
-      // Add professional footer to all pages
-      const totalPages = pdf.internal.getNumberOfPages();
-      for (let i = 1; i <= totalPages; i++) {
-        pdf.setPage(i);
-        
-        // Footer background
-        pdf.setFillColor(44, 62, 80);
-        pdf.rect(0, pageHeight - 15, pageWidth, 15, 'F');
-        
-        // Footer text
-        pdf.setFontSize(8);
-        pdf.setTextColor(255, 255, 255);
-        pdf.text(
-          `Industrial Health Monitoring System | Page ${i} of ${totalPages}`,
-          15,
-          pageHeight - 8
-        );
-        
-        pdf.text(
-          `Generated: ${new Date().toLocaleString()} | Data Points: ${data.length}`,
-          pageWidth - 15,
-          pageHeight - 8,
-          { align: 'right' }
-        );
-      }
-
-      // Save the PDF with professional filename
-      const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-      const fileName = `Industrial_Health_Report_${timestamp}.pdf`;
+      console.log(`🔄 Generating "${template.name}" report...`);
+      // Let the button show its busy state before the document is drawn
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const pdf = buildReport(template, {
+        asset,
+        readings: data,
+        latest: latestValues,
+        ruleResults,
+        charts: METRIC_CHARTS,
+        dashboardBounds: rangeBounds,
+        missingFields,
+        dataSource,
+        connectionStatus,
+        lastUpdate,
+        timeZone: displayTimeZone
+      });
+      const fileName = getReportFileName(template, asset);
       pdf.save(fileName);
-      
       console.log('✅ PDF exported successfully:', fileName);
-      
     } catch (error) {
       console.error('❌ Error exporting PDF:', error);
       alert('Error generating PDF report. Please try again.');
     } finally {
-      // Restore button state and allow auto-refresh again
       setIsExportingPDF(false);
-      exportButton.textContent = originalButtonText;
-      exportButton.disabled = false;
     }
   };
 
-  // Helper function to calculate statistics
-  const calculateStatistics = () => {
-    if (data.length === 0) return {};
-
-    const metrics = ['temperature', 'humidity', 'oilLevel', 'voltage', 'current', 'power', 'energy', 'angle'];
-    const stats = {};
-
-    metrics.forEach(metric => {
-      const values = data.map(d => parseFloat(d[metric])).filter(v => !isNaN(v));
-      if (values.length > 0) {
-        stats[metric.charAt(0).toUpperCase() + metric.slice(1)] = {
-          min: Math.min(...values).toFixed(2),
-          max: Math.max(...values).toFixed(2),
-          avg: (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2),
-          current: formatValue(latestValues[metric])
-        };
-      }
-    });
-
-    return stats;
-  };
-
-  // Helper functions for chart data extraction
-  const getChartDataForMetric = (chartTitle) => {
-    return data; // All data contains all metrics
-  };
-
-  const getDataKeyFromTitle = (title) => {
-    const titleMap = {
-      'Temperature Trend': 'temperature',
-      'Humidity Trend': 'humidity',
-      'Oil Level Trend': 'oilLevel',
-      'Voltage Trend': 'voltage',
-      'Current Trend': 'current',
-      'Power Trend': 'power',
-      'Energy Consumption': 'energy',
-      'Angle Variation': 'angle'
-    };
-    return titleMap[title] || 'temperature';
-  };
-
-  const getUnitFromTitle = (title) => {
-    const unitMap = {
-      'Temperature Trend': '°C',
-      'Humidity Trend': '%',
-      'Oil Level Trend': '%',
-      'Voltage Trend': 'V',
-      'Current Trend': 'mA',
-      'Power Trend': 'mW',
-      'Energy Consumption': 'Wh',
-      'Angle Variation': '°'
-    };
-    return unitMap[title] || '';
-  };
-
-  const getChartColorFromTitle = (title) => {
-    const colorMap = {
-      'Temperature Trend': '#FF6B6B',
-      'Humidity Trend': '#4ECDC4',
-      'Oil Level Trend': '#FFD166',
-      'Voltage Trend': '#6246EA',
-      'Current Trend': '#3A86FF',
-      'Power Trend': '#F72585',
-      'Energy Consumption': '#2EC4B6',
-      'Angle Variation': '#9D4EDD'
-    };
-    return colorMap[title] || '#3A86FF';
-  };
-
-  // Helper function for status indication in PDF
-  const getStatusIndicator = (value, minNormal, maxNormal) => {
-    const numValue = parseFloat(value) || 0;
-    if (numValue < minNormal || numValue > maxNormal) {
-      return 'Warning';
+  // Store a new alert list and log what changed, with the reading at that moment
+  const updateAlerts = (nextAlerts, reading = latestValues) => {
+    const events = diffAlertEvents(alertsRef.current, nextAlerts, reading);
+    alertsRef.current = nextAlerts;
+    setAlerts(saveAlerts(asset.id, nextAlerts));
+    if (events.length > 0) {
+      saveAlertEvents(asset.id, events).then(() => setAlertEventCount(count => count + events.length));
     }
-    return 'Normal';
   };
 
-  // Create a simple chart using SVG as fallback for PDF export
-  const createFallbackChart = (title, data, dataKey, color, unit) => {
-    if (!data || data.length === 0) return null;
-    
-    const width = 300;
-    const height = 150;
-    const margin = { top: 20, right: 20, bottom: 30, left: 40 };
-    const chartWidth = width - margin.left - margin.right;
-    const chartHeight = height - margin.top - margin.bottom;
-    
-    const values = data.map(d => parseFloat(d[dataKey])).filter(v => !isNaN(v));
-    const minValue = Math.min(...values);
-    const maxValue = Math.max(...values);
-    const valueRange = maxValue - minValue || 1;
-    
-    // Create SVG path for the line
-    let pathData = '';
-    values.forEach((value, index) => {
-      const x = (index / (values.length - 1)) * chartWidth;
-      const y = chartHeight - ((value - minValue) / valueRange) * chartHeight;
-      pathData += index === 0 ? `M${x},${y}` : `L${x},${y}`;
-    });
-    
-    return {
-      svg: `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-        <rect width="${width}" height="${height}" fill="white"/>
-        <text x="${width/2}" y="15" text-anchor="middle" font-family="Arial" font-size="12" font-weight="bold">${title}</text>
-        <g transform="translate(${margin.left},${margin.top})">
-          <path d="${pathData}" stroke="${color}" stroke-width="2" fill="none"/>
-          <text x="${chartWidth/2}" y="${chartHeight + 25}" text-anchor="middle" font-family="Arial" font-size="10">Time</text>
-          <text x="-25" y="${chartHeight/2}" text-anchor="middle" font-family="Arial" font-size="10" transform="rotate(-90, -25, ${chartHeight/2})">${unit}</text>
-          <text x="5" y="-5" font-family="Arial" font-size="8">${formatValue(maxValue)} ${unit}</text>
-          <text x="5" y="${chartHeight + 10}" font-family="Arial" font-size="8">${formatValue(minValue)} ${unit}</text>
-        </g>
-      </svg>`,
-      width,
-      height
-    };
-  };
-
-  // Function to check all metrics and generate popup alerts
-  const checkForCriticalAlerts = () => {
-    const currentAlerts = [];
-  // Get the latest values from your state (assuming latestValues is up to date)
-  const oilRaw = latestValues?.oilLevel;
-  const angleRaw = latestValues?.angle;
-  // Parse to numbers for correct threshold comparison
-  const oilLevel = oilRaw !== undefined ? parseFloat(oilRaw) : NaN;
-  const angle = angleRaw !== undefined ? parseFloat(angleRaw) : NaN;
-
-    // Only alert if oilLevel is NOT equal to 20% (below or above 20%)
-    if (!isNaN(oilLevel) && oilLevel !== 20) {
-      // Oil Level threshold check (20%)
-      const isBelow = oilLevel < 20;
-      currentAlerts.push({
-        id: 'oil-' + Date.now() + Math.random(),
-        metric: 'Oil Level',
-        severity: 'critical',
-        message: `🛢️ Oil Level ${isBelow ? 'LOW' : 'HIGH'} ALERT`,
-        currentValue: oilLevel.toFixed(1) + '%',
-        threshold: '20%',
-        description: `Oil level is ${oilLevel.toFixed(1)}% (${isBelow ? 'below' : 'above'} threshold 20%)`,
-        timestamp: new Date().toLocaleTimeString()
-      });
-    }
-
-    // Only alert if angle is outside the normal range (-3.5° to 3.5°)
-    // Alert when angle < -3.5° OR angle > 3.5°
-    if (!isNaN(angle) && (angle < -3.5 || angle > 3.5)) {
-      const isBelow = angle < -3.5;
-      const isAbove = angle > 3.5;
-      currentAlerts.push({
-        id: 'angle-' + Date.now() + Math.random(),
-        metric: 'Angle',
-        severity: 'critical',
-        message: `📐 Angle ${isBelow ? 'LOW' : 'HIGH'} ALERT`,
-        currentValue: angle.toFixed(2) + '°',
-        threshold: 'Normal range: -3.5° to 3.5°',
-        description: `Angle is ${angle.toFixed(2)}° (${isBelow ? 'below -3.5°' : 'above 3.5°'} threshold)`,
-        timestamp: new Date().toLocaleTimeString()
-      });
-    }
-
-    if (currentAlerts.length > 0) {
-      setAlerts(currentAlerts);
+  // Evaluate the rules and update the alert lifecycle; the modal only pops up
+  // for new or escalated alerts (and snoozes that ran out), not on every poll
+  const checkForCriticalAlerts = (readings = data) => {
+    // Callers pass the history they just built; state may not have updated yet.
+    // Rules look back over it for rates, debounce and hysteresis.
+    const detected = evaluateAlerts(readings, asset.alertRules, asset);
+    const { alerts: nextAlerts, raised } = reconcileAlerts(alertsRef.current, detected, { assetId: asset.id });
+    updateAlerts(nextAlerts, readings[readings.length - 1]);
+    if (raised.length > 0) {
+      console.log(`🚨 ${raised.length} new or escalated alert(s)`);
       setShowAlertModal(true);
-    } else {
-      setAlerts([]);
+      notifierRef.current.notify(raised, asset);
     }
   };
 
-  // Function to dismiss alerts
-  const dismissAlert = (alertId) => {
-    setAlerts(prev => prev.filter(alert => alert.id !== alertId));
-    if (alerts.length <= 1) {
-      setShowAlertModal(false);
-    }
-  };
-
-  // Function to dismiss all alerts
-  const dismissAllAlerts = () => {
-    setAlerts([]);
-    setShowAlertModal(false);
-  };
-
-  // Function to check metric thresholds and generate alerts
-  const getMetricAlert = (metric, value) => {
-    // Only provide alert for Oil Level and Angle, and only at the specified thresholds
-    if (metric === 'Oil Level') {
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) return null;
-      // Only alert if NOT equal to 20% (below or above 20%)
-      if (numValue !== 20) {
-        if (numValue < 20) {
-          return {
-            type: 'low',
-            message: `🛢️ Oil Level LOW ALERT`,
-            description: `Oil level is ${numValue.toFixed(1)}% (below threshold 20%)`,
-            icon: '🔴',
-            color: '#ff0000',
-            backgroundColor: 'rgba(255, 0, 0, 0.15)'
-          };
-        } else if (numValue > 20) {
-          return {
-            type: 'high',
-            message: `🛢️ Oil Level HIGH ALERT`,
-            description: `Oil level is ${numValue.toFixed(1)}% (above threshold 20%)`,
-            icon: '🔴',
-            color: '#ff0000',
-            backgroundColor: 'rgba(255, 0, 0, 0.15)'
-          };
-        }
-      }
-    }
-    if (metric === 'Angle') {
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) return null;
-      // Only alert if outside normal range (-3.5° to 3.5°)
-      if (numValue < -3.5) {
-        return {
-          type: 'low',
-          message: `📐 Angle LOW ALERT`,
-          description: `Angle is ${numValue.toFixed(2)}° (below -3.5° threshold)`,
-          icon: '🔴',
-          color: '#ff0000',
-          backgroundColor: 'rgba(255, 0, 0, 0.15)'
-        };
-      } else if (numValue > 3.5) {
-        return {
-          type: 'high',
-          message: `📐 Angle HIGH ALERT`,
-          description: `Angle is ${numValue.toFixed(2)}° (above 3.5° threshold)`,
-          icon: '🔴',
-          color: '#ff0000',
-          backgroundColor: 'rgba(255, 0, 0, 0.15)'
-        };
-      }
-    }
-    return null;
-  };
-
-  // Reusable styled card component with alert functionality
-  const MetricCard = ({ title, value, unit, color1, color2, icon, secondaryValue = null, secondaryLabel = null }) => {
-    console.log(`🃏 MetricCard rendering - Title: "${title}", Value: "${value}"`);
-    const alert = getMetricAlert(title, value);
-    console.log(`🚨 Alert result for ${title}:`, alert);
-    
-    const cardStyle = {
-      background: `linear-gradient(135deg, ${color1} 0%, ${color2} 100%)`
+  const activeAlertCount = getAlertsByState(alerts, 'active').length;
+  const missingFields = new Set(columnIssues.map(issue => issue.field));
+  // Rule results for the latest reading drive the card and report statuses
+  const ruleResults = useMemo(() => evaluateRules(asset.alertRules, data), [asset.alertRules, data]);
+  // Quality flag of every value (missing, out of range, jump, stuck) and a score per metric
+  const quality = useMemo(() => assessQuality(data, asset.quality), [data, asset.quality]);
+  const qualityIssues = useMemo(() => Object.fromEntries(METRIC_KEYS.map(metric => (
+    [metric, getQualityIssues(data, quality.flags[metric])]
+  ))), [data, quality]);
+  // Age of the newest reading of the asset and of each mapped metric against the expected interval
+  const heartbeat = useMemo(() => assessHeartbeat(data, asset.heartbeat, {
+    now,
+    metrics: METRIC_KEYS.filter(metric => !columnIssues.some(issue => issue.field === metric))
+  }), [data, asset.heartbeat, now, columnIssues]);
+  const silentMetrics = Object.entries(heartbeat.metrics).filter(([, metricHeartbeat]) => metricHeartbeat.status === 'stale' || metricHeartbeat.status === 'offline');
+  // Derived metrics and measured-vs-expected checks over the whole history
+  const derivedSeries = useMemo(() => computeDerivedSeries(data, asset.derivedMetrics), [data, asset.derivedMetrics]);
+  const consistency = useMemo(
+    () => evaluateConsistency(data, asset.derivedMetrics, asset.consistencyRules),
+    [data, asset.derivedMetrics, asset.consistencyRules]
+  );
+  // Charts plot readings on a real time axis; gaps in the sampling break the lines.
+  // Each chart downsamples its slice to its width; alerts and stats use the raw data.
+  const chartData = useMemo(() => toTimeSeries(data), [data]);
+  // Anomalous samples per metric, highlighted on the charts
+  const anomalies = useMemo(() => findAnomalies(data, asset.anomaly), [data, asset.anomaly]);
+  // Projected trend per metric with its confidence band and the alert limits it reaches
+  const forecasts = useMemo(() => Object.fromEntries(METRIC_KEYS.map(metric => (
+    [metric, forecastMetric(data, metric, asset.alertRules, asset.forecast)]
+  ))), [data, asset.alertRules, asset.forecast]);
+  // Relative ranges move with each new batch of readings
+  const rangeBounds = useMemo(() => getRangeBounds(timeRange), [timeRange, chartData]); // eslint-disable-line react-hooks/exhaustive-deps
+  const zoomed = Object.keys(zooms).length > 0;
+  const getZoomKey = (dataKey) => (syncZoom ? SYNCED_ZOOM_KEY : dataKey);
+
+  // Visible bounds and rows per chart, recomputed only when the data, range or zoom changes
+  const chartSlices = useMemo(() => Object.fromEntries(METRIC_KEYS.map(dataKey => {
+    const bounds = combineBounds(rangeBounds, zooms[syncZoom ? SYNCED_ZOOM_KEY : dataKey]);
+    return [dataKey, { bounds, rows: filterByTime(chartData, bounds) }];
+  })), [chartData, rangeBounds, zooms, syncZoom]);
+
+  // Props shared by every trend chart: its slice of the selected range and zoom handlers
+  const chartProps = (dataKey) => {
+    const zoomKey = getZoomKey(dataKey);
+    const forecast = forecasts[dataKey];
+    const [, to] = chartSlices[dataKey].bounds;
+    return {
+      dataKey,
+      data: chartSlices[dataKey].rows,
+      domain: chartSlices[dataKey].bounds,
+      insight: insights[dataKey],
+      anomalies: anomalies[dataKey],
+      qualityIssues: qualityIssues[dataKey],
+      // Only projected when the chart shows the latest reading
+      forecast: forecast && (to === null || to >= forecast.fit.lastTime) ? forecast : null,
+      displayTimeZone,
+      zoomed: Boolean(zooms[zoomKey]),
+      syncId: syncZoom ? 'metrics' : undefined,
+      onZoom: (zoomWindow) => setZooms(prev => ({ ...prev, [zoomKey]: zoomWindow })),
+      onResetZoom: () => setZooms(prev => {
+        const { [zoomKey]: _removed, ...rest } = prev;
+        return rest;
+      })
     };
-
-    return (
-      <div className="metric-card" style={cardStyle}>
-        <div className="metric-card-header">
-          <h3 className="metric-card-title">{title}</h3>
-          <div className="metric-card-icon">{icon}</div>
-        </div>
-        <div className="metric-card-value-container">
-          <p className="metric-card-value">
-            {value} <span className="metric-card-unit">{unit}</span>
-          </p>
-          {alert && (
-            <div className="metric-alert" style={{ 
-              color: alert.color,
-              backgroundColor: alert.backgroundColor,
-              border: `1px solid ${alert.color}`
-            }}>
-              <div className="alert-content">
-                <div className="alert-header">
-                  <span className="alert-icon">{alert.icon}</span>
-                  <span className="alert-message">{alert.message}</span>
-                </div>
-                <div className="alert-description">{alert.description}</div>
-              </div>
-            </div>
-          )}
-          {!alert && (
-            <div style={{fontSize: '10px', color: '#666', marginTop: '5px'}}>
-              ✅ Normal Range
-            </div>
-          )}
-          {secondaryValue && (
-            <div className="metric-card-secondary">
-              <span>{secondaryLabel}: {secondaryValue}</span>
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  };
-
-  // Chart component with gradient background
-  const MetricChart = ({ title, data, dataKey, color, unit }) => {
-    const gradientId = `gradient-${dataKey}`;
-    
-    return (
-      <div className="chart-container">
-        <h3 className="chart-title">{title}</h3>
-        {insights[dataKey] && (
-          <div className={`insight-box ${insights[dataKey].isAbnormal ? 'warning' : 'stable'}`}>
-            <div className="suggestions-list">
-              {insights[dataKey].suggestion.map((suggestion, index) => (
-                <div key={index} className={index === 0 ? 'main-suggestion' : 'action-item'}>
-                  {suggestion}
-                </div>
-              ))}
-            </div>
-            <div className="trend-info">
-              <span className="trend-label">Trend Analysis:</span> {insights[dataKey].rateOfChange} change rate
-            </div>
-          </div>
-        )}
-        <div className="chart-body">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={data} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
-              <defs>
-                <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={color} stopOpacity={0.8}/>
-                  <stop offset="95%" stopColor={color} stopOpacity={0.2}/>
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis 
-                dataKey="timestamp" 
-                tick={{ fontSize: 9 }} 
-                tickFormatter={(value) => value.split(':').slice(0, 2).join(':')}
-              />
-              <YAxis unit={unit} tick={{ fontSize: 9 }} />
-              <Tooltip 
-                contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.9)', borderRadius: '4px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', fontSize: '11px' }}
-                formatter={(value) => [`${value} ${unit}`, title]}
-                labelFormatter={(label) => `Time: ${label}`}
-              />
-              <Line 
-                type="monotone" 
-                dataKey={dataKey} 
-                stroke={color} 
-                strokeWidth={2}
-                dot={false}
-                activeDot={{ r: 4, stroke: color, strokeWidth: 1 }}
-                fill={`url(#${gradientId})`}
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-    );
   };
 
   return (
     <div className="dashboard-container">
-      {/* Alert Modal */}
       {showAlertModal && (
-        <div className="alert-modal-overlay" onClick={() => setShowAlertModal(false)}>
-          <div className="alert-modal" onClick={(e) => e.stopPropagation()}>
-            <div className="alert-modal-header">
-              <h3>🚨 Critical Alerts</h3>
-              <button 
-                className="close-modal-btn"
-                onClick={() => setShowAlertModal(false)}
-              >
-                ×
-              </button>
-            </div>
-            <div className="alert-modal-content">
-              {alerts.length === 0 ? (
-                <p className="no-alerts">No critical alerts at this time.</p>
-              ) : (
-                <div className="alert-list">
-                  {alerts.map((alert, index) => (
-                    <div key={index} className={`alert-item alert-${alert.severity}`}>
-                      <div className="alert-icon">
-                        {alert.severity === 'critical' ? '🔴' : 
-                         alert.severity === 'warning' ? '🟡' : '🔵'}
-                      </div>
-                      <div className="alert-details">
-                        <div className="alert-metric">{alert.metric}</div>
-                        <div className="alert-message">{alert.message}</div>
-                        {/* Display detailed description including below/above threshold info */}
-                        {alert.description && (
-                          <div className="alert-description">
-                            {alert.description}
-                          </div>
-                        )}
-                        <div className="alert-time">{alert.timestamp}</div>
-                      </div>
-                      <button 
-                        className="dismiss-alert-btn"
-                        onClick={() => dismissAlert(index)}
-                        title="Dismiss this alert"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-              {alerts.length > 0 && (
-                <div className="alert-modal-actions">
-                  <button 
-                    className="dismiss-all-btn"
-                    onClick={dismissAllAlerts}
-                  >
-                    Dismiss All Alerts
-                  </button>
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
+        <AlertModal
+          alerts={alerts}
+          displayTimeZone={displayTimeZone}
+          operatorName={operatorName}
+          onChangeOperatorName={onChangeOperatorName}
+          onAcknowledge={(key) => updateAlerts(acknowledgeAlert(alertsRef.current, key, operatorName.trim()))}
+          onAcknowledgeAll={() => updateAlerts(acknowledgeAll(alertsRef.current, operatorName.trim()))}
+          onSnooze={(key, durationMs) => updateAlerts(snoozeAlert(alertsRef.current, key, durationMs))}
+          onClearResolved={() => updateAlerts(clearResolved(alertsRef.current))}
+          onClose={() => setShowAlertModal(false)}
+        />
+      )}
+
+      {showAlertHistory && (
+        <AlertHistory
+          asset={asset}
+          displayTimeZone={displayTimeZone}
+          refreshKey={alertEventCount}
+          onClose={() => setShowAlertHistory(false)}
+        />
+      )}
+
+      {showCorrelation && (
+        <Correlation
+          readings={filterByTime(data, rangeBounds)}
+          metrics={METRIC_KEYS.filter(metric => !missingFields.has(metric))}
+          rangeLabel={timeRange.preset === 'custom'
+            ? `${timeRange.from ? formatReadingTime(timeRange.from, displayTimeZone) : 'start'} – ${timeRange.to ? formatReadingTime(timeRange.to, displayTimeZone) : 'now'}`
+            : TIME_RANGE_PRESETS[timeRange.preset].label}
+          onClose={() => setShowCorrelation(false)}
+        />
+      )}
+
+      {showReportBuilder && (
+        <ReportBuilder
+          templates={reportTemplates}
+          generating={isExportingPDF}
+          onSaveTemplates={onSaveReportTemplates}
+          onGenerate={exportToPDF}
+          onClose={() => setShowReportBuilder(false)}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          asset={asset}
+          localFile={localFile}
+          onSave={handleSaveSettings}
+          onRemove={canRemove ? () => onRemoveAsset(asset.id) : null}
+          onClose={() => setShowSettings(false)}
+        />
       )}
 
       {/* Header with status and controls */}
       <div className="header-card">
         <div className="header-container">
           <div>
+            <button className="back-button" onClick={onBack} title="Back to fleet overview">
+              ← Fleet Overview
+            </button>
             <h1 className="dashboard-title">Industrial Health Dashboard</h1>
-            <p className="dashboard-subtitle">Real-time equipment monitoring</p>
+            <p className="dashboard-subtitle">
+              {ASSET_KINDS[asset.kind]?.icon} {asset.name} • Real-time equipment monitoring
+            </p>
           </div>
           <div className="status-container">
             {loading ? (
@@ -1517,28 +835,53 @@ const IndustrialHealthDashboard = () => {
               </div>
             ) : (
               <div className="status-container">
-                <div className={`status-indicator ${connectionStatus.includes('✅') ? 'status-indicator-green' : 'status-indicator-red'}`}></div>
-                <span className="status-text">Last updated: {lastUpdate}</span>
+                <div className={`status-indicator ${connectionStatus.includes('✅') ? HEARTBEAT_INDICATORS[heartbeat.asset.status] : 'status-indicator-red'}`}></div>
+                <span className="status-text" title={`Last fetched: ${lastUpdate ? formatReadingTime(lastUpdate, displayTimeZone) : '—'}`}>
+                  Latest reading: {formatReadingTime(heartbeat.asset.latestTime, displayTimeZone)}
+                  {heartbeat.asset.ageMs !== null && ` (${formatAge(heartbeat.asset.ageMs)} ago)`}
+                </span>
                 <div className="button-group">
                   <button 
-                    onClick={fetchGoogleSheetData}
+                    onClick={() => fetchSourceData()}
                     className="refresh-button"
                   >
                     Refresh Now
                   </button>
                   <button 
                     onClick={() => setShowAlertModal(true)}
-                    className={`alerts-button ${alerts.length > 0 ? 'has-alerts' : ''}`}
-                    title={`View alerts (${alerts.length} active)`}
+                    className={`alerts-button ${activeAlertCount > 0 ? 'has-alerts' : ''}`}
+                    title={`View alerts (${activeAlertCount} unacknowledged)`}
+                  >
+                    🚨 Alerts ({activeAlertCount})
+                  </button>
+                  <button
+                    onClick={() => setShowAlertHistory(true)}
+                    className="refresh-button"
+                    title="Log of raised, acknowledged and cleared alerts"
+                  >
+                    📜 History
+                  </button>
+                  <button
+                    onClick={() => setShowCorrelation(true)}
+                    className="refresh-button"
+                    title="Correlation between metrics over the selected time range"
+                  >
+                    🔗 Correlation
+                  </button>
+                  <button 
+                    onClick={() => setShowSettings(true)}
+                    className="refresh-button"
+                    title="Configure asset, data source and column mapping"
                   >
-                    🚨 Alerts ({alerts.length})
+                    ⚙️ Settings
                   </button>
                   <button 
-                    onClick={exportToPDF}
+                    onClick={() => setShowReportBuilder(true)}
                     className="export-button"
-                    title="Export complete dashboard report to PDF"
+                    disabled={isExportingPDF}
+                    title="Choose or edit a report template and export it to PDF"
                   >
-                    📄 Export PDF
+                    {isExportingPDF ? '⏳ Generating PDF...' : '📄 Export PDF'}
                   </button>
                 </div>
               </div>
@@ -1553,16 +896,82 @@ const IndustrialHealthDashboard = () => {
             <span className="connection-item-label">Connection Status:</span>
             <span className="connection-item-value">{connectionStatus}</span>
           </div>
+          <div className="connection-item">
+            <span className={`status-indicator ${HEARTBEAT_INDICATORS[heartbeat.asset.status]}`}></span>
+            <span className="connection-item-label">Data Feed:</span>
+            <span className="connection-item-value">
+              {HEARTBEAT_STATUS[heartbeat.asset.status].icon} {HEARTBEAT_STATUS[heartbeat.asset.status].label}
+              {heartbeat.asset.ageMs !== null && ` - newest reading ${formatAge(heartbeat.asset.ageMs)} ago`}
+              {heartbeat.intervalMs && `, expected every ${formatAge(heartbeat.intervalMs)}`}
+              {silentMetrics.length > 0 && ` • No data from ${silentMetrics.map(([metric, { ageMs }]) => `${METRIC_INFO[metric].label} (${formatAge(ageMs)})`).join(', ')}`}
+            </span>
+          </div>
           <div className="connection-item">
             <span className="connection-item-label">Data Source:</span>
             <span className="connection-item-value">{dataSource}</span>
           </div>
+          <div className="connection-item">
+            <span className="connection-item-label">Local Cache:</span>
+            <span className="connection-item-value">
+              Keeps {asset.cacheRetention.maxReadings.toLocaleString()} readings / {asset.cacheRetention.maxAgeDays} days
+            </span>
+            <button className="clear-cache-button" onClick={handleClearCache} title="Delete this asset's cached readings">
+              Clear cache
+            </button>
+          </div>
+          {asset.stream.enabled && (
+            <div className="connection-item">
+              <span className={`status-indicator ${streamStatus === 'open' ? 'status-indicator-green' : 'status-indicator-yellow'}`}></span>
+              <span className="connection-item-label">Live Stream:</span>
+              <span className="connection-item-value">{STREAM_STATUS_LABELS[streamStatus]}</span>
+            </div>
+          )}
+          <div className="connection-item">
+            <span className="connection-item-label">Time Zone:</span>
+            <select
+              className="time-zone-select"
+              value={displayTimeZone}
+              onChange={(e) => onChangeTimeZone(e.target.value)}
+              title="Time zone used for chart axes and timestamps"
+            >
+              {TIME_ZONE_OPTIONS.map(zone => (
+                <option key={zone.value} value={zone.value}>{zone.label}</option>
+              ))}
+            </select>
+          </div>
+          {source.type === 'localFile' && (
+            <div className="connection-item">
+              <span className="connection-item-label">Data File:</span>
+              <input
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                className="file-input"
+                onChange={(e) => setLocalFile(e.target.files[0] || null)}
+              />
+            </div>
+          )}
           
-          {!connectionStatus.includes('✅') && (
+          {source.type === 'simulator' && (
+            <div className="connection-item">
+              <span className="connection-item-label">Scenario:</span>
+              <select
+                className="scenario-select"
+                value={asset.dataSource.simulator.scenario}
+                onChange={(e) => handleScenarioChange(e.target.value)}
+                title={SCENARIOS[asset.dataSource.simulator.scenario]?.description}
+              >
+                {Object.entries(SCENARIOS).map(([value, scenario]) => (
+                  <option key={value} value={value}>{scenario.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {!connectionStatus.includes('✅') && source.type === 'googleSheets' && (
             <div className="connection-help">
               <p className="connection-help-title">⚠️ To enable live data access:</p>
               <ol className="connection-help-list">
-                <li>Open your Google Sheet: <a href={`https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit`} target="_blank" rel="noopener noreferrer" className="sheet-link">Click here</a></li>
+                <li>Open your Google Sheet: <a href={`https://docs.google.com/spreadsheets/d/${source.sheetId}/edit`} target="_blank" rel="noopener noreferrer" className="sheet-link">Click here</a></li>
                 <li>Click "Share" → Change to "Anyone with the link" → Set to "Viewer"</li>
                 <li>Refresh this dashboard</li>
               </ol>
@@ -1577,171 +986,264 @@ const IndustrialHealthDashboard = () => {
         </div>
       )}
 
+      {cacheInfo && (
+        <div className="cache-banner">
+          <span>
+            🗄️ Showing cached data as of {new Date(cacheInfo.cachedAt).toLocaleString()} ({cacheInfo.count} readings)
+          </span>
+          <button className="refresh-button" onClick={handleClearCache}>
+            Clear Cache
+          </button>
+        </div>
+      )}
+
+      {columnIssues.length > 0 && (
+        <div className="column-issues-alert">
+          <p className="column-issues-title">⚠️ Some metrics have no matching source column:</p>
+          <ul className="column-issues">
+            {columnIssues.map(issue => (
+              <li key={issue.field}>{issue.message}</li>
+            ))}
+          </ul>
+          <button className="refresh-button" onClick={() => setShowSettings(true)}>
+            Fix Column Mapping
+          </button>
+        </div>
+      )}
+
       {/* Metric Cards Grid */}
       <div className="metrics-grid">
         {/* Temperature Card */}
         <MetricCard 
+          metric="temperature"
+          ruleResults={ruleResults}
+          quality={quality.scores.temperature}
+          heartbeat={heartbeat.metrics.temperature}
           title="Temperature" 
           value={formatValue(latestValues?.temperature)}
           unit="°C" 
           color1="#FF6B6B" 
           color2="#FF8E8E" 
           icon="🌡️" 
+          missing={missingFields.has('temperature')}
         />
         
         {/* Humidity Card */}
         <MetricCard 
+          metric="humidity"
+          ruleResults={ruleResults}
+          quality={quality.scores.humidity}
+          heartbeat={heartbeat.metrics.humidity}
           title="Humidity" 
           value={formatValue(latestValues?.humidity)}
           unit="%" 
           color1="#4ECDC4" 
           color2="#6BE3D9" 
           icon="💧" 
+          missing={missingFields.has('humidity')}
         />
         
         {/* Oil Level Card */}
         <MetricCard 
+          metric="oilLevel"
+          ruleResults={ruleResults}
+          quality={quality.scores.oilLevel}
+          heartbeat={heartbeat.metrics.oilLevel}
           title="Oil Level" 
           value={formatValue(latestValues?.oilLevel)}
           unit="%" 
           color1="#FFD166" 
           color2="#FFDA85" 
           icon="🛢️" 
+          missing={missingFields.has('oilLevel')}
         />
         
         {/* Voltage Card */}
         <MetricCard 
+          metric="voltage"
+          ruleResults={ruleResults}
+          quality={quality.scores.voltage}
+          heartbeat={heartbeat.metrics.voltage}
           title="Voltage" 
           value={formatValue(latestValues?.voltage)}
           unit="V" 
           color1="#6246EA" 
           color2="#7E68EE" 
           icon="⚡" 
+          missing={missingFields.has('voltage')}
         />
         
         {/* Current Card */}
         <MetricCard 
+          metric="current"
+          ruleResults={ruleResults}
+          quality={quality.scores.current}
+          heartbeat={heartbeat.metrics.current}
           title="Current" 
           value={formatValue(latestValues?.current, 0)}
           unit="mA" 
           color1="#3A86FF" 
           color2="#5C9AFF" 
           icon="🔌" 
+          missing={missingFields.has('current')}
         />
         
         {/* Power Card */}
         <MetricCard 
+          metric="power"
+          ruleResults={ruleResults}
+          quality={quality.scores.power}
+          heartbeat={heartbeat.metrics.power}
           title="Power" 
           value={formatValue(latestValues?.power, 0)}
           unit="mW" 
           color1="#F72585" 
           color2="#FA5A9C" 
           icon="⚡" 
+          missing={missingFields.has('power')}
         />
         
         {/* Energy Card */}
         <MetricCard 
+          metric="energy"
+          ruleResults={ruleResults}
+          quality={quality.scores.energy}
+          heartbeat={heartbeat.metrics.energy}
           title="Energy" 
           value={formatValue(latestValues?.energy)}
           unit="Wh" 
           color1="#2EC4B6" 
           color2="#4ED6C9" 
           icon="🔋" 
+          missing={missingFields.has('energy')}
         />
         
         {/* Angle Card */}
         <MetricCard 
+          metric="angle"
+          ruleResults={ruleResults}
+          quality={quality.scores.angle}
+          heartbeat={heartbeat.metrics.angle}
           title="Angle" 
           value={formatValue(latestValues?.angle)}
           unit="°" 
           color1="#9D4EDD" 
           color2="#B77BEB" 
           icon="📐" 
+          missing={missingFields.has('angle')}
         />
       </div>
 
+      <DerivedMetricsPanel derivedMetrics={asset.derivedMetrics} series={derivedSeries} consistency={consistency} />
+
       {/* Charts Grid */}
       <div className="charts-section">
         <h2 className="charts-title">Performance Trends</h2>
+        <TimeRangePicker
+          range={timeRange}
+          displayTimeZone={displayTimeZone}
+          syncZoom={syncZoom}
+          zoomed={zoomed}
+          onChange={(range) => {
+            setTimeRange(range);
+            setZooms({});
+          }}
+          onSyncZoomChange={(enabled) => {
+            setSyncZoom(enabled);
+            setZooms({});
+          }}
+          onResetZoom={() => setZooms({})}
+        />
         <div className="charts-grid">
-          <MetricChart 
-            title="Temperature Trend" 
-            data={data} 
-            dataKey="temperature" 
-            color="#FF6B6B" 
-            unit="°C" 
-          />
-          
-          <MetricChart 
-            title="Humidity Trend" 
-            data={data} 
-            dataKey="humidity" 
-            color="#4ECDC4" 
-            unit="%" 
-          />
-          
-          <MetricChart 
-            title="Oil Level Trend" 
-            data={data} 
-            dataKey="oilLevel" 
-            color="#FFD166" 
-            unit="%" 
-          />
-          
-          <MetricChart 
-            title="Voltage Trend" 
-            data={data} 
-            dataKey="voltage" 
-            color="#6246EA" 
-            unit="V" 
-          />
-          
-          <MetricChart 
-            title="Current Trend" 
-            data={data} 
-            dataKey="current" 
-            color="#3A86FF" 
-            unit="mA" 
-          />
-          
-          <MetricChart 
-            title="Power Trend" 
-            data={data} 
-            dataKey="power" 
-            color="#F72585" 
-            unit="mW" 
-          />
-          
-          <MetricChart 
-            title="Energy Consumption" 
-            data={data} 
-            dataKey="energy" 
-            color="#2EC4B6" 
-            unit="Wh" 
-          />
-          
-          <MetricChart 
-            title="Angle Variation" 
-            data={data} 
-            dataKey="angle" 
-            color="#9D4EDD" 
-            unit="°" 
-          />
+          {METRIC_CHARTS.map(({ metric, title, color }) => (
+            <MetricChart
+              key={metric}
+              {...chartProps(metric)}
+              title={title}
+              color={color}
+              unit={METRIC_INFO[metric].unit}
+            />
+          ))}
         </div>
       </div>
 
       {/* Footer Status Area */}
       <div className="footer">
-        <p>Industrial Health Monitoring System • Data updates every 3 minutes</p>
-        <p className="footer-detail">Sheet ID: {SHEET_ID} • Powered by Google Sheets Integration</p>
+        <p>
+          Industrial Health Monitoring System • {streamStatus === 'open' ? 'Live streaming updates' : 'Data updates every 3 minutes'}
+        </p>
+        <p className="footer-detail">{source.description} • Powered by {source.label} Integration</p>
         <p className="footer-detail">
           {connectionStatus.includes('✅') 
-            ? '✅ LIVE DATA: Successfully reading from your Google Sheet!' 
-            : '⚠️ FALLBACK DATA: Using generated values - check Google Sheet permissions'}
+            ? `✅ LIVE DATA: Successfully reading from your ${source.label}!` 
+            : `⚠️ FALLBACK DATA: Using generated values - check ${source.label} access`}
         </p>
       </div>
     </div>
   );
 };
 
-export default IndustrialHealthDashboard;
\ No newline at end of file
+// Root component: fleet overview of all registered assets, drilling into one asset's dashboard
+const App = () => {
+  const [settings, setSettings] = useState(loadSettings);
+  // A single registered asset opens straight into its dashboard
+  const [selectedAssetId, setSelectedAssetId] = useState(() => (
+    settings.assets.length === 1 ? settings.assets[0].id : null
+  ));
+  const selectedAsset = settings.assets.find(asset => asset.id === selectedAssetId);
+
+  const saveAsset = (updatedAsset) => {
+    const exists = settings.assets.some(asset => asset.id === updatedAsset.id);
+    const assets = exists
+      ? settings.assets.map(asset => (asset.id === updatedAsset.id ? updatedAsset : asset))
+      : [...settings.assets, updatedAsset];
+    setSettings(saveSettings({ ...settings, assets }));
+  };
+
+  const changeTimeZone = (displayTimeZone) => {
+    setSettings(saveSettings({ ...settings, displayTimeZone }));
+  };
+
+  const changeOperatorName = (operatorName) => {
+    setSettings(saveSettings({ ...settings, operatorName }));
+  };
+
+  const saveReportTemplates = (reportTemplates) => {
+    setSettings(saveSettings({ ...settings, reportTemplates }));
+  };
+
+  const removeAsset = (assetId) => {
+    setSettings(saveSettings({ ...settings, assets: settings.assets.filter(asset => asset.id !== assetId) }));
+    setSelectedAssetId(null);
+  };
+
+  if (selectedAsset) {
+    return (
+      <IndustrialHealthDashboard
+        key={selectedAsset.id}
+        asset={selectedAsset}
+        canRemove={settings.assets.length > 1}
+        displayTimeZone={settings.displayTimeZone}
+        operatorName={settings.operatorName}
+        reportTemplates={settings.reportTemplates}
+        onChangeTimeZone={changeTimeZone}
+        onChangeOperatorName={changeOperatorName}
+        onSaveReportTemplates={saveReportTemplates}
+        onSaveAsset={saveAsset}
+        onRemoveAsset={removeAsset}
+        onBack={() => setSelectedAssetId(null)}
+      />
+    );
+  }
+
+  return (
+    <FleetOverview
+      assets={settings.assets}
+      onSelectAsset={setSelectedAssetId}
+      onAddAsset={() => createAsset(settings.assets)}
+      onSaveAsset={saveAsset}
+    />
+  );
+};
+
+export default App;
\ No newline at end of file
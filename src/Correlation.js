@@ -0,0 +1,198 @@
+import { useMemo, useState } from 'react';
+import { ScatterChart, Scatter, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { METRIC_INFO } from './dataSources';
+import { CORRELATION_METHODS, correlate, correlationMatrix, crossCorrelation, describeCorrelation, findPeakLag, pairValues } from './correlation';
+import { medianInterval } from './time';
+
+// Scatter points drawn at most; longer ranges are thinned evenly
+const MAX_SCATTER_POINTS = 1500;
+const DEFAULT_MAX_LAG = 30;
+const POSITIVE_COLOR = '#2563eb';
+const NEGATIVE_COLOR = '#dc2626';
+
+// Cell background: blue for positive, red for negative, stronger for larger |r|
+const cellColor = (r) => {
+  if (r === null) return 'transparent';
+  const [red, green, blue] = r > 0 ? [37, 99, 235] : [220, 38, 38];
+  return `rgba(${red}, ${green}, ${blue}, ${(Math.abs(r) * 0.8).toFixed(2)})`;
+};
+
+const formatLagTime = (ms) => {
+  const seconds = Math.abs(ms) / 1000;
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// Two decimals without a "-0.00" for tiny negative values
+const formatR = (r) => (r === null ? '—' : (Math.abs(r) < 0.005 ? 0 : r).toFixed(2));
+
+const label = (metric) => METRIC_INFO[metric].label;
+
+// Correlation analysis over the readings of the selected time range: Pearson or
+// Spearman matrix of all metrics, a scatter plot of the chosen pair and its lagged
+// cross-correlation to show which signal leads
+const Correlation = ({ readings, metrics, rangeLabel, onClose }) => {
+  const [method, setMethod] = useState('pearson');
+  const [pair, setPair] = useState([metrics[0], metrics[1] || metrics[0]]);
+  const [maxLag, setMaxLag] = useState(DEFAULT_MAX_LAG);
+  const [x, y] = pair;
+
+  const matrix = useMemo(() => correlationMatrix(readings, metrics, method), [readings, metrics, method]);
+
+  const scatterPoints = useMemo(() => {
+    const [xs, ys] = pairValues(readings, x, y);
+    const step = Math.max(1, Math.ceil(xs.length / MAX_SCATTER_POINTS));
+    const points = [];
+    for (let i = 0; i < xs.length; i += step) points.push({ x: xs[i], y: ys[i] });
+    return points;
+  }, [readings, x, y]);
+
+  const lags = useMemo(() => crossCorrelation(readings, x, y, maxLag), [readings, x, y, maxLag]);
+  const peak = findPeakLag(lags);
+  const interval = medianInterval(readings);
+  const coefficient = correlate(readings, x, y, method);
+
+  const describeLead = () => {
+    if (!peak) return 'Not enough overlapping readings to compare.';
+    const strength = `${describeCorrelation(peak.r)}, r = ${formatR(peak.r)}`;
+    if (peak.lag === 0) return `Strongest at lag 0: ${label(x)} and ${label(y)} move together (${strength}).`;
+    const [leader, follower] = peak.lag > 0 ? [x, y] : [y, x];
+    const readingsText = `${Math.abs(peak.lag)} reading${Math.abs(peak.lag) === 1 ? '' : 's'}`;
+    const timeText = interval ? ` (~${formatLagTime(peak.lag * interval)})` : '';
+    return `${label(leader)} leads ${label(follower)} by ${readingsText}${timeText} (${strength}).`;
+  };
+
+  return (
+    <div className="alert-modal-overlay" onClick={onClose}>
+      <div className="alert-modal settings-modal correlation-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="alert-modal-header">
+          <h3>🔗 Correlation • {rangeLabel}</h3>
+          <button className="close-modal-btn" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="alert-modal-content">
+          {metrics.length < 2 || readings.length < 3 ? (
+            <p className="no-alerts">Not enough readings in the selected time range.</p>
+          ) : (
+            <>
+              <section className="settings-section">
+                <div className="correlation-toolbar">
+                  <h4 className="settings-section-title">Correlation matrix</h4>
+                  <select value={method} onChange={(e) => setMethod(e.target.value)}>
+                    {Object.entries(CORRELATION_METHODS).map(([value, name]) => (
+                      <option key={value} value={value}>{name}</option>
+                    ))}
+                  </select>
+                  <span className="settings-hint">{readings.length.toLocaleString()} readings • click a cell to plot the pair</span>
+                </div>
+                <div className="correlation-matrix-wrapper">
+                  <table className="correlation-matrix">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {metrics.map(metric => <th key={metric} title={label(metric)}>{METRIC_INFO[metric].icon}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metrics.map((rowMetric, i) => (
+                        <tr key={rowMetric}>
+                          <th>{METRIC_INFO[rowMetric].icon} {label(rowMetric)}</th>
+                          {metrics.map((colMetric, j) => (
+                            <td
+                              key={colMetric}
+                              className={x === rowMetric && y === colMetric ? 'selected' : ''}
+                              style={{ backgroundColor: cellColor(matrix[i][j]) }}
+                              title={`${label(rowMetric)} × ${label(colMetric)}: ${describeCorrelation(matrix[i][j])}`}
+                              onClick={() => setPair([rowMetric, colMetric])}
+                            >
+                              {formatR(matrix[i][j])}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+
+              <section className="settings-section">
+                <div className="correlation-toolbar">
+                  <h4 className="settings-section-title">Scatter plot</h4>
+                  <select value={x} onChange={(e) => setPair([e.target.value, y])} aria-label="X axis metric">
+                    {metrics.map(metric => <option key={metric} value={metric}>{label(metric)}</option>)}
+                  </select>
+                  <span>vs</span>
+                  <select value={y} onChange={(e) => setPair([x, e.target.value])} aria-label="Y axis metric">
+                    {metrics.map(metric => <option key={metric} value={metric}>{label(metric)}</option>)}
+                  </select>
+                  <span className="settings-hint">
+                    {CORRELATION_METHODS[method]} r = {formatR(coefficient)} ({describeCorrelation(coefficient)})
+                  </span>
+                </div>
+                <div className="correlation-chart">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ScatterChart margin={{ top: 5, right: 10, left: 5, bottom: 15 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                      <XAxis type="number" dataKey="x" name={label(x)} unit={METRIC_INFO[x].unit} domain={['auto', 'auto']} tick={{ fontSize: 9 }} />
+                      <YAxis type="number" dataKey="y" name={label(y)} unit={METRIC_INFO[y].unit} domain={['auto', 'auto']} tick={{ fontSize: 9 }} />
+                      <Tooltip cursor={{ strokeDasharray: '3 3' }} contentStyle={{ fontSize: '11px' }} />
+                      <Scatter data={scatterPoints} fill={POSITIVE_COLOR} fillOpacity={0.5} isAnimationActive={false} />
+                    </ScatterChart>
+                  </ResponsiveContainer>
+                </div>
+              </section>
+
+              <section className="settings-section">
+                <div className="correlation-toolbar">
+                  <h4 className="settings-section-title">Lagged cross-correlation</h4>
+                  <label className="settings-field correlation-lag">
+                    <span>Max lag (readings)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="500"
+                      value={maxLag}
+                      onChange={(e) => setMaxLag(Math.min(500, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                    />
+                  </label>
+                </div>
+                <p className="settings-hint">
+                  A bar at lag k compares {label(x)} with {label(y)} k readings later; the tallest bar shows which signal leads.
+                </p>
+                <p className="correlation-lead">{describeLead()}</p>
+                <div className="correlation-chart">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={lags} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                      <XAxis dataKey="lag" tick={{ fontSize: 9 }} />
+                      <YAxis domain={[-1, 1]} tick={{ fontSize: 9 }} />
+                      <Tooltip
+                        contentStyle={{ fontSize: '11px' }}
+                        formatter={(value) => [value === null ? '—' : value.toFixed(3), 'r']}
+                        labelFormatter={(lag) => `Lag ${lag}${interval ? ` (~${formatLagTime(lag * interval)})` : ''}`}
+                      />
+                      <ReferenceLine y={0} stroke="#9ca3af" />
+                      <Bar dataKey="r" isAnimationActive={false}>
+                        {lags.map(result => (
+                          <Cell
+                            key={result.lag}
+                            fill={result.r !== null && result.r < 0 ? NEGATIVE_COLOR : POSITIVE_COLOR}
+                            fillOpacity={peak && result.lag === peak.lag ? 1 : 0.45}
+                          />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Correlation;
@@ -0,0 +1,137 @@
+import { FIELD_LABELS, METRIC_KEYS } from './dataSources';
+import { FORMULA_FUNCTIONS } from './derived';
+import { RULE_LEVELS } from './rules';
+
+// Keep number inputs editable while the user is mid-way through typing
+const numberInputValue = (value) => (value === null || value === undefined || isNaN(value) ? '' : value);
+
+const parseNumber = (text) => (text === '' ? null : parseFloat(text));
+
+// First unused id of the form "<prefix><n>"
+const createId = (prefix, items) => {
+  const used = new Set(items.map(item => item.id));
+  let index = 1;
+  while (used.has(`${prefix}${index}`)) index++;
+  return `${prefix}${index}`;
+};
+
+// Table editors for an asset's derived metrics (id, label, unit, formula) and the
+// consistency rules comparing a measured formula with an expected one
+const DerivedMetricsEditor = ({ derivedMetrics, consistencyRules, onChangeDerived, onChangeConsistency }) => {
+  const updateDerived = (index, changes) => {
+    onChangeDerived(derivedMetrics.map((definition, i) => (i === index ? { ...definition, ...changes } : definition)));
+  };
+
+  const updateRule = (index, changes) => {
+    onChangeConsistency(consistencyRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const addDerived = () => {
+    const id = createId('derived', derivedMetrics);
+    onChangeDerived([...derivedMetrics, { id, label: '', unit: '', decimals: 2, formula: '' }]);
+  };
+
+  const addRule = () => {
+    onChangeConsistency([...consistencyRules, {
+      id: createId('consistency-', consistencyRules),
+      metric: 'power',
+      measured: 'power',
+      expected: '',
+      tolerance: 10,
+      minSamples: 3,
+      severity: 'warning'
+    }]);
+  };
+
+  return (
+    <>
+      <div className="mqtt-topics derived-editor">
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th title="Name used in formulas">Id</th>
+              <th>Label</th>
+              <th>Unit</th>
+              <th title={`Metric and derived ids, + - * / ^ and ${FORMULA_FUNCTIONS.join(', ')}`}>Formula</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {derivedMetrics.map((definition, index) => (
+              <tr key={index}>
+                <td><input type="text" value={definition.id} onChange={(e) => updateDerived(index, { id: e.target.value.trim() })} /></td>
+                <td><input type="text" value={definition.label} onChange={(e) => updateDerived(index, { label: e.target.value })} /></td>
+                <td><input type="text" className="derived-unit-input" value={definition.unit} onChange={(e) => updateDerived(index, { unit: e.target.value })} /></td>
+                <td>
+                  <input
+                    type="text"
+                    className="derived-formula-input"
+                    placeholder="voltage * current"
+                    value={definition.formula}
+                    onChange={(e) => updateDerived(index, { formula: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <button className="dismiss-alert-btn" onClick={() => onChangeDerived(derivedMetrics.filter((item, i) => i !== index))} title="Remove derived metric">
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button className="refresh-button" onClick={addDerived}>+ Add Derived Metric</button>
+      </div>
+
+      <div className="mqtt-topics derived-editor">
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th title="Sensor the disagreement alert is filed under">Sensor</th>
+              <th>Measured</th>
+              <th>Expected</th>
+              <th title="Largest allowed difference, percent of the larger value">Tolerance %</th>
+              <th title="Consecutive readings outside the tolerance before the alert fires">Samples</th>
+              <th>Severity</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {consistencyRules.map((rule, index) => (
+              <tr key={rule.id}>
+                <td>
+                  <select value={rule.metric} onChange={(e) => updateRule(index, { metric: e.target.value })}>
+                    {METRIC_KEYS.map(metric => (
+                      <option key={metric} value={metric}>{FIELD_LABELS[metric]}</option>
+                    ))}
+                  </select>
+                </td>
+                <td><input type="text" className="derived-formula-input" value={rule.measured} onChange={(e) => updateRule(index, { measured: e.target.value })} /></td>
+                <td><input type="text" className="derived-formula-input" value={rule.expected} onChange={(e) => updateRule(index, { expected: e.target.value })} /></td>
+                <td>
+                  <input type="number" min="0" step="any" value={numberInputValue(rule.tolerance)} onChange={(e) => updateRule(index, { tolerance: parseNumber(e.target.value) })} />
+                </td>
+                <td>
+                  <input type="number" min="1" step="1" value={numberInputValue(rule.minSamples)} onChange={(e) => updateRule(index, { minSamples: parseNumber(e.target.value) })} />
+                </td>
+                <td>
+                  <select value={rule.severity} onChange={(e) => updateRule(index, { severity: e.target.value })}>
+                    {RULE_LEVELS.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                </td>
+                <td>
+                  <button className="dismiss-alert-btn" onClick={() => onChangeConsistency(consistencyRules.filter((item, i) => i !== index))} title="Remove consistency rule">
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button className="refresh-button" onClick={addRule}>+ Add Consistency Rule</button>
+      </div>
+    </>
+  );
+};
+
+export default DerivedMetricsEditor;
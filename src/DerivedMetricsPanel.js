@@ -0,0 +1,63 @@
+import { METRIC_INFO } from './dataSources';
+
+// Latest non-missing value of a series
+const latestValue = (series = []) => {
+  for (let index = series.length - 1; index >= 0; index--) {
+    if (series[index] !== null) return series[index];
+  }
+  return null;
+};
+
+const formatNumber = (value, decimals = 2, unit = '') => (value === null ? '—' : `${value.toFixed(decimals)}${unit ? ` ${unit}` : ''}`);
+
+// Latest values of the asset's derived metrics and the state of its sensor-consistency rules
+const DerivedMetricsPanel = ({ derivedMetrics, series, consistency }) => {
+  if (derivedMetrics.length === 0 && consistency.length === 0) return null;
+  return (
+    <div className="derived-panel">
+      <h3 className="derived-title">🧮 Derived Metrics &amp; Sensor Consistency</h3>
+      {derivedMetrics.length > 0 && (
+        <div className="derived-grid">
+          {derivedMetrics.map(definition => (
+            <div key={definition.id} className="derived-tile" title={`${definition.id} = ${definition.formula}`}>
+              <span className="derived-label">{definition.label || definition.id}</span>
+              <span className="derived-value">{formatNumber(latestValue(series[definition.id]), definition.decimals, definition.unit)}</span>
+              <code className="derived-formula">{definition.formula}</code>
+            </div>
+          ))}
+        </div>
+      )}
+      {consistency.length > 0 && (
+        <table className="preview-table derived-consistency">
+          <thead>
+            <tr>
+              <th>Sensor</th>
+              <th>Measured</th>
+              <th>Expected</th>
+              <th>Difference</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {consistency.map(({ rule, measured, expected, deviation, severity }) => {
+              const info = METRIC_INFO[rule.metric] || { label: rule.metric, icon: '', unit: '', decimals: 2 };
+              return (
+                <tr key={rule.id}>
+                  <td>{info.icon} {info.label}</td>
+                  <td title={rule.measured}>{formatNumber(measured, info.decimals, info.unit)}</td>
+                  <td title={rule.expected}>{formatNumber(expected, info.decimals, info.unit)}</td>
+                  <td>{deviation === null ? '—' : `${deviation.toFixed(1)}% (±${rule.tolerance}%)`}</td>
+                  <td className={severity ? `derived-status-${severity}` : 'derived-status-ok'}>
+                    {severity ? '⚠️ Sensor disagreement' : deviation === null ? 'No data' : '✅ Consistent'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DerivedMetricsPanel;
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { createDataSource, fetchReadings } from './dataSources';
+import { evaluateAlerts, getWorstSeverity } from './alerts';
+import { ASSET_KINDS } from './config';
+import SettingsPanel from './SettingsPanel';
+
+// Metrics summarised on each fleet tile
+const TILE_METRICS = [
+  { key: 'temperature', label: 'Temp', unit: '°C', precision: 1 },
+  { key: 'current', label: 'Current', unit: 'mA', precision: 0 },
+  { key: 'oilLevel', label: 'Oil', unit: '%', precision: 1 },
+  { key: 'angle', label: 'Angle', unit: '°', precision: 1 }
+];
+
+const SEVERITY_BADGES = {
+  critical: { icon: '🔴', label: 'Critical' },
+  warning: { icon: '🟡', label: 'Warning' },
+  info: { icon: '🔵', label: 'Info' },
+  normal: { icon: '🟢', label: 'Normal' },
+  unknown: { icon: '⚪', label: 'No data' }
+};
+
+// Fetch the latest reading of one asset and evaluate its alerts
+const fetchAssetStatus = async (asset) => {
+  if (asset.dataSource.type === 'localFile') {
+    return { severity: 'unknown', error: 'Open the asset to choose a data file' };
+  }
+  try {
+    const source = createDataSource(asset.dataSource, { columnMap: asset.columnMap });
+    const { readings } = await fetchReadings(source);
+    const latest = readings[readings.length - 1];
+    const alerts = evaluateAlerts(readings, asset.alertRules, asset);
+    return { latest, alerts, severity: getWorstSeverity(alerts) || 'normal', error: null };
+  } catch (error) {
+    console.error(`❌ ERROR: Could not fetch fleet status for ${asset.name}:`, error.message);
+    return { severity: 'unknown', error: error.message };
+  }
+};
+
+const formatTileValue = (value, precision) => (
+  value === undefined || value === null ? '—' : Number(value).toFixed(precision)
+);
+
+// Fleet overview: one tile per registered asset with its worst alert severity and key metrics
+const FleetOverview = ({ assets, onSelectAsset, onAddAsset, onSaveAsset }) => {
+  const [statusByAsset, setStatusByAsset] = useState({});
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [newAsset, setNewAsset] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refreshFleet = async () => {
+      const results = await Promise.all(assets.map(fetchAssetStatus));
+      if (cancelled) return;
+      const statuses = {};
+      assets.forEach((asset, index) => {
+        statuses[asset.id] = results[index];
+      });
+      setStatusByAsset(statuses);
+      setLastUpdate(new Date().toLocaleString());
+      console.log(`✅ Fleet status refreshed for ${assets.length} assets`);
+    };
+
+    refreshFleet();
+    // Same 3 minute cadence as the single-asset dashboard
+    const intervalId = setInterval(refreshFleet, 180000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [assets]);
+
+  const handleSaveNewAsset = (asset) => {
+    onSaveAsset(asset);
+    setNewAsset(null);
+  };
+
+  return (
+    <div className="dashboard-container">
+      {newAsset && (
+        <SettingsPanel
+          asset={newAsset}
+          localFile={null}
+          onSave={handleSaveNewAsset}
+          onRemove={null}
+          onClose={() => setNewAsset(null)}
+        />
+      )}
+
+      <div className="header-card">
+        <div className="header-container">
+          <div>
+            <h1 className="dashboard-title">Industrial Health Dashboard</h1>
+            <p className="dashboard-subtitle">Fleet overview • {assets.length} registered assets</p>
+          </div>
+          <div className="status-container">
+            <span className="status-text">Last updated: {lastUpdate || '—'}</span>
+            <div className="button-group">
+              <button onClick={() => setNewAsset(onAddAsset())} className="refresh-button">
+                + Add Asset
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="fleet-grid">
+        {assets.map(asset => {
+          const status = statusByAsset[asset.id];
+          const badge = SEVERITY_BADGES[status?.severity || 'unknown'];
+          const kind = ASSET_KINDS[asset.kind] || ASSET_KINDS.other;
+
+          return (
+            <button
+              key={asset.id}
+              className={`fleet-tile fleet-tile-${status?.severity || 'unknown'}`}
+              onClick={() => onSelectAsset(asset.id)}
+              title={`Open ${asset.name} dashboard`}
+            >
+              <div className="fleet-tile-header">
+                <span className="fleet-tile-name">{kind.icon} {asset.name}</span>
+                <span className="fleet-tile-severity">{badge.icon} {status ? badge.label : 'Loading...'}</span>
+              </div>
+              <div className="fleet-tile-kind">{kind.label}</div>
+              {status?.error ? (
+                <div className="fleet-tile-error">⚠️ {status.error}</div>
+              ) : (
+                <div className="fleet-tile-metrics">
+                  {TILE_METRICS.map(metric => (
+                    <div key={metric.key} className="fleet-tile-metric">
+                      <span className="fleet-tile-metric-label">{metric.label}</span>
+                      <span className="fleet-tile-metric-value">
+                        {formatTileValue(status?.latest?.[metric.key], metric.precision)} {metric.unit}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {status?.alerts?.length > 0 && (
+                <div className="fleet-tile-alerts">
+                  {status.alerts.map(alert => alert.message).join(' • ')}
+                </div>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="footer">
+        <p>Industrial Health Monitoring System • Fleet status updates every 3 minutes</p>
+        <p className="footer-detail">Select an asset to open its detailed dashboard</p>
+      </div>
+    </div>
+  );
+};
+
+export default FleetOverview;
@@ -0,0 +1,82 @@
+import { getMetricAlert } from './alerts';
+import { QUALITY_FLAGS } from './quality';
+import { HEARTBEAT_STATUS, formatAge } from './heartbeat';
+
+// Quality badge level from the share of good values
+const qualityLevel = (score) => (score >= 95 ? 'good' : score >= 80 ? 'fair' : 'poor');
+
+// Tooltip listing how many values got each non-good flag
+const describeQuality = ({ counts }) => {
+  const problems = Object.entries(counts).filter(([flag, count]) => flag !== 'good' && count > 0);
+  return problems.length === 0
+    ? 'All values passed the data-quality checks'
+    : problems.map(([flag, count]) => `${QUALITY_FLAGS[flag].icon} ${QUALITY_FLAGS[flag].label}: ${count}`).join('\n');
+};
+
+// Reusable styled card component; its alert comes from the rule results for the latest reading
+// and quality ({ score, counts } from quality.js) is the metric's data-quality score.
+// heartbeat ({ status, ageMs } from heartbeat.js) marks a value that is no longer current.
+const MetricCard = ({ title, metric, value, unit, color1, color2, icon, ruleResults, quality = null, heartbeat = null, secondaryValue = null, secondaryLabel = null, missing = false }) => {
+  const alert = getMetricAlert(ruleResults, metric);
+  const isStale = !missing && (heartbeat?.status === 'stale' || heartbeat?.status === 'offline');
+  
+  const cardStyle = {
+    background: `linear-gradient(135deg, ${color1} 0%, ${color2} 100%)`
+  };
+
+  return (
+    <div className="metric-card" style={cardStyle}>
+      <div className="metric-card-header">
+        <h3 className="metric-card-title">{title}</h3>
+        {quality && quality.score !== null && !missing && (
+          <span className={`metric-card-quality metric-card-quality-${qualityLevel(quality.score)}`} title={describeQuality(quality)}>
+            Quality {quality.score}%
+          </span>
+        )}
+        <div className="metric-card-icon">{icon}</div>
+      </div>
+      <div className="metric-card-value-container">
+        <p className="metric-card-value">
+          {value} <span className="metric-card-unit">{unit}</span>
+        </p>
+        {alert && (
+          <div className="metric-alert" style={{ 
+            color: alert.color,
+            backgroundColor: alert.backgroundColor,
+            border: `1px solid ${alert.color}`
+          }}>
+            <div className="alert-content">
+              <div className="alert-header">
+                <span className="alert-icon">{alert.icon}</span>
+                <span className="alert-message">{alert.message}</span>
+              </div>
+              <div className="alert-description">{alert.description}</div>
+            </div>
+          </div>
+        )}
+        {isStale && (
+          <div className={`metric-card-stale metric-card-stale-${heartbeat.status}`}>
+            {HEARTBEAT_STATUS[heartbeat.status].icon} {HEARTBEAT_STATUS[heartbeat.status].label} - no reading for {formatAge(heartbeat.ageMs)}
+          </div>
+        )}
+        {missing && (
+          <div className="metric-card-missing">
+            ⚠️ No source column mapped
+          </div>
+        )}
+        {!alert && !missing && (
+          <div style={{fontSize: '10px', color: '#666', marginTop: '5px'}}>
+            ✅ Normal Range
+          </div>
+        )}
+        {secondaryValue && (
+          <div className="metric-card-secondary">
+            <span>{secondaryLabel}: {secondaryValue}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MetricCard;
@@ -0,0 +1,192 @@
+import { useMemo, useState } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, ReferenceLine } from 'recharts';
+import { formatReadingTime, getAxisTimeFormat } from './time';
+import { getZoomWindow } from './timeRange';
+import { downsampleSeries } from './downsample';
+import { QUALITY_FLAGS, findGaps } from './quality';
+
+// Points drawn per horizontal pixel, and the width assumed before the chart is measured
+const POINTS_PER_PIXEL = 1;
+const DEFAULT_CHART_WIDTH = 600;
+const ANOMALY_COLOR = '#dc2626';
+const WARNING_COLOR = '#f59e0b';
+const QUALITY_COLOR = '#f97316';
+const GAP_COLOR = '#9ca3af';
+const NO_ANOMALIES = new Map();
+const NO_QUALITY_ISSUES = new Map();
+const FORECAST_DECIMALS = 2;
+
+// Trend chart for one metric on a time axis. Drag across the plot to zoom into
+// a window (reported through onZoom); the drag itself is local state.
+// data is a time series from toTimeSeries, already limited to [domain]; it is
+// downsampled to the chart width, so zooming in brings back full resolution.
+// anomalies (time -> anomaly point from anomaly.js) are kept through downsampling
+// and drawn as red dots. qualityIssues (time -> quality flag from quality.js) are kept
+// the same way and drawn as hollow orange squares; stretches without values are shaded
+// grey so a gap is not mistaken for a flat line. forecast (from forecast.js) is drawn after the last reading as
+// a dashed line inside its confidence band, with the alert limit it reaches first.
+const MetricChart = ({ title, data, dataKey, color, unit, insight, anomalies = NO_ANOMALIES, qualityIssues = NO_QUALITY_ISSUES, forecast = null, displayTimeZone, domain, zoomed, syncId, onZoom, onResetZoom }) => {
+  const [dragStart, setDragStart] = useState(null);
+  const [dragEnd, setDragEnd] = useState(null);
+  const [width, setWidth] = useState(DEFAULT_CHART_WIDTH);
+  const gradientId = `gradient-${dataKey}`;
+  const maxPoints = Math.max(50, Math.round(width * POINTS_PER_PIXEL));
+  const anomalousRows = useMemo(() => data.filter(row => anomalies.has(row.time)), [data, anomalies]);
+  const flaggedRows = useMemo(() => data.filter(row => qualityIssues.has(row.time)), [data, qualityIssues]);
+  const points = useMemo(() => {
+    const sampled = downsampleSeries(data, dataKey, maxPoints);
+    const included = new Set(sampled);
+    const missing = [...anomalousRows, ...flaggedRows].filter(row => !included.has(row) && included.add(row));
+    return missing.length > 0 ? [...sampled, ...missing].sort((a, b) => a.time - b.time) : sampled;
+  }, [data, dataKey, maxPoints, anomalousRows, flaggedRows]);
+  const gaps = useMemo(() => findGaps(data, dataKey), [data, dataKey]);
+  // Projected rows follow the readings; the band is a [lower, upper] range area
+  const forecastRows = useMemo(() => (forecast ? forecast.points.map(point => ({
+    time: point.time,
+    forecast: point.forecast,
+    band: [point.lower, point.upper]
+  })) : []), [forecast]);
+  const rows = forecastRows.length > 0 ? [...points, ...forecastRows] : points;
+  const forecastEnd = forecastRows.length > 0 ? forecastRows[forecastRows.length - 1].time : null;
+  // The soonest limit is only drawn when the projection reaches it on screen
+  const crossing = forecast && forecast.crossings[0] && forecast.crossings[0].time <= forecastEnd ? forecast.crossings[0] : null;
+
+  const [from, to] = [
+    domain[0] ?? (data.length > 0 ? data[0].time : 0),
+    Math.max(domain[1] ?? (data.length > 0 ? data[data.length - 1].time : 0), forecastEnd ?? -Infinity)
+  ];
+  const axisTimeFormat = getAxisTimeFormat(to - from);
+
+  // Only anomalous and bad-quality samples get a dot
+  const renderDot = ({ cx, cy, payload, key }) => {
+    if (cx === undefined || cy === undefined || cx === null || cy === null) return null;
+    if (anomalies.has(payload.time)) return <circle key={key} cx={cx} cy={cy} r={4} fill={ANOMALY_COLOR} stroke="#fff" strokeWidth={1} />;
+    if (qualityIssues.has(payload.time)) return <rect key={key} x={cx - 3.5} y={cy - 3.5} width={7} height={7} fill="#fff" stroke={QUALITY_COLOR} strokeWidth={1.5} />;
+    return null;
+  };
+
+  const formatTooltipValue = (value, name, item) => {
+    if (item.dataKey === 'band') return [`${value[0].toFixed(FORECAST_DECIMALS)} – ${value[1].toFixed(FORECAST_DECIMALS)} ${unit}`, 'Confidence band'];
+    if (item.dataKey === 'forecast') return [`${value.toFixed(FORECAST_DECIMALS)} ${unit}`, 'Forecast'];
+    const anomaly = anomalies.get(item.payload.time);
+    const flag = qualityIssues.get(item.payload.time);
+    const anomalyText = anomaly ? ` ⚠️ anomaly (score ${anomaly.score.toFixed(1)}${anomaly.shift ? `, level shift ${anomaly.shift}` : ''})` : '';
+    const qualityText = flag ? ` ${QUALITY_FLAGS[flag].icon} ${QUALITY_FLAGS[flag].label.toLowerCase()}` : '';
+    return [`${value} ${unit}${anomalyText}${qualityText}`, title];
+  };
+
+  const finishDrag = () => {
+    const zoomWindow = getZoomWindow(dragStart, dragEnd);
+    setDragStart(null);
+    setDragEnd(null);
+    if (zoomWindow) onZoom(zoomWindow);
+  };
+
+  return (
+    <div className="chart-container">
+      <div className="chart-header">
+        <h3 className="chart-title">{title}</h3>
+        {anomalousRows.length > 0 && (
+          <span className="chart-anomaly-count" title="Samples flagged by the z-score, MAD or CUSUM detectors">
+            ⚠️ {anomalousRows.length} {anomalousRows.length === 1 ? 'anomaly' : 'anomalies'}
+          </span>
+        )}
+        {flaggedRows.length > 0 && (
+          <span className="chart-quality-count" title="Values that failed the data-quality checks (out of range, impossible jump or stuck sensor)">
+            ▢ {flaggedRows.length} suspect
+          </span>
+        )}
+        {zoomed && (
+          <button className="chart-reset-zoom" onClick={onResetZoom} title="Show the whole selected time range">
+            Reset zoom
+          </button>
+        )}
+      </div>
+      {insight && (
+        <div className={`insight-box ${insight.isAbnormal ? 'warning' : 'stable'}`}>
+          <div className="suggestions-list">
+            {insight.suggestion.map((suggestion, index) => (
+              <div key={index} className={index === 0 ? 'main-suggestion' : 'action-item'}>
+                {suggestion}
+              </div>
+            ))}
+          </div>
+          <div className="trend-info">
+            <span className="trend-label">Trend Analysis:</span> {insight.rateOfChange} change rate
+          </div>
+        </div>
+      )}
+      <div className="chart-body">
+        {data.length === 0 ? (
+          <div className="chart-empty">No readings in the selected time range</div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%" onResize={(newWidth) => newWidth > 0 && setWidth(Math.ceil(newWidth / 50) * 50)}>
+            <ComposedChart
+              data={rows}
+              syncId={syncId}
+              margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+              onMouseDown={(state) => state && state.activeLabel !== undefined && setDragStart(Number(state.activeLabel))}
+              onMouseMove={(state) => dragStart !== null && state && state.activeLabel !== undefined && setDragEnd(Number(state.activeLabel))}
+              onMouseUp={finishDrag}
+              onMouseLeave={finishDrag}
+            >
+              <defs>
+                <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor={color} stopOpacity={0.8}/>
+                  <stop offset="95%" stopColor={color} stopOpacity={0.2}/>
+                </linearGradient>
+              </defs>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              {gaps.map(([gapStart, gapEnd]) => (
+                <ReferenceArea key={gapStart} x1={gapStart} x2={gapEnd} fill={GAP_COLOR} fillOpacity={0.15} strokeOpacity={0} ifOverflow="hidden" />
+              ))}
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[from, to]}
+                allowDataOverflow
+                tick={{ fontSize: 9 }}
+                tickFormatter={(value) => formatReadingTime(value, displayTimeZone, axisTimeFormat)}
+              />
+              <YAxis unit={unit} tick={{ fontSize: 9 }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.9)', borderRadius: '4px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', fontSize: '11px' }}
+                formatter={formatTooltipValue}
+                labelFormatter={(label) => `Time: ${formatReadingTime(label, displayTimeZone)}`}
+              />
+              <Line
+                type="monotone"
+                dataKey={dataKey}
+                stroke={color}
+                strokeWidth={2}
+                dot={renderDot}
+                activeDot={{ r: 4, stroke: color, strokeWidth: 1 }}
+                fill={`url(#${gradientId})`}
+              />
+              {forecastRows.length > 0 && (
+                <Area type="monotone" dataKey="band" stroke="none" fill={color} fillOpacity={0.12} isAnimationActive={false} activeDot={false} />
+              )}
+              {forecastRows.length > 0 && (
+                <Line type="monotone" dataKey="forecast" stroke={color} strokeWidth={1.5} strokeDasharray="5 4" dot={false} isAnimationActive={false} />
+              )}
+              {crossing && (
+                <ReferenceLine
+                  y={crossing.limit}
+                  stroke={crossing.severity === 'critical' ? ANOMALY_COLOR : WARNING_COLOR}
+                  strokeDasharray="3 3"
+                  label={{ value: `${crossing.severity} in ${crossing.hours.toFixed(1)} h`, position: 'insideTopRight', fontSize: 9 }}
+                />
+              )}
+              {dragStart !== null && dragEnd !== null && (
+                <ReferenceArea x1={dragStart} x2={dragEnd} strokeOpacity={0.3} fill={color} fillOpacity={0.15} />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MetricChart;
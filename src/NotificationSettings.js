@@ -0,0 +1,129 @@
+import { SEVERITY_LABELS } from './alerts';
+import { CHANNEL_LABELS, TEMPLATE_PLACEHOLDERS, createNotifier, requestDesktopPermission, validateTemplate } from './notifications';
+
+const SEVERITIES = ['critical', 'warning'];
+
+// Alert sent by "Send Test"; it goes to every enabled channel that handles critical alerts
+const createTestAlert = (asset) => ({
+  key: `${asset.id}:test`,
+  ruleId: 'test',
+  metric: 'temperature',
+  severity: 'critical',
+  state: 'active',
+  message: '🧪 Test notification',
+  currentValue: '—',
+  threshold: '—',
+  description: `Notification test from ${asset.name}`,
+  raisedAt: Date.now(),
+  updatedAt: Date.now()
+});
+
+// Notification channel settings for an asset: enable, severity routing and rate limit
+// per channel, plus the webhook URL and payload template
+const NotificationSettings = ({ asset, settings, onChange }) => {
+  const updateChannel = (name, changes) => {
+    onChange({ ...settings, [name]: { ...settings[name], ...changes } });
+  };
+
+  const toggleChannel = async (name, enabled) => {
+    updateChannel(name, { enabled });
+    if (name === 'desktop' && enabled) {
+      const permission = await requestDesktopPermission();
+      if (permission !== 'granted') console.warn(`⚠️ Desktop notification permission: ${permission}`);
+    }
+  };
+
+  const toggleSeverity = (name, severity, checked) => {
+    const severities = settings[name].severities.filter(item => item !== severity);
+    updateChannel(name, { severities: checked ? [...severities, severity] : severities });
+  };
+
+  const templateIssue = settings.webhook.enabled ? validateTemplate(settings.webhook.template) : null;
+
+  return (
+    <div className="notification-settings">
+      <table className="preview-table">
+        <thead>
+          <tr>
+            <th>Channel</th>
+            {SEVERITIES.map(severity => <th key={severity}>{SEVERITY_LABELS[severity]}</th>)}
+            <th>Max per minute</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(CHANNEL_LABELS).map(name => (
+            <tr key={name}>
+              <td>
+                <label className="settings-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={settings[name].enabled}
+                    onChange={(e) => toggleChannel(name, e.target.checked)}
+                  />
+                  <span>{CHANNEL_LABELS[name]}</span>
+                </label>
+              </td>
+              {SEVERITIES.map(severity => (
+                <td key={severity}>
+                  <input
+                    type="checkbox"
+                    checked={settings[name].severities.includes(severity)}
+                    disabled={!settings[name].enabled}
+                    onChange={(e) => toggleSeverity(name, severity, e.target.checked)}
+                    title={`Send ${severity} alerts to this channel`}
+                  />
+                </td>
+              ))}
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings[name].maxPerMinute}
+                  disabled={!settings[name].enabled}
+                  onChange={(e) => updateChannel(name, { maxPerMinute: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {settings.webhook.enabled && (
+        <>
+          <label className="settings-field">
+            <span>Webhook URL</span>
+            <input
+              type="url"
+              placeholder="http://localhost:4001/alerts"
+              value={settings.webhook.url}
+              onChange={(e) => updateChannel('webhook', { url: e.target.value.trim() })}
+            />
+          </label>
+          <label className="settings-field">
+            <span>Payload template</span>
+            <textarea
+              className="webhook-template"
+              rows={8}
+              spellCheck={false}
+              value={settings.webhook.template}
+              onChange={(e) => updateChannel('webhook', { template: e.target.value })}
+            />
+          </label>
+          <p className="settings-hint">
+            Placeholders: {TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(' ')}
+          </p>
+          {templateIssue && <p className="settings-error">{templateIssue}</p>}
+        </>
+      )}
+      <button
+        className="refresh-button"
+        onClick={() => createNotifier(settings).notify([createTestAlert(asset)], asset)}
+        disabled={Boolean(templateIssue)}
+        title="Send a test alert to every enabled channel that handles critical alerts"
+      >
+        Send Test
+      </button>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import { METRIC_INFO, METRIC_KEYS } from './dataSources';
+import { MAX_LOGO_BYTES, MAX_RAW_DATA_ROWS, ORIENTATIONS, PAGE_SIZES, RAW_DATA_AGGREGATIONS, REPORT_SECTIONS, REPORT_TIME_RANGES, createReportTemplate, validateReportTemplate } from './report';
+
+// Toggle an item in a list, keeping the order of `order`
+const toggleItem = (list, item, order) => {
+  const next = list.includes(item) ? list.filter(entry => entry !== item) : [...list, item];
+  return order.filter(entry => next.includes(entry));
+};
+
+// PDF report builder: saved templates that generate with one click, and an editor for the
+// sections, metrics, time range, raw data listing, company name and logo, and page setup
+const ReportBuilder = ({ templates, generating, onSaveTemplates, onGenerate, onClose }) => {
+  const [draft, setDraft] = useState(templates[0] || createReportTemplate(templates));
+  const [logoError, setLogoError] = useState(null);
+  const isSaved = templates.some(template => template.id === draft.id);
+  const saved = templates.find(template => template.id === draft.id);
+  const isChanged = !saved || JSON.stringify(saved) !== JSON.stringify(draft);
+  const issues = validateReportTemplate(draft, templates);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const selectTemplate = (template) => {
+    setDraft(template);
+    setLogoError(null);
+  };
+
+  const saveTemplate = () => {
+    const template = { ...draft, name: draft.name.trim(), companyName: draft.companyName.trim() };
+    onSaveTemplates(isSaved
+      ? templates.map(item => (item.id === template.id ? template : item))
+      : [...templates, template]);
+    setDraft(template);
+  };
+
+  const deleteTemplate = () => {
+    const remaining = templates.filter(template => template.id !== draft.id);
+    onSaveTemplates(remaining);
+    setDraft(remaining[0] || createReportTemplate(remaining));
+  };
+
+  const handleLogo = (file) => {
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError(`The logo is ${Math.round(file.size / 1024)} KB; use an image under ${MAX_LOGO_BYTES / 1024} KB.`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setLogoError(null);
+      update({ logo: reader.result });
+    };
+    reader.onerror = () => setLogoError('The logo could not be read.');
+    reader.readAsDataURL(file);
+  };
+
+  return (
+    <div className="alert-modal-overlay" onClick={onClose}>
+      <div className="alert-modal settings-modal report-builder-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="alert-modal-header">
+          <h3>📄 PDF Report</h3>
+          <button className="close-modal-btn" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="alert-modal-content">
+          <section className="settings-section">
+            <h4 className="settings-section-title">Templates</h4>
+            <div className="report-templates">
+              {templates.map(template => (
+                <div key={template.id} className={`report-template ${template.id === draft.id ? 'selected' : ''}`}>
+                  <button className="report-template-name" onClick={() => selectTemplate(template)} title="Edit this template">
+                    {template.name}
+                  </button>
+                  <span className="settings-hint">
+                    {REPORT_TIME_RANGES[template.timeRange]} • {PAGE_SIZES[template.pageSize]} {ORIENTATIONS[template.orientation].toLowerCase()}
+                  </span>
+                  <button className="refresh-button" onClick={() => onGenerate(template)} disabled={generating}>
+                    Generate
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="settings-actions">
+              <button className="refresh-button" onClick={() => selectTemplate(createReportTemplate(templates))}>+ New Template</button>
+              {isSaved && (
+                <button className="refresh-button" onClick={() => selectTemplate(createReportTemplate(templates, draft))}>Duplicate</button>
+              )}
+            </div>
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">{isSaved ? `Edit "${saved.name}"` : 'New template'}</h4>
+            <div className="column-map-grid">
+              <label className="settings-field">
+                <span>Template name</span>
+                <input type="text" value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+              </label>
+              <label className="settings-field">
+                <span>Time range</span>
+                <select value={draft.timeRange} onChange={(e) => update({ timeRange: e.target.value })}>
+                  {Object.entries(REPORT_TIME_RANGES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="settings-field">
+                <span>Page size</span>
+                <select value={draft.pageSize} onChange={(e) => update({ pageSize: e.target.value })}>
+                  {Object.entries(PAGE_SIZES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="settings-field">
+                <span>Orientation</span>
+                <select value={draft.orientation} onChange={(e) => update({ orientation: e.target.value })}>
+                  {Object.entries(ORIENTATIONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="settings-field">
+                <span>Company name</span>
+                <input type="text" placeholder="Printed in the header" value={draft.companyName} onChange={(e) => update({ companyName: e.target.value })} />
+              </label>
+              <label className="settings-field">
+                <span>Company logo (PNG or JPEG)</span>
+                <input type="file" accept="image/png,image/jpeg" onChange={(e) => handleLogo(e.target.files[0])} />
+              </label>
+            </div>
+            {draft.logo && (
+              <div className="report-logo">
+                <img src={draft.logo} alt="Company logo" />
+                <button className="dismiss-alert-btn" onClick={() => update({ logo: null })} title="Remove logo">×</button>
+              </div>
+            )}
+            {logoError && <p className="settings-error">{logoError}</p>}
+
+            <div className="report-choices">
+              <div>
+                <span className="settings-hint">Sections</span>
+                {Object.entries(REPORT_SECTIONS).map(([section, label]) => (
+                  <label key={section} className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={draft.sections.includes(section)}
+                      onChange={() => update({ sections: toggleItem(draft.sections, section, Object.keys(REPORT_SECTIONS)) })}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+              <div>
+                <span className="settings-hint">Metrics</span>
+                {METRIC_KEYS.map(metric => (
+                  <label key={metric} className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={draft.metrics.includes(metric)}
+                      onChange={() => update({ metrics: toggleItem(draft.metrics, metric, METRIC_KEYS) })}
+                    />
+                    <span>{METRIC_INFO[metric].icon} {METRIC_INFO[metric].label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            {draft.sections.includes('rawData') && (
+              <>
+                <div className="column-map-grid">
+                  <label className="settings-field">
+                    <span>Raw data rows</span>
+                    <select
+                      value={RAW_DATA_AGGREGATIONS[draft.rawDataAggregation] ? draft.rawDataAggregation : 'auto'}
+                      onChange={(e) => update({ rawDataAggregation: e.target.value })}
+                    >
+                      {Object.entries(RAW_DATA_AGGREGATIONS).map(([value, { label }]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <p className="settings-hint">
+                  The raw data covers the whole time range. Automatic lists every reading up to {MAX_RAW_DATA_ROWS.toLocaleString()} rows,
+                  then the 15-minute, hourly or daily minimum, average and maximum.
+                </p>
+              </>
+            )}
+            {issues.map(issue => <p key={issue} className="settings-error">{issue}</p>)}
+          </section>
+
+          <div className="alert-modal-actions">
+            {isSaved && (
+              <button className="dismiss-all-btn" onClick={deleteTemplate}>
+                Delete Template
+              </button>
+            )}
+            <button className="dismiss-all-btn" onClick={saveTemplate} disabled={issues.length > 0 || !isChanged}>
+              Save Template
+            </button>
+            <button className="refresh-button" onClick={() => onGenerate(draft)} disabled={issues.length > 0 || generating}>
+              {generating ? '⏳ Generating PDF...' : 'Generate PDF'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportBuilder;
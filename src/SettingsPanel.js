@@ -0,0 +1,744 @@
+import { useState } from 'react';
+import {
+  FIELD_LABELS,
+  METRIC_KEYS,
+  autoDetectColumnMap,
+  createDataSource,
+  normalizeReading,
+  validateColumnMap
+} from './dataSources';
+import { ASSET_KINDS } from './config';
+import { SCENARIOS } from './simulator';
+import { TIME_ZONE_OPTIONS, formatReadingTime } from './time';
+import { validateRules } from './rules';
+import { validateDerived } from './derived';
+import AlertRulesEditor from './AlertRulesEditor';
+import DerivedMetricsEditor from './DerivedMetricsEditor';
+import NotificationSettings from './NotificationSettings';
+import { validateTemplate } from './notifications';
+
+const SOURCE_TYPES = [
+  { value: 'googleSheets', label: 'Google Sheet' },
+  { value: 'rest', label: 'REST API (JSON)' },
+  { value: 'csv', label: 'CSV URL' },
+  { value: 'localFile', label: 'Local File' },
+  { value: 'simulator', label: 'Simulator' }
+];
+
+const STREAM_URL_PLACEHOLDERS = {
+  sse: 'http://localhost:4000/events',
+  websocket: 'ws://localhost:4000/ws',
+  mqtt: 'ws://localhost:9001'
+};
+
+const PREVIEW_ROWS = 5;
+
+// Anomaly detector, forecast and heartbeat settings: label, input step, allowed range and
+// whether only whole numbers make sense
+const ANOMALY_FIELDS = {
+  window: { label: 'Window (readings)', step: 1, min: 5, integer: true },
+  zThreshold: { label: 'Z-score threshold', step: 0.1, min: 0.5 },
+  madThreshold: { label: 'MAD score threshold', step: 0.1, min: 0.5 },
+  ewmaAlpha: { label: 'EWMA smoothing (0–1)', step: 0.05, min: 0.01, max: 1 },
+  cusumDrift: { label: 'CUSUM slack (σ)', step: 0.1, min: 0 },
+  cusumThreshold: { label: 'CUSUM threshold (σ)', step: 0.5, min: 0.5 }
+};
+
+const FORECAST_FIELDS = {
+  lookback: { label: 'Fit window (readings)', step: 1, min: 5, integer: true },
+  horizonRatio: { label: 'Projection (× fitted span)', step: 0.1, min: 0.1, max: 2 },
+  confidence: { label: 'Band confidence (0.5–0.99)', step: 0.01, min: 0.5, max: 0.99 },
+  maxLeadHours: { label: 'Time-to-limit horizon (h)', step: 1, min: 1 }
+};
+
+const HEARTBEAT_FIELDS = {
+  expectedIntervalMinutes: { label: 'Expected interval (min, 0 = auto)', step: 1, min: 0 },
+  staleIntervals: { label: 'Stale after (× interval)', step: 1, min: 1 },
+  offlineIntervals: { label: 'Offline after (× interval)', step: 1, min: 1 }
+};
+
+// Asset settings screen: name, data source, sheet/tab, column mapping with a parsed preview, and alert rules
+const SettingsPanel = ({ asset, localFile, onSave, onRemove, onClose }) => {
+  const [draft, setDraft] = useState(asset);
+  const [table, setTable] = useState(null);
+  const [loadingColumns, setLoadingColumns] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  const sourceType = draft.dataSource.type;
+  const draftSource = createDataSource(draft.dataSource, { file: localFile, columnMap: draft.columnMap });
+  const columnMap = draftSource.columnMap;
+
+  const updateSourceOption = (key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      dataSource: {
+        ...prev.dataSource,
+        [sourceType]: { ...prev.dataSource[sourceType], [key]: value }
+      }
+    }));
+  };
+
+  // A new seed or scenario replays from now so the fault develops in front of the operator
+  const restartSimulation = (changes = {}) => {
+    setTable(null);
+    setDraft(prev => ({
+      ...prev,
+      dataSource: {
+        ...prev.dataSource,
+        simulator: { ...prev.dataSource.simulator, ...changes, startedAt: Date.now() }
+      }
+    }));
+  };
+
+  const updateSourceType = (type) => {
+    setTable(null);
+    setLoadError(null);
+    setDraft(prev => ({ ...prev, dataSource: { ...prev.dataSource, type }, columnMap: null }));
+  };
+
+  const updateColumn = (field, column) => {
+    setDraft(prev => ({ ...prev, columnMap: { ...columnMap, [field]: column || null } }));
+  };
+
+  // Fetch the source headers and a few rows so the mapping can be checked before saving
+  const loadColumns = async () => {
+    setLoadingColumns(true);
+    setLoadError(null);
+    try {
+      const loaded = await draftSource.fetchTable();
+      setTable(loaded);
+      console.log(`✅ Loaded ${loaded.headers.length} columns from ${draftSource.label}`);
+    } catch (error) {
+      console.error('❌ ERROR: Could not load columns:', error.message);
+      setTable(null);
+      setLoadError(error.message);
+    } finally {
+      setLoadingColumns(false);
+    }
+  };
+
+  const updateStream = (key, value) => {
+    setDraft(prev => ({ ...prev, stream: { ...prev.stream, [key]: value } }));
+  };
+
+  const updateMqtt = (key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      stream: { ...prev.stream, mqtt: { ...prev.stream.mqtt, [key]: value } }
+    }));
+  };
+
+  const updateMqttTopic = (index, key, value) => {
+    updateMqtt('topics', draft.stream.mqtt.topics.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)));
+  };
+
+  const addMqttTopic = () => {
+    updateMqtt('topics', [...draft.stream.mqtt.topics, { topic: '', metric: 'temperature', path: '' }]);
+  };
+
+  const removeMqttTopic = (index) => {
+    updateMqtt('topics', draft.stream.mqtt.topics.filter((entry, i) => i !== index));
+  };
+
+  // Out-of-range values are clamped when saving so decimals can be typed freely
+  const updateTuning = (section, fields, key, value) => {
+    const number = fields[key].integer ? parseInt(value, 10) : parseFloat(value);
+    setDraft(prev => ({ ...prev, [section]: { ...prev[section], [key]: isNaN(number) ? fields[key].min : number } }));
+  };
+
+  const clampTuning = (values, fields) => Object.fromEntries(Object.entries(values).map(([key, value]) => (
+    [key, Math.min(fields[key]?.max ?? Infinity, Math.max(fields[key]?.min ?? 0, value))]
+  )));
+
+  const renderTuningFields = (section, fields) => (
+    <div className="column-map-grid">
+      {Object.entries(fields).map(([key, { label, step, min, max }]) => (
+        <label key={key} className="settings-field">
+          <span>{label}</span>
+          <input
+            type="number"
+            min={min}
+            max={max}
+            step={step}
+            value={draft[section][key]}
+            onChange={(e) => updateTuning(section, fields, key, e.target.value)}
+          />
+        </label>
+      ))}
+    </div>
+  );
+
+  // Empty limits mean "not checked"
+  const updateQualityLimit = (metric, field, value) => {
+    const parsed = field === 'allowFlat' ? value : (value === '' ? null : parseFloat(value));
+    setDraft(prev => ({
+      ...prev,
+      quality: {
+        ...prev.quality,
+        limits: { ...prev.quality.limits, [metric]: { ...prev.quality.limits[metric], [field]: isNaN(parsed) ? null : parsed } }
+      }
+    }));
+  };
+
+  const updateRetention = (key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      cacheRetention: { ...prev.cacheRetention, [key]: Math.max(1, parseInt(value, 10) || 1) }
+    }));
+  };
+
+  const ruleIssues = validateRules(draft.alertRules);
+  const derivedIssues = validateDerived(draft.derivedMetrics, draft.consistencyRules);
+  const templateIssue = draft.notifications.webhook.enabled ? validateTemplate(draft.notifications.webhook.template) : null;
+
+  const autoDetect = () => {
+    if (!table) return;
+    setDraft(prev => ({ ...prev, columnMap: autoDetectColumnMap(table.headers) }));
+  };
+
+  const issues = table ? validateColumnMap(table.headers, columnMap) : [];
+  const previewRows = table ? table.rows.slice(-PREVIEW_ROWS).map(row => normalizeReading(row, columnMap, draftSource.timeZone)) : [];
+  const missingFields = new Set(issues.map(issue => issue.field));
+
+  return (
+    <div className="alert-modal-overlay" onClick={onClose}>
+      <div className="alert-modal settings-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="alert-modal-header settings-modal-header">
+          <h3>⚙️ Asset Settings</h3>
+          <button className="close-modal-btn" onClick={onClose}>×</button>
+        </div>
+        <div className="alert-modal-content">
+          <section className="settings-section">
+            <h4 className="settings-section-title">Asset</h4>
+            <div className="column-map-grid">
+              <label className="settings-field">
+                <span>Name</span>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </label>
+              <label className="settings-field">
+                <span>Kind</span>
+                <select value={draft.kind} onChange={(e) => setDraft(prev => ({ ...prev, kind: e.target.value }))}>
+                  {Object.entries(ASSET_KINDS).map(([kind, { label, icon }]) => (
+                    <option key={kind} value={kind}>{icon} {label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Data Source</h4>
+            <label className="settings-field">
+              <span>Source type</span>
+              <select value={sourceType} onChange={(e) => updateSourceType(e.target.value)}>
+                {SOURCE_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="settings-field">
+              <span>Source time zone</span>
+              <select
+                value={draft.dataSource.timeZone || ''}
+                onChange={(e) => setDraft(prev => ({ ...prev, dataSource: { ...prev.dataSource, timeZone: e.target.value } }))}
+              >
+                {TIME_ZONE_OPTIONS.map(zone => (
+                  <option key={zone.value} value={zone.value}>{zone.label}</option>
+                ))}
+              </select>
+            </label>
+
+            {sourceType === 'googleSheets' && (
+              <>
+                <label className="settings-field">
+                  <span>Sheet ID</span>
+                  <input
+                    type="text"
+                    value={draft.dataSource.googleSheets.sheetId}
+                    onChange={(e) => updateSourceOption('sheetId', e.target.value.trim())}
+                  />
+                </label>
+                <label className="settings-field">
+                  <span>Tab name</span>
+                  <input
+                    type="text"
+                    value={draft.dataSource.googleSheets.sheetName}
+                    onChange={(e) => updateSourceOption('sheetName', e.target.value)}
+                  />
+                </label>
+              </>
+            )}
+
+            {sourceType === 'rest' && (
+              <>
+                <label className="settings-field">
+                  <span>Endpoint URL</span>
+                  <input
+                    type="url"
+                    value={draft.dataSource.rest.url}
+                    onChange={(e) => updateSourceOption('url', e.target.value.trim())}
+                  />
+                </label>
+                <label className="settings-field">
+                  <span>Rows path</span>
+                  <input
+                    type="text"
+                    placeholder="e.g. data.readings"
+                    value={draft.dataSource.rest.rowsPath}
+                    onChange={(e) => updateSourceOption('rowsPath', e.target.value.trim())}
+                  />
+                </label>
+                <label className="settings-field">
+                  <span>Cursor parameter</span>
+                  <input
+                    type="text"
+                    placeholder="e.g. offset (leave empty if unsupported)"
+                    value={draft.dataSource.rest.cursorParam}
+                    onChange={(e) => updateSourceOption('cursorParam', e.target.value.trim())}
+                  />
+                </label>
+              </>
+            )}
+
+            {sourceType === 'csv' && (
+              <label className="settings-field">
+                <span>CSV URL</span>
+                <input
+                  type="url"
+                  value={draft.dataSource.csv.url}
+                  onChange={(e) => updateSourceOption('url', e.target.value.trim())}
+                />
+              </label>
+            )}
+
+            {sourceType === 'localFile' && (
+              <p className="settings-hint">
+                {localFile ? `Using ${localFile.name}.` : 'Choose a file in the connection panel after saving.'}
+              </p>
+            )}
+
+            {sourceType === 'simulator' && (
+              <>
+                <label className="settings-field">
+                  <span>Scenario</span>
+                  <select
+                    value={draft.dataSource.simulator.scenario}
+                    onChange={(e) => restartSimulation({ scenario: e.target.value })}
+                  >
+                    {Object.entries(SCENARIOS).map(([value, scenario]) => (
+                      <option key={value} value={value}>{scenario.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <p className="settings-hint">
+                  {(SCENARIOS[draft.dataSource.simulator.scenario] || SCENARIOS.normal).description}
+                </p>
+                <label className="settings-field">
+                  <span>Seed</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.dataSource.simulator.seed}
+                    onChange={(e) => restartSimulation({ seed: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  />
+                </label>
+                <label className="settings-field">
+                  <span>Sample interval (s)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.dataSource.simulator.intervalMs / 1000}
+                    onChange={(e) => updateSourceOption('intervalMs', Math.max(1, parseInt(e.target.value, 10) || 1) * 1000)}
+                  />
+                </label>
+                <label className="settings-field">
+                  <span>Normal samples before fault</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={draft.dataSource.simulator.historySamples}
+                    onChange={(e) => updateSourceOption('historySamples', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                  />
+                </label>
+                <div className="settings-actions">
+                  <button className="refresh-button" onClick={() => restartSimulation()}>
+                    Restart Scenario
+                  </button>
+                  <span className="settings-hint">
+                    {draft.dataSource.simulator.startedAt
+                      ? `Started ${new Date(draft.dataSource.simulator.startedAt).toLocaleString()}`
+                      : 'Starts when the dashboard loads'}
+                  </span>
+                </div>
+              </>
+            )}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Live Stream</h4>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={draft.stream.enabled}
+                onChange={(e) => updateStream('enabled', e.target.checked)}
+              />
+              <span>Subscribe to pushed readings (polling continues while the stream is down)</span>
+            </label>
+            {draft.stream.enabled && (
+              <div className="column-map-grid">
+                <label className="settings-field">
+                  <span>Protocol</span>
+                  <select value={draft.stream.type} onChange={(e) => updateStream('type', e.target.value)}>
+                    <option value="sse">Server-Sent Events</option>
+                    <option value="websocket">WebSocket</option>
+                    <option value="mqtt">MQTT over WebSocket</option>
+                  </select>
+                </label>
+                <label className="settings-field">
+                  <span>{draft.stream.type === 'mqtt' ? 'Broker URL' : 'Stream URL'}</span>
+                  <input
+                    type="url"
+                    placeholder={STREAM_URL_PLACEHOLDERS[draft.stream.type]}
+                    value={draft.stream.url}
+                    onChange={(e) => updateStream('url', e.target.value.trim())}
+                  />
+                </label>
+                {draft.stream.type === 'mqtt' && (
+                  <>
+                    <label className="settings-field">
+                      <span>Username</span>
+                      <input
+                        type="text"
+                        value={draft.stream.mqtt.username}
+                        onChange={(e) => updateMqtt('username', e.target.value)}
+                      />
+                    </label>
+                    <label className="settings-field">
+                      <span>Password</span>
+                      <input
+                        type="password"
+                        value={draft.stream.mqtt.password}
+                        onChange={(e) => updateMqtt('password', e.target.value)}
+                      />
+                    </label>
+                    <label className="settings-field">
+                      <span>Merge window (ms)</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={draft.stream.mqtt.batchMs}
+                        onChange={(e) => updateMqtt('batchMs', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                      />
+                    </label>
+                  </>
+                )}
+              </div>
+            )}
+            {draft.stream.enabled && draft.stream.type === 'mqtt' && (
+              <div className="mqtt-topics">
+                <table className="preview-table">
+                  <thead>
+                    <tr>
+                      <th>Topic (+ and # wildcards)</th>
+                      <th>Metric</th>
+                      <th>JSON path</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.stream.mqtt.topics.map((entry, index) => (
+                      <tr key={index}>
+                        <td>
+                          <input
+                            type="text"
+                            value={entry.topic}
+                            onChange={(e) => updateMqttTopic(index, 'topic', e.target.value.trim())}
+                          />
+                        </td>
+                        <td>
+                          <select value={entry.metric} onChange={(e) => updateMqttTopic(index, 'metric', e.target.value)}>
+                            {METRIC_KEYS.map(metric => (
+                              <option key={metric} value={metric}>{FIELD_LABELS[metric]}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <input
+                            type="text"
+                            placeholder="(whole payload)"
+                            value={entry.path}
+                            onChange={(e) => updateMqttTopic(index, 'path', e.target.value.trim())}
+                          />
+                        </td>
+                        <td>
+                          <button className="dismiss-alert-btn" onClick={() => removeMqttTopic(index)} title="Remove mapping">
+                            ×
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <button className="refresh-button" onClick={addMqttTopic}>+ Add Topic</button>
+              </div>
+            )}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Column Mapping</h4>
+            <div className="settings-actions">
+              <button className="refresh-button" onClick={loadColumns} disabled={loadingColumns}>
+                {loadingColumns ? '⏳ Loading...' : 'Load Columns'}
+              </button>
+              <button className="refresh-button" onClick={autoDetect} disabled={!table}>
+                Auto-detect
+              </button>
+            </div>
+            {loadError && <div className="error-alert">{loadError}</div>}
+
+            <div className="column-map-grid">
+              {Object.keys(FIELD_LABELS).map(field => (
+                <label key={field} className={`settings-field ${missingFields.has(field) ? 'settings-field-missing' : ''}`}>
+                  <span>{FIELD_LABELS[field]}</span>
+                  {table ? (
+                    <select value={columnMap[field] || ''} onChange={(e) => updateColumn(field, e.target.value)}>
+                      <option value="">— Not mapped —</option>
+                      {!table.headers.includes(columnMap[field]) && columnMap[field] && (
+                        <option value={columnMap[field]}>{columnMap[field]} (missing)</option>
+                      )}
+                      {table.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={columnMap[field] || ''}
+                      placeholder="Not mapped"
+                      onChange={(e) => updateColumn(field, e.target.value)}
+                    />
+                  )}
+                </label>
+              ))}
+            </div>
+
+            {issues.length > 0 && (
+              <ul className="column-issues">
+                {issues.map(issue => (
+                  <li key={issue.field}>⚠️ {issue.message}</li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {table && (
+            <section className="settings-section">
+              <h4 className="settings-section-title">
+                Preview (last {previewRows.length} of {table.rows.length} rows)
+              </h4>
+              <div className="preview-table-wrapper">
+                <table className="preview-table">
+                  <thead>
+                    <tr>
+                      {Object.keys(FIELD_LABELS).map(field => (
+                        <th key={field}>{FIELD_LABELS[field]}</th>
+                      ))}
+                      <th>Parsed time (UTC)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((reading, index) => (
+                      <tr key={index}>
+                        {Object.keys(FIELD_LABELS).map(field => (
+                          <td key={field} className={reading[field] === null ? 'preview-missing' : ''}>
+                            {missingFields.has(field) || reading[field] === null ? 'missing' : String(reading[field])}
+                          </td>
+                        ))}
+                        <td className={reading.time === null ? 'preview-missing' : ''}>
+                          {reading.time === null ? 'unparsed' : formatReadingTime(reading.time, 'UTC')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Alert Rules</h4>
+            <p className="settings-hint">
+              Cards, alerts, the fleet overview and PDF reports all use these rules. Leave a limit empty to skip it.
+            </p>
+            <AlertRulesEditor
+              rules={draft.alertRules}
+              onChange={(alertRules) => setDraft(prev => ({ ...prev, alertRules }))}
+            />
+            {ruleIssues.length > 0 && (
+              <ul className="settings-error">
+                {ruleIssues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            )}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Derived Metrics &amp; Consistency</h4>
+            <p className="settings-hint">
+              Virtual metrics computed from the measured ones, and checks that raise a sensor disagreement alert when a measured value and the value expected from the others drift apart.
+            </p>
+            <DerivedMetricsEditor
+              derivedMetrics={draft.derivedMetrics}
+              consistencyRules={draft.consistencyRules}
+              onChangeDerived={(derivedMetrics) => setDraft(prev => ({ ...prev, derivedMetrics }))}
+              onChangeConsistency={(consistencyRules) => setDraft(prev => ({ ...prev, consistencyRules }))}
+            />
+            {derivedIssues.length > 0 && (
+              <ul className="settings-error">
+                {derivedIssues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            )}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Notifications</h4>
+            <p className="settings-hint">
+              Channels notified when an alert is raised or escalates, so it is seen even when this tab is in the background.
+            </p>
+            <NotificationSettings
+              asset={draft}
+              settings={draft.notifications}
+              onChange={(notifications) => setDraft(prev => ({ ...prev, notifications }))}
+            />
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Anomaly Detection</h4>
+            <p className="settings-hint">
+              Samples far from the recent readings (rolling z-score or robust MAD score) or where CUSUM sees a level shift are highlighted on the charts.
+            </p>
+            {renderTuningFields('anomaly', ANOMALY_FIELDS)}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Forecast</h4>
+            <p className="settings-hint">
+              A trend line fitted through the latest readings is projected on the charts with a confidence band; cards report when it reaches an alert rule limit.
+            </p>
+            {renderTuningFields('forecast', FORECAST_FIELDS)}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Data Quality</h4>
+            <p className="settings-hint">
+              Values outside the physical range, changing faster than the max step per minute, or repeating for the given number of readings are flagged on the charts and lower the quality score on the cards. Leave a limit empty to skip it.
+            </p>
+            <label className="settings-field">
+              <span>Stuck after identical readings</span>
+              <input
+                type="number"
+                min="2"
+                step="1"
+                value={draft.quality.stuckSamples}
+                onChange={(e) => setDraft(prev => ({ ...prev, quality: { ...prev.quality, stuckSamples: Math.max(2, parseInt(e.target.value, 10) || 2) } }))}
+              />
+            </label>
+            <div className="mqtt-topics">
+              <table className="preview-table quality-limits">
+                <thead>
+                  <tr>
+                    <th>Metric</th>
+                    <th>Min</th>
+                    <th>Max</th>
+                    <th>Max step / min</th>
+                    <th title="The value may legitimately stay the same for a long time">May stay flat</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRIC_KEYS.map(metric => {
+                    const limits = draft.quality.limits[metric] || {};
+                    return (
+                      <tr key={metric}>
+                        <td>{FIELD_LABELS[metric]}</td>
+                        {['min', 'max', 'maxStepPerMinute'].map(field => (
+                          <td key={field}>
+                            <input
+                              type="number"
+                              step="any"
+                              value={limits[field] ?? ''}
+                              onChange={(e) => updateQualityLimit(metric, field, e.target.value)}
+                            />
+                          </td>
+                        ))}
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={Boolean(limits.allowFlat)}
+                            onChange={(e) => updateQualityLimit(metric, 'allowFlat', e.target.checked)}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Stale Data</h4>
+            <p className="settings-hint">
+              The newest reading of the asset and of each sensor is compared with the expected sample interval (plus one poll interval). Older data is shown as stale or offline on the cards and raises a "no data" alert.
+            </p>
+            {renderTuningFields('heartbeat', HEARTBEAT_FIELDS)}
+          </section>
+
+          <section className="settings-section">
+            <h4 className="settings-section-title">Local History Cache</h4>
+            <div className="column-map-grid">
+              <label className="settings-field">
+                <span>Max readings kept</span>
+                <input
+                  type="number"
+                  min="100"
+                  value={draft.cacheRetention.maxReadings}
+                  onChange={(e) => updateRetention('maxReadings', e.target.value)}
+                />
+              </label>
+              <label className="settings-field">
+                <span>Max age (days)</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.cacheRetention.maxAgeDays}
+                  onChange={(e) => updateRetention('maxAgeDays', e.target.value)}
+                />
+              </label>
+            </div>
+          </section>
+
+          <div className="alert-modal-actions">
+            {onRemove && (
+              <button className="dismiss-all-btn" onClick={onRemove}>
+                Remove Asset
+              </button>
+            )}
+            <button
+              className="refresh-button"
+              onClick={() => onSave({ ...draft, name: draft.name.trim() || asset.name, anomaly: clampTuning(draft.anomaly, ANOMALY_FIELDS), forecast: clampTuning(draft.forecast, FORECAST_FIELDS), heartbeat: clampTuning(draft.heartbeat, HEARTBEAT_FIELDS) })}
+              disabled={ruleIssues.length > 0 || derivedIssues.length > 0 || Boolean(templateIssue)}
+            >
+              Save Settings
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
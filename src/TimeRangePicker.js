@@ -0,0 +1,72 @@
+import { TIME_RANGE_PRESETS } from './timeRange';
+import { parseReadingTime, toReadingTimeFields } from './time';
+
+// <input type="datetime-local"> value for an instant in the display time zone
+const toInputValue = (ms, timeZone) => {
+  if (ms === null || ms === undefined) return '';
+  const { date, timestamp } = toReadingTimeFields(ms, timeZone);
+  return `${date}T${timestamp.slice(0, 5)}`;
+};
+
+const fromInputValue = (value, timeZone) => (value ? parseReadingTime(value.slice(0, 10), value.slice(11), timeZone) : null);
+
+// Global time range for the charts, with the zoom sync toggle and reset
+const TimeRangePicker = ({ range, displayTimeZone, syncZoom, zoomed, onChange, onSyncZoomChange, onResetZoom }) => {
+  const selectPreset = (preset) => {
+    if (preset === 'custom') {
+      // Start the custom window from the last 24 hours so both ends have a value
+      const now = Date.now();
+      onChange({ preset, from: now - TIME_RANGE_PRESETS.day.durationMs, to: now });
+    } else {
+      onChange({ preset });
+    }
+  };
+
+  return (
+    <div className="time-range-picker">
+      <div className="time-range-presets">
+        {Object.entries(TIME_RANGE_PRESETS).map(([preset, { label }]) => (
+          <button
+            key={preset}
+            className={`time-range-button ${range.preset === preset ? 'time-range-button-active' : ''}`}
+            onClick={() => selectPreset(preset)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {range.preset === 'custom' && (
+        <div className="time-range-custom">
+          <label>
+            From
+            <input
+              type="datetime-local"
+              value={toInputValue(range.from, displayTimeZone)}
+              onChange={(e) => onChange({ ...range, from: fromInputValue(e.target.value, displayTimeZone) })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="datetime-local"
+              value={toInputValue(range.to, displayTimeZone)}
+              onChange={(e) => onChange({ ...range, to: fromInputValue(e.target.value, displayTimeZone) })}
+            />
+          </label>
+        </div>
+      )}
+      <div className="time-range-zoom">
+        <label className="settings-checkbox">
+          <input type="checkbox" checked={syncZoom} onChange={(e) => onSyncZoomChange(e.target.checked)} />
+          <span>Sync zoom across charts</span>
+        </label>
+        <button className="refresh-button" onClick={onResetZoom} disabled={!zoomed}>
+          Reset Zoom
+        </button>
+      </div>
+      <p className="time-range-hint">Drag across a chart to zoom in.</p>
+    </div>
+  );
+};
+
+export default TimeRangePicker;
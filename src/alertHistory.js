@@ -0,0 +1,113 @@
+// alertHistory.js - Alert event log for root-cause reviews
+//
+// Every lifecycle change of an alert (alertState.js) becomes an event with the
+// reading values at that moment: raised, escalated, acknowledged, snoozed and
+// cleared. Events are stored per asset in IndexedDB (historyCache.js); this
+// module builds, filters, exports and lays them out on a timeline.
+
+import { FIELD_LABELS, METRIC_KEYS } from './dataSources';
+import { formatReadingTime } from './time';
+
+export const ALERT_EVENT_LABELS = {
+  raised: 'Raised',
+  escalated: 'Escalated',
+  acknowledged: 'Acknowledged',
+  snoozed: 'Snoozed',
+  cleared: 'Cleared'
+};
+
+// Metric values of a reading, kept with each event
+const snapshotReading = (reading) => (
+  reading ? Object.fromEntries(METRIC_KEYS.map(metric => [metric, reading[metric] ?? null])) : {}
+);
+
+const createEvent = (type, alert, time, reading) => ({
+  type,
+  time,
+  alertKey: alert.key,
+  ruleId: alert.ruleId,
+  metric: alert.metric,
+  severity: alert.severity,
+  message: alert.message,
+  value: alert.currentValue,
+  threshold: alert.threshold,
+  by: type === 'acknowledged' ? alert.acknowledgedBy : null,
+  reading: snapshotReading(reading)
+});
+
+// Events describing how the alert list changed from previous to next;
+// reading is the latest reading when the change happened
+export const diffAlertEvents = (previous, next, reading, now = Date.now()) => {
+  const before = new Map(previous.map(alert => [alert.key, alert]));
+  const events = [];
+  next.forEach(alert => {
+    const old = before.get(alert.key);
+    // A different raisedAt means a new occurrence replaced a resolved alert
+    const isNew = !old || old.raisedAt !== alert.raisedAt;
+    if (isNew) {
+      if (alert.state !== 'resolved') events.push(createEvent('raised', alert, alert.raisedAt ?? now, reading));
+      return;
+    }
+    if (alert.escalatedAt && alert.escalatedAt !== old.escalatedAt) events.push(createEvent('escalated', alert, alert.escalatedAt, reading));
+    if (alert.state === old.state) return;
+    if (alert.state === 'acknowledged') events.push(createEvent('acknowledged', alert, alert.acknowledgedAt ?? now, reading));
+    if (alert.state === 'snoozed') events.push(createEvent('snoozed', alert, alert.updatedAt ?? now, reading));
+    if (alert.state === 'resolved') events.push(createEvent('cleared', alert, alert.resolvedAt ?? now, reading));
+  });
+  return events;
+};
+
+// Events matching { metric, severity, from, to }; empty filter values match everything
+export const filterAlertEvents = (events, { metric = '', severity = '', from = null, to = null } = {}) => (
+  events.filter(event => (
+    (!metric || event.metric === metric) &&
+    (!severity || event.severity === severity) &&
+    (from === null || event.time >= from) &&
+    (to === null || event.time <= to)
+  ))
+);
+
+// Alert episodes for the timeline: one bar per occurrence from raised to cleared
+// (end is null while it is still open), with the acknowledgement time if any
+export const buildTimeline = (events) => {
+  const open = new Map();
+  const episodes = [];
+  [...events].sort((a, b) => a.time - b.time).forEach(event => {
+    let episode = open.get(event.alertKey);
+    if (event.type === 'raised' || !episode) {
+      episode = { alertKey: event.alertKey, metric: event.metric, severity: event.severity, message: event.message, start: event.time, end: null, acknowledgedAt: null };
+      open.set(event.alertKey, episode);
+      episodes.push(episode);
+    }
+    if (event.type === 'escalated') episode.severity = event.severity;
+    if (event.type === 'acknowledged') episode.acknowledgedAt = event.time;
+    if (event.type === 'cleared') {
+      episode.end = event.time;
+      open.delete(event.alertKey);
+    }
+  });
+  return episodes;
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV of events with the reading values at each event, times in the display time zone
+export const alertEventsToCsv = (events, assetName, timeZone = '') => {
+  const header = ['Time', 'Asset', 'Event', 'Metric', 'Severity', 'Message', 'Value', 'Threshold', 'By', ...METRIC_KEYS.map(metric => FIELD_LABELS[metric])];
+  const rows = events.map(event => [
+    formatReadingTime(event.time, timeZone),
+    assetName,
+    ALERT_EVENT_LABELS[event.type],
+    FIELD_LABELS[event.metric] || event.metric || 'All sensors',
+    event.severity,
+    event.message,
+    event.value,
+    event.threshold,
+    event.by,
+    ...METRIC_KEYS.map(metric => event.reading?.[metric])
+  ]);
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
@@ -0,0 +1,54 @@
+import { acknowledgeAlert, reconcileAlerts } from './alertState';
+import { alertEventsToCsv, buildTimeline, diffAlertEvents, filterAlertEvents } from './alertHistory';
+
+const oilLow = { ruleId: 'oil-level', metric: 'oilLevel', severity: 'critical', message: '🛢️ Oil Level LOW ALERT', currentValue: '12.0%' };
+const reading = { oilLevel: 12, angle: 0.4, temperature: 25 };
+const options = (now) => ({ assetId: 'asset-1', now });
+
+// Run the alert lifecycle through raise → acknowledge → clear and collect the logged events
+const runLifecycle = () => {
+  const raised = reconcileAlerts([], [oilLow], options(1000)).alerts;
+  const acknowledged = acknowledgeAlert(raised, 'asset-1:oil-level', 'Sam', 2000);
+  const cleared = reconcileAlerts(acknowledged, [], options(3000)).alerts;
+  return [
+    ...diffAlertEvents([], raised, reading),
+    ...diffAlertEvents(raised, acknowledged, reading),
+    ...diffAlertEvents(acknowledged, cleared, { ...reading, oilLevel: 20 })
+  ];
+};
+
+test('logs raised, acknowledged and cleared events with the reading values', () => {
+  const events = runLifecycle();
+  expect(events.map(event => [event.type, event.time, event.by])).toEqual([
+    ['raised', 1000, null],
+    ['acknowledged', 2000, 'Sam'],
+    ['cleared', 3000, null]
+  ]);
+  expect(events[0]).toMatchObject({ metric: 'oilLevel', severity: 'critical', value: '12.0%' });
+  expect(events[0].reading).toMatchObject({ oilLevel: 12, angle: 0.4, humidity: null });
+  expect(events[2].reading.oilLevel).toBe(20);
+  // Nothing changed, nothing logged
+  const raised = reconcileAlerts([], [oilLow], options(1000)).alerts;
+  expect(diffAlertEvents(raised, reconcileAlerts(raised, [oilLow], options(1500)).alerts, reading)).toEqual([]);
+});
+
+test('filters events by metric, severity and time', () => {
+  const events = [...runLifecycle(), { type: 'raised', time: 5000, metric: 'angle', severity: 'warning', alertKey: 'asset-1:angle' }];
+  expect(filterAlertEvents(events, { metric: 'angle' })).toHaveLength(1);
+  expect(filterAlertEvents(events, { severity: 'critical' })).toHaveLength(3);
+  expect(filterAlertEvents(events, { from: 2000, to: 3000 }).map(event => event.type)).toEqual(['acknowledged', 'cleared']);
+});
+
+test('builds one timeline bar per occurrence', () => {
+  const events = [...runLifecycle(), { type: 'raised', time: 5000, metric: 'oilLevel', severity: 'critical', alertKey: 'asset-1:oil-level' }];
+  expect(buildTimeline(events)).toEqual([
+    expect.objectContaining({ alertKey: 'asset-1:oil-level', start: 1000, end: 3000, acknowledgedAt: 2000 }),
+    expect.objectContaining({ alertKey: 'asset-1:oil-level', start: 5000, end: null, acknowledgedAt: null })
+  ]);
+});
+
+test('exports events as CSV with the reading columns', () => {
+  const [header, first] = alertEventsToCsv(runLifecycle(), 'Press 1', 'UTC').split('\n');
+  expect(header).toBe('Time,Asset,Event,Metric,Severity,Message,Value,Threshold,By,Temperature,Humidity,Oil Level,Voltage,Current,Power,Energy,Angle');
+  expect(first).toBe('"Jan 1, 1970, 00:00:01",Press 1,Raised,Oil Level,critical,🛢️ Oil Level LOW ALERT,12.0%,,,25,,12,,,,,0.4');
+});
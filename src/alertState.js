@@ -0,0 +1,140 @@
+// alertState.js - Alert lifecycle: active, acknowledged, snoozed and resolved
+//
+// evaluateAlerts() only says which rules the latest reading violates. This module
+// turns those violations into stateful alerts keyed by asset and rule, so a
+// condition that persists across polls updates one alert instead of raising a
+// new one each time:
+//   active        condition present, nobody has acknowledged it yet
+//   acknowledged  condition present, acknowledgedBy / acknowledgedAt recorded
+//   snoozed       hidden until snoozedUntil, then active again if still present
+//   resolved      condition cleared at resolvedAt; a new occurrence starts a fresh alert
+// An acknowledged or snoozed alert becomes active again when its severity escalates.
+
+import { SEVERITY_RANK } from './alerts';
+
+const STORAGE_PREFIX = 'industrialHealthDashboard.alerts.';
+
+// Resolved alerts kept per asset for the alerts panel
+const RESOLVED_LIMIT = 20;
+
+export const ALERT_STATE_LABELS = {
+  active: 'Active',
+  acknowledged: 'Acknowledged',
+  snoozed: 'Snoozed',
+  resolved: 'Resolved'
+};
+
+export const SNOOZE_OPTIONS = [
+  { label: '15 min', ms: 15 * 60 * 1000 },
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '8 hours', ms: 8 * 60 * 60 * 1000 }
+];
+
+export const getAlertKey = (assetId, ruleId) => `${assetId}:${ruleId}`;
+
+// Merge the alerts detected in the latest reading into the current alert list.
+// Returns the updated list and the alerts that should be brought to the operator's
+// attention: new ones, escalated ones and snoozed ones that are still present.
+export const reconcileAlerts = (alerts, detected, { assetId, now = Date.now() }) => {
+  const detectedByKey = new Map(detected.map(alert => [getAlertKey(assetId, alert.ruleId), alert]));
+  const raised = [];
+  const seen = new Set();
+
+  const updated = alerts.map(alert => {
+    const condition = detectedByKey.get(alert.key);
+    if (alert.state === 'resolved') return alert;
+    if (!condition) return { ...alert, state: 'resolved', resolvedAt: now, updatedAt: now };
+
+    seen.add(alert.key);
+    const next = { ...alert, ...condition, key: alert.key, assetId, updatedAt: now };
+    const escalated = SEVERITY_RANK[condition.severity] > SEVERITY_RANK[alert.severity];
+    const snoozeOver = alert.state === 'snoozed' && now >= alert.snoozedUntil;
+    if (escalated) {
+      Object.assign(next, { state: 'active', escalatedAt: now, snoozedUntil: null });
+      raised.push(next);
+    } else if (snoozeOver) {
+      Object.assign(next, { state: 'active', snoozedUntil: null });
+      raised.push(next);
+    }
+    return next;
+  });
+
+  // Conditions without an open alert start a new one (replacing a resolved one)
+  const created = [];
+  detectedByKey.forEach((condition, key) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    const alert = {
+      ...condition,
+      key,
+      assetId,
+      state: 'active',
+      raisedAt: now,
+      updatedAt: now,
+      escalatedAt: null,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      snoozedUntil: null,
+      resolvedAt: null
+    };
+    created.push(alert);
+    raised.push(alert);
+  });
+
+  const open = updated.filter(alert => alert.state !== 'resolved');
+  const resolved = updated
+    .filter(alert => alert.state === 'resolved' && !seen.has(alert.key))
+    .sort((a, b) => b.resolvedAt - a.resolvedAt)
+    .slice(0, RESOLVED_LIMIT);
+  return { alerts: [...open, ...created, ...resolved], raised };
+};
+
+// Apply changes to the open alerts matching a predicate
+const updateAlerts = (alerts, matches, changes) => alerts.map(alert => (
+  alert.state !== 'resolved' && matches(alert) ? { ...alert, ...changes } : alert
+));
+
+const acknowledgement = (user, now) => ({
+  state: 'acknowledged',
+  acknowledgedBy: user,
+  acknowledgedAt: now,
+  snoozedUntil: null,
+  updatedAt: now
+});
+
+export const acknowledgeAlert = (alerts, key, user, now = Date.now()) => (
+  updateAlerts(alerts, alert => alert.key === key, acknowledgement(user, now))
+);
+
+// Acknowledge every alert that is still waiting for someone
+export const acknowledgeAll = (alerts, user, now = Date.now()) => (
+  updateAlerts(alerts, alert => alert.state === 'active', acknowledgement(user, now))
+);
+
+export const snoozeAlert = (alerts, key, durationMs, now = Date.now()) => (
+  updateAlerts(alerts, alert => alert.key === key, { state: 'snoozed', snoozedUntil: now + durationMs, updatedAt: now })
+);
+
+export const clearResolved = (alerts) => alerts.filter(alert => alert.state !== 'resolved');
+
+// Alerts in one lifecycle state
+export const getAlertsByState = (alerts, state) => alerts.filter(alert => alert.state === state);
+
+export const loadAlerts = (assetId) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + assetId);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('❌ ERROR: Could not read saved alerts:', error.message);
+    return [];
+  }
+};
+
+export const saveAlerts = (assetId, alerts) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + assetId, JSON.stringify(alerts));
+  } catch (error) {
+    console.error('❌ ERROR: Could not save alerts:', error.message);
+  }
+  return alerts;
+};
@@ -0,0 +1,55 @@
+import { acknowledgeAlert, acknowledgeAll, clearResolved, getAlertKey, reconcileAlerts, snoozeAlert } from './alertState';
+
+const oilLow = { ruleId: 'oil-level', metric: 'oilLevel', severity: 'critical', message: '🛢️ Oil Level LOW ALERT' };
+const angleWarning = { ruleId: 'angle', metric: 'angle', severity: 'warning', message: '📐 Angle HIGH ALERT' };
+const angleCritical = { ...angleWarning, severity: 'critical' };
+const options = (now) => ({ assetId: 'asset-1', now });
+
+test('a persisting condition updates one alert instead of raising new ones', () => {
+  const first = reconcileAlerts([], [oilLow], options(1000));
+  expect(first.raised).toHaveLength(1);
+  expect(first.alerts[0]).toMatchObject({ key: getAlertKey('asset-1', 'oil-level'), state: 'active', raisedAt: 1000 });
+
+  const second = reconcileAlerts(first.alerts, [{ ...oilLow, currentValue: '14.0%' }], options(2000));
+  expect(second.raised).toEqual([]);
+  expect(second.alerts).toHaveLength(1);
+  expect(second.alerts[0]).toMatchObject({ raisedAt: 1000, updatedAt: 2000, currentValue: '14.0%' });
+});
+
+test('records who acknowledged an alert and re-raises it when it escalates', () => {
+  const { alerts } = reconcileAlerts([], [angleWarning, oilLow], options(1000));
+  const acknowledged = acknowledgeAlert(alerts, 'asset-1:angle', 'Sam', 1500);
+  expect(acknowledged[0]).toMatchObject({ state: 'acknowledged', acknowledgedBy: 'Sam', acknowledgedAt: 1500 });
+  expect(acknowledged[1].state).toBe('active');
+
+  const unchanged = reconcileAlerts(acknowledged, [angleWarning, oilLow], options(2000));
+  expect(unchanged.raised).toEqual([]);
+  expect(unchanged.alerts[0].state).toBe('acknowledged');
+
+  const escalated = reconcileAlerts(acknowledged, [angleCritical, oilLow], options(3000));
+  expect(escalated.raised.map(alert => alert.key)).toEqual(['asset-1:angle']);
+  expect(escalated.alerts[0]).toMatchObject({ state: 'active', severity: 'critical', escalatedAt: 3000 });
+});
+
+test('snoozed alerts come back when the snooze runs out', () => {
+  const { alerts } = reconcileAlerts([], [oilLow], options(0));
+  const snoozed = snoozeAlert(alerts, 'asset-1:oil-level', 60000, 0);
+  expect(reconcileAlerts(snoozed, [oilLow], options(30000)).alerts[0].state).toBe('snoozed');
+
+  const expired = reconcileAlerts(snoozed, [oilLow], options(60000));
+  expect(expired.raised).toHaveLength(1);
+  expect(expired.alerts[0]).toMatchObject({ state: 'active', snoozedUntil: null });
+});
+
+test('cleared conditions resolve, and a new occurrence starts a fresh alert', () => {
+  const { alerts } = reconcileAlerts([], [oilLow], options(0));
+  const resolved = reconcileAlerts(acknowledgeAll(alerts, 'Sam', 10), [], options(1000));
+  expect(resolved.alerts[0]).toMatchObject({ state: 'resolved', resolvedAt: 1000, acknowledgedBy: 'Sam' });
+
+  const again = reconcileAlerts(resolved.alerts, [oilLow], options(2000));
+  expect(again.raised).toHaveLength(1);
+  expect(again.alerts).toHaveLength(1);
+  expect(again.alerts[0]).toMatchObject({ state: 'active', raisedAt: 2000, acknowledgedBy: null });
+
+  expect(clearResolved(resolved.alerts)).toEqual([]);
+});
@@ -0,0 +1,67 @@
+// alerts.js - Alerts and metric statuses built from the alert rules (rules.js),
+// shared by the dashboard, the fleet overview and the PDF report
+
+import { DEFAULT_ALERT_RULES } from './config';
+import { describeViolation, evaluateRules } from './rules';
+import { evaluateConsistencyAlerts } from './derived';
+import { assessHeartbeat, evaluateHeartbeatAlerts } from './heartbeat';
+
+// Higher rank = more severe
+export const SEVERITY_RANK = {
+  critical: 3,
+  warning: 2,
+  info: 1
+};
+
+export const SEVERITY_LABELS = {
+  critical: 'Critical',
+  warning: 'Warning',
+  info: 'Info',
+  normal: 'Normal'
+};
+
+// Most severe level in a list of alerts, or null when there are none
+export const getWorstSeverity = (alerts) => alerts.reduce((worst, alert) => (
+  !worst || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[worst] ? alert.severity : worst
+), null);
+
+// Status of one metric from rule results: 'critical', 'warning' or 'normal'
+export const getMetricStatus = (results, metric) => (
+  getWorstSeverity(results.filter(result => result.metric === metric)) || 'normal'
+);
+
+// Check a reading history (oldest first) against the asset's rules and describe each
+// violation at the latest reading; alertState.js turns these into alerts with a lifecycle.
+// Sensor disagreements from the asset's consistency rules (derived.js) are included, and
+// "no data" alerts when the asset has a heartbeat config and its readings stopped (heartbeat.js).
+export const evaluateAlerts = (readings, rules = DEFAULT_ALERT_RULES, { derivedMetrics = [], consistencyRules = [], heartbeat = null, now = Date.now() } = {}) => [
+  ...evaluateRules(rules, readings).map(result => ({
+    ruleId: result.ruleId,
+    metric: result.metric,
+    severity: result.severity,
+    ...describeViolation(result)
+  })),
+  ...evaluateConsistencyAlerts(readings, derivedMetrics, consistencyRules),
+  ...(heartbeat ? evaluateHeartbeatAlerts(assessHeartbeat(readings, heartbeat, { now })) : [])
+];
+
+const CARD_ALERT_STYLES = {
+  critical: { icon: '🔴', color: '#ff0000', backgroundColor: 'rgba(255, 0, 0, 0.15)' },
+  warning: { icon: '🟡', color: '#b45309', backgroundColor: 'rgba(245, 158, 11, 0.2)' }
+};
+
+// Inline alert for a metric card from rule results, or null when the metric is normal
+export const getMetricAlert = (results, metric) => {
+  const metricResults = results.filter(result => result.metric === metric);
+  const severity = getWorstSeverity(metricResults);
+  if (!severity) return null;
+  const worst = metricResults.find(result => result.severity === severity);
+  const { message, description } = describeViolation(worst);
+  return {
+    type: worst.direction,
+    severity,
+    message,
+    description,
+    ...CARD_ALERT_STYLES[severity]
+  };
+};
@@ -0,0 +1,31 @@
+import { evaluateAlerts, getMetricAlert, getMetricStatus, getWorstSeverity } from './alerts';
+import { evaluateRules } from './rules';
+
+const rules = [
+  { id: 'oil-level', metric: 'oilLevel', type: 'equals', warning: null, critical: { value: 20 } },
+  { id: 'angle', metric: 'angle', type: 'range', warning: { min: -1, max: 1 }, critical: { min: -2, max: 2 } }
+];
+
+test('raises alerts from the asset rules', () => {
+  const alerts = evaluateAlerts([{ oilLevel: '15', angle: 2.5 }], rules);
+  expect(alerts.map(alert => alert.message)).toEqual(['🛢️ Oil Level LOW ALERT', '📐 Angle HIGH ALERT']);
+  expect(alerts[1]).toMatchObject({ ruleId: 'angle', metric: 'angle', severity: 'critical', threshold: 'Normal range: -2° to 2°' });
+});
+
+test('ignores missing readings', () => {
+  expect(evaluateAlerts([{ oilLevel: null, angle: undefined }], rules)).toEqual([]);
+  expect(evaluateAlerts([], rules)).toEqual([]);
+});
+
+test('cards and reports read the same rule results', () => {
+  const results = evaluateRules(rules, [{ oilLevel: 20, angle: 1.5 }]);
+  expect(getMetricStatus(results, 'angle')).toBe('warning');
+  expect(getMetricStatus(results, 'oilLevel')).toBe('normal');
+  expect(getMetricAlert(results, 'angle')).toMatchObject({ severity: 'warning', message: '📐 Angle HIGH ALERT' });
+  expect(getMetricAlert(results, 'oilLevel')).toBeNull();
+});
+
+test('picks the worst severity', () => {
+  expect(getWorstSeverity([])).toBeNull();
+  expect(getWorstSeverity([{ severity: 'info' }, { severity: 'critical' }, { severity: 'warning' }])).toBe('critical');
+});
@@ -0,0 +1,151 @@
+// anomaly.js - Statistical anomaly detection per metric
+//
+// Three complementary detectors, all causal (a point is only compared with the
+// readings before it, so scores do not change when new data arrives):
+//   rolling z-score   distance from the mean of the previous `window` values in standard deviations
+//   MAD score         robust z-score from the rolling median and median absolute deviation,
+//                     not dragged along by the outliers it is looking for
+//   CUSUM             cumulative sums of the standardized residuals; flags sustained
+//                     level shifts that no single point stands out from
+// The exponentially weighted moving average (EWMA) is kept per point as the smoothed level.
+// detectAnomalies() combines them into one score per point: >= 1 means anomalous.
+
+import { METRIC_KEYS } from './dataSources';
+
+// Fewest previous values needed before a point is scored
+const MIN_BASELINE = 5;
+// Keeps flat signals (e.g. oil level at exactly 20) from dividing by zero while still
+// scoring any step away from them as extreme; scores are capped at MAX_SCORE
+const MIN_SPREAD = 1e-6;
+const MAX_SCORE = 1000;
+// Scales MAD to the standard deviation of normally distributed data
+const MAD_SCALE = 0.6745;
+// Fewest previous values CUSUM needs for a stable baseline
+const CHANGE_BASELINE = 20;
+
+const toValue = (value) => (value === null || value === undefined || value === '' || !isFinite(value) ? null : Number(value));
+
+const clampScore = (score) => Math.max(-MAX_SCORE, Math.min(MAX_SCORE, score));
+
+const floorSpread = (spread, center) => Math.max(spread, MIN_SPREAD * Math.max(1, Math.abs(center)));
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Previous `window` non-missing values before each index
+const baselines = (values, window, visit) => {
+  const recent = [];
+  values.forEach((value, index) => {
+    visit(value, recent, index);
+    if (value !== null) {
+      recent.push(value);
+      if (recent.length > window) recent.shift();
+    }
+  });
+};
+
+// Mean and (floored) standard deviation of the previous `window` values for each
+// index, or null while fewer than minCount values are available
+const rollingStats = (values, window, minCount = MIN_BASELINE) => {
+  const stats = [];
+  baselines(values, window, (value, recent) => {
+    if (recent.length < minCount) {
+      stats.push(null);
+      return;
+    }
+    const mean = recent.reduce((sum, item) => sum + item, 0) / recent.length;
+    const std = Math.sqrt(recent.reduce((sum, item) => sum + (item - mean) ** 2, 0) / recent.length);
+    stats.push({ mean, std: floorSpread(std, mean) });
+  });
+  return stats;
+};
+
+// Rolling z-score of each value against the previous `window` values (null while warming up)
+export const rollingZScores = (values, window) => rollingStats(values, window).map((stats, index) => (
+  stats && values[index] !== null ? clampScore((values[index] - stats.mean) / stats.std) : null
+));
+
+// Robust (modified) z-score from the rolling median and MAD of the previous `window` values
+export const madScores = (values, window) => {
+  const scores = [];
+  baselines(values, window, (value, recent) => {
+    if (value === null || recent.length < MIN_BASELINE) {
+      scores.push(null);
+      return;
+    }
+    const center = median([...recent].sort((a, b) => a - b));
+    const mad = median(recent.map(item => Math.abs(item - center)).sort((a, b) => a - b));
+    scores.push(clampScore((MAD_SCALE * (value - center)) / floorSpread(mad, center)));
+  });
+  return scores;
+};
+
+// Exponentially weighted moving average (null values keep the previous average)
+export const ewma = (values, alpha) => {
+  let average = null;
+  return values.map(value => {
+    if (value !== null) average = average === null ? value : alpha * value + (1 - alpha) * average;
+    return average;
+  });
+};
+
+// Two-sided tabular CUSUM of the values standardized against the rolling baseline.
+// drift (k) is the slack per sample, threshold (h) the sum at which a level shift
+// is reported; both sums restart after a detection.
+export const cusum = (values, { window, drift, threshold }) => {
+  let high = 0;
+  let low = 0;
+  return rollingStats(values, window, Math.min(window, CHANGE_BASELINE)).map((stats, index) => {
+    if (!stats || values[index] === null) return { high, low, shift: null };
+    const residual = clampScore((values[index] - stats.mean) / stats.std);
+    high = Math.max(0, high + residual - drift);
+    low = Math.max(0, low - residual - drift);
+    const shift = high > threshold ? 'up' : low > threshold ? 'down' : null;
+    const point = { high, low, shift };
+    if (shift) {
+      high = 0;
+      low = 0;
+    }
+    return point;
+  });
+};
+
+// Per-point anomaly scores for one metric of a reading history (oldest first):
+// [{ time, value, zScore, madScore, ewma, shift, score, isAnomaly }] in reading order.
+// score is the largest of |z| / zThreshold and |MAD score| / madThreshold.
+export const detectAnomalies = (readings, metric, config) => {
+  const { window, zThreshold, madThreshold, ewmaAlpha, cusumDrift, cusumThreshold } = config;
+  const values = readings.map(reading => toValue(reading[metric]));
+  const zScores = rollingZScores(values, window);
+  const robust = madScores(values, window);
+  const averages = ewma(values, ewmaAlpha);
+  const shifts = cusum(values, { window, drift: cusumDrift, threshold: cusumThreshold });
+
+  return readings.map((reading, index) => {
+    const score = Math.max(
+      zScores[index] === null ? 0 : Math.abs(zScores[index]) / zThreshold,
+      robust[index] === null ? 0 : Math.abs(robust[index]) / madThreshold
+    );
+    const shift = shifts[index].shift;
+    return {
+      time: reading.time,
+      value: values[index],
+      zScore: zScores[index],
+      madScore: robust[index],
+      ewma: averages[index],
+      shift,
+      score,
+      isAnomaly: score >= 1 || shift !== null
+    };
+  });
+};
+
+// Anomalous points of every metric, keyed by metric and then reading time, for the charts
+export const findAnomalies = (readings, config) => Object.fromEntries(METRIC_KEYS.map(metric => [
+  metric,
+  new Map(detectAnomalies(readings, metric, config)
+    .filter(point => point.isAnomaly && point.time !== null && point.time !== undefined)
+    .map(point => [point.time, point]))
+]));
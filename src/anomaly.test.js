@@ -0,0 +1,62 @@
+import { ANOMALY_CONFIG } from './config';
+import { cusum, detectAnomalies, ewma, findAnomalies, madScores, rollingZScores } from './anomaly';
+import { createRng } from './simulator';
+
+// Deterministic noise in [-0.5, 0.5)
+const random = createRng(7);
+const noiseValues = Array.from({ length: 100 }, () => random() - 0.5);
+const noise = (i) => noiseValues[i];
+const series = (count, valueAt) => Array.from({ length: count }, (_, i) => ({ time: i * 60000, temperature: valueAt(i) }));
+
+test('rolling z-scores compare each value with the previous window', () => {
+  const values = [10, 11, 9, 10, 11, 9, 10, 30];
+  const scores = rollingZScores(values, 5);
+  expect(scores.slice(0, 5)).toEqual([null, null, null, null, null]);
+  expect(Math.abs(scores[6])).toBeLessThan(1);
+  expect(scores[7]).toBeGreaterThan(10);
+});
+
+test('flat signals do not divide by zero', () => {
+  const values = [20, 20, 20, 20, 20, 20, 19.95];
+  const z = rollingZScores(values, 10);
+  const mad = madScores(values, 10);
+  expect(z[5]).toBe(0);
+  expect(mad[5]).toBe(0);
+  expect(z[6]).toBeLessThan(-100);
+  expect(Number.isFinite(z[6])).toBe(true);
+  expect(Number.isFinite(mad[6])).toBe(true);
+});
+
+test('MAD scores are not masked by earlier outliers', () => {
+  const values = [10, 10.2, 9.8, 10.1, 50, 9.9, 10, 10.1, 9.9, 60];
+  expect(Math.abs(madScores(values, 9)[9])).toBeGreaterThan(3.5);
+  // The first outlier inflates the standard deviation the z-score uses
+  expect(Math.abs(rollingZScores(values, 9)[9])).toBeLessThan(Math.abs(madScores(values, 9)[9]));
+});
+
+test('EWMA skips missing values and CUSUM detects a sustained shift', () => {
+  expect(ewma([10, null, 20], 0.5)).toEqual([10, 10, 15]);
+
+  // Small step of one noise width: no single point stands out, the sums do
+  const values = Array.from({ length: 80 }, (_, i) => 10 + noise(i) + (i >= 40 ? 1 : 0));
+  const shifts = cusum(values, { window: 30, drift: 0.5, threshold: 5 }).map(point => point.shift);
+  expect(shifts.slice(0, 40)).not.toContain('up');
+  const firstUp = shifts.indexOf('up');
+  expect(firstUp).toBeGreaterThanOrEqual(40);
+  expect(firstUp).toBeLessThan(55);
+});
+
+test('scores every point and flags the anomalous ones', () => {
+  const readings = series(60, (i) => (i === 45 ? 40 : 25 + noise(i)));
+  readings[20].temperature = null;
+  const points = detectAnomalies(readings, 'temperature', ANOMALY_CONFIG);
+  expect(points).toHaveLength(60);
+  expect(points[20]).toMatchObject({ value: null, zScore: null, isAnomaly: false });
+  expect(points[45]).toMatchObject({ time: 45 * 60000, isAnomaly: true });
+  expect(points[45].score).toBeGreaterThan(1);
+  expect(points.filter(point => point.isAnomaly).map(point => point.time)).toEqual([45 * 60000]);
+
+  const anomalies = findAnomalies(readings, ANOMALY_CONFIG);
+  expect([...anomalies.temperature.keys()]).toEqual([45 * 60000]);
+  expect(anomalies.humidity.size).toBe(0);
+});
@@ -0,0 +1,219 @@
+// config.js - Industrial Health Dashboard configuration
+
+// Data source selection.
+// Set REACT_APP_DATA_SOURCE to one of: googleSheets | rest | csv | localFile | simulator
+export const DATA_SOURCE_CONFIG = {
+  type: process.env.REACT_APP_DATA_SOURCE || 'googleSheets',
+  // IANA time zone the source's Date/Time columns are written in ('' = the browser's)
+  timeZone: process.env.REACT_APP_SOURCE_TIME_ZONE || '',
+  googleSheets: {
+    // Google Sheet ID from the sheet URL
+    sheetId: process.env.REACT_APP_SHEET_ID || '1kMIFbO2SZtQy-d_G5qGLLADygHX3W-7WCVI-V9BWH-A',
+    sheetName: process.env.REACT_APP_SHEET_NAME || 'Sheet1'
+  },
+  rest: {
+    url: process.env.REACT_APP_REST_URL || '',
+    // Dot path to the rows array in the JSON response (empty when the response is the array itself)
+    rowsPath: process.env.REACT_APP_REST_ROWS_PATH || '',
+    // Query parameter carrying the row offset for incremental fetches (empty = endpoint has no cursor)
+    cursorParam: process.env.REACT_APP_REST_CURSOR_PARAM || ''
+  },
+  csv: {
+    url: process.env.REACT_APP_CSV_URL || ''
+  },
+  localFile: {},
+  simulator: {
+    // Same seed + scenario = same readings, for repeatable demos and training
+    seed: Number(process.env.REACT_APP_SIMULATOR_SEED) || 42,
+    // normal | oilLeak | thermalRunaway | voltageSag | tiltDrift
+    scenario: process.env.REACT_APP_SIMULATOR_SCENARIO || 'normal',
+    intervalMs: 60000,
+    // Normal-operation samples generated before the scenario's fault starts
+    historySamples: 120,
+    // When the scenario started (ms); null = when the page was loaded
+    startedAt: null
+  }
+};
+
+// MQTT topics the field devices publish to, one metric per topic with a plain numeric payload
+const MQTT_TOPIC_BASE = process.env.REACT_APP_MQTT_TOPIC_BASE || 'industrial/machine1';
+const DEFAULT_MQTT_TOPICS = ['temperature', 'humidity', 'oilLevel', 'voltage', 'current', 'power', 'energy', 'angle']
+  .map(metric => ({ topic: `${MQTT_TOPIC_BASE}/${metric}`, metric, path: '' }));
+
+// Live streaming (push) ingestion. When enabled the dashboard subscribes to the
+// stream after the initial load and only polls the data source while the stream is down.
+// Set REACT_APP_STREAM_TYPE to sse, websocket or mqtt (MQTT over WebSocket, e.g. ws://localhost:9001).
+export const STREAM_CONFIG = {
+  enabled: Boolean(process.env.REACT_APP_STREAM_URL),
+  type: process.env.REACT_APP_STREAM_TYPE || 'sse',
+  url: process.env.REACT_APP_STREAM_URL || '',
+  mqtt: {
+    username: process.env.REACT_APP_MQTT_USERNAME || '',
+    password: process.env.REACT_APP_MQTT_PASSWORD || '',
+    // Messages arriving within this window are merged into one reading
+    batchMs: 500,
+    topics: DEFAULT_MQTT_TOPICS
+  }
+};
+
+// Alert rules applied to each asset unless overridden in its settings (see rules.js).
+// Every status in the dashboard, fleet overview and PDF report comes from these rules.
+export const DEFAULT_ALERT_RULES = [
+  // Oil level alerts when it stays off the target level for two readings
+  { id: 'oil-level', metric: 'oilLevel', type: 'equals', warning: null, critical: { value: 20 }, minSamples: 2 },
+  // Angle alerts after three readings outside the normal range and clears 0.3° inside it,
+  // so a single noisy sample neither raises nor flaps the alert
+  { id: 'angle', metric: 'angle', type: 'range', warning: null, critical: { min: -3.5, max: 3.5 }, deadband: 0.3, minSamples: 3 },
+  { id: 'temperature', metric: 'temperature', type: 'range', warning: { min: null, max: 35 }, critical: { min: null, max: 45 }, deadband: 1 },
+  { id: 'temperature-rate', metric: 'temperature', type: 'rateOfChange', warning: { maxPerMinute: 1 }, critical: { maxPerMinute: 3 } },
+  { id: 'humidity', metric: 'humidity', type: 'range', warning: { min: 40, max: 80 }, critical: null },
+  { id: 'voltage', metric: 'voltage', type: 'range', warning: { min: 8, max: 12 }, critical: { min: 7, max: 13 } },
+  { id: 'current', metric: 'current', type: 'range', warning: { min: 50, max: 300 }, critical: null },
+  { id: 'power', metric: 'power', type: 'range', warning: { min: 500, max: 2500 }, critical: null }
+];
+
+// Anomaly detection per metric (see anomaly.js): rolling window in readings, score
+// thresholds, EWMA smoothing and CUSUM slack/decision threshold in standard deviations
+export const ANOMALY_CONFIG = {
+  window: 30,
+  zThreshold: 3,
+  madThreshold: 3.5,
+  ewmaAlpha: 0.2,
+  cusumDrift: 0.5,
+  cusumThreshold: 5
+};
+
+// Virtual metrics computed from the measured ones (see derived.js for the formula syntax).
+// Units: voltage V × current mA = mW; integral() of mW gives mWh, so /1000 for Wh.
+export const DEFAULT_DERIVED_METRICS = [
+  { id: 'computedPower', label: 'Computed power (V·I)', unit: 'mW', decimals: 0, formula: 'voltage * current' },
+  { id: 'integratedEnergy', label: 'Integrated energy', unit: 'Wh', decimals: 3, formula: 'integral(power) / 1000' },
+  { id: 'powerFactor', label: 'Power factor estimate', unit: '', decimals: 2, formula: 'power / (voltage * current)' }
+];
+
+// Sensor disagreement alerts: measured and expected formulas more than `tolerance` percent
+// apart for minSamples readings. Energy is a running counter, so its increase since the
+// first reading is compared with the integrated power.
+export const DEFAULT_CONSISTENCY_RULES = [
+  { id: 'power-consistency', metric: 'power', measured: 'power', expected: 'computedPower', tolerance: 10, minSamples: 3, severity: 'warning' },
+  { id: 'energy-consistency', metric: 'energy', measured: 'energy - first(energy)', expected: 'integratedEnergy', tolerance: 10, minSamples: 3, severity: 'warning' }
+];
+
+// Data-quality checks per metric (see quality.js): physically possible range, largest
+// believable change per minute and whether the value may legitimately stay flat
+// (oil level holds its target, energy stops counting when idle). A sensor reporting the
+// same value stuckSamples times in a row is considered stuck.
+export const QUALITY_CONFIG = {
+  stuckSamples: 12,
+  limits: {
+    temperature: { min: -40, max: 150, maxStepPerMinute: 10, allowFlat: false },
+    humidity: { min: 0, max: 100, maxStepPerMinute: 20, allowFlat: false },
+    oilLevel: { min: 0, max: 100, maxStepPerMinute: 10, allowFlat: true },
+    voltage: { min: 0, max: 60, maxStepPerMinute: 10, allowFlat: false },
+    current: { min: 0, max: 5000, maxStepPerMinute: 1000, allowFlat: false },
+    power: { min: 0, max: 250000, maxStepPerMinute: null, allowFlat: false },
+    energy: { min: 0, max: null, maxStepPerMinute: null, allowFlat: true },
+    angle: { min: -90, max: 90, maxStepPerMinute: 10, allowFlat: false }
+  }
+};
+
+// Stale-data (heartbeat) monitoring per asset (see heartbeat.js): a feed is stale when its
+// newest reading is older than staleIntervals × the expected sample interval and offline
+// beyond offlineIntervals × it. expectedIntervalMinutes 0 = the typical spacing of the readings.
+export const HEARTBEAT_CONFIG = {
+  expectedIntervalMinutes: 0,
+  staleIntervals: 3,
+  offlineIntervals: 10
+};
+
+// Trend forecast per metric (see forecast.js): line fitted through the last `lookback`
+// readings, projected ahead by horizonRatio × the fitted time span with a prediction band
+// at `confidence`; alert rule limits reached within maxLeadHours are reported on the cards
+export const FORECAST_CONFIG = {
+  lookback: 60,
+  horizonRatio: 0.5,
+  confidence: 0.95,
+  maxLeadHours: 72
+};
+
+// PDF report templates offered in the report builder (see report.js). Sections are
+// always printed in REPORT_SECTIONS order and metrics in the dashboard's, so both are
+// listed in that order. timeRange is a time range preset, or 'dashboard' for the range
+// selected on the dashboard. rawDataAggregation is a RAW_DATA_AGGREGATIONS key
+// (report.js). logo is an image data URL.
+export const DEFAULT_REPORT_TEMPLATES = [
+  {
+    id: 'daily-shift',
+    name: 'Daily shift report',
+    sections: ['details', 'readings', 'overview', 'charts', 'statistics'],
+    metrics: ['temperature', 'humidity', 'oilLevel', 'voltage', 'current', 'power', 'energy', 'angle'],
+    timeRange: 'shift',
+    rawDataAggregation: 'auto',
+    companyName: '',
+    logo: null,
+    pageSize: 'a4',
+    orientation: 'landscape'
+  },
+  {
+    id: 'maintenance-summary',
+    name: 'Maintenance summary',
+    sections: ['details', 'readings', 'charts', 'statistics', 'rawData'],
+    metrics: ['temperature', 'oilLevel', 'voltage', 'current', 'angle'],
+    timeRange: 'week',
+    rawDataAggregation: 'hour',
+    companyName: '',
+    logo: null,
+    pageSize: 'a4',
+    orientation: 'portrait'
+  }
+];
+
+// Payload posted by the webhook channel; {{placeholders}} are filled from the alert (see notifications.js)
+export const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "text": "{{severityLabel}}: {{message}} on {{asset}}",
+  "event": "{{event}}",
+  "asset": "{{asset}}",
+  "metric": "{{metric}}",
+  "severity": "{{severity}}",
+  "value": "{{value}}",
+  "threshold": "{{threshold}}",
+  "description": "{{description}}",
+  "raisedAt": "{{raisedAt}}"
+}`;
+
+// Channels notified when an alert is raised or escalated. Each channel only handles the
+// listed severities and sends at most maxPerMinute notifications.
+export const NOTIFICATION_CONFIG = {
+  desktop: { enabled: false, severities: ['critical', 'warning'], maxPerMinute: 6 },
+  sound: { enabled: false, severities: ['critical', 'warning'], maxPerMinute: 4 },
+  webhook: {
+    enabled: Boolean(process.env.REACT_APP_WEBHOOK_URL),
+    url: process.env.REACT_APP_WEBHOOK_URL || '',
+    severities: ['critical'],
+    maxPerMinute: 10,
+    template: DEFAULT_WEBHOOK_TEMPLATE
+  }
+};
+
+// Kinds of machine an asset can be registered as
+export const ASSET_KINDS = {
+  motor: { label: 'Motor', icon: '⚙️' },
+  pump: { label: 'Pump', icon: '🚰' },
+  other: { label: 'Other', icon: '🏭' }
+};
+
+// Time zone timestamps are shown in ('' = the browser's), e.g. UTC or Europe/Berlin
+export const DISPLAY_TIME_ZONE = process.env.REACT_APP_DISPLAY_TIME_ZONE || '';
+
+// Length of a production shift, used by the "Shift" time range
+export const SHIFT_HOURS = 8;
+
+// Polling cadence and how often incremental polling is replaced by a full re-download
+export const POLL_INTERVAL_MS = 180000;
+export const FULL_RESYNC_INTERVAL_MS = 30 * 60 * 1000;
+
+// How much reading history each asset keeps in the browser's IndexedDB cache
+export const DEFAULT_CACHE_RETENTION = {
+  maxReadings: 50000,
+  maxAgeDays: 30
+};
@@ -0,0 +1,118 @@
+// correlation.js - Cross-metric correlation analysis
+//
+// Works on the same reading history as the charts (oldest first). Only readings
+// where both metrics have a value are paired.
+//   Pearson     linear correlation of the values
+//   Spearman    Pearson correlation of the ranks: any monotonic relation scores ±1
+//   lagged      Pearson correlation of a against b shifted by k readings; the lag with
+//               the strongest correlation tells which signal leads
+// Coefficients are null when fewer than MIN_PAIRS pairs exist or a metric is constant.
+
+const MIN_PAIRS = 3;
+
+export const CORRELATION_METHODS = {
+  pearson: 'Pearson',
+  spearman: 'Spearman'
+};
+
+const toValue = (value) => (value === null || value === undefined || value === '' || !isFinite(value) ? null : Number(value));
+
+// [xs, ys] of the readings where both metrics are present
+export const pairValues = (readings, a, b) => {
+  const xs = [];
+  const ys = [];
+  readings.forEach(reading => {
+    const x = toValue(reading[a]);
+    const y = toValue(reading[b]);
+    if (x !== null && y !== null) {
+      xs.push(x);
+      ys.push(y);
+    }
+  });
+  return [xs, ys];
+};
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < MIN_PAIRS) return null;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+};
+
+// Ranks starting at 1; tied values share the average of their ranks
+export const rankValues = (values) => {
+  const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i]] = rank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+export const spearman = (xs, ys) => pearson(rankValues(xs), rankValues(ys));
+
+export const correlate = (readings, a, b, method = 'pearson') => {
+  const [xs, ys] = pairValues(readings, a, b);
+  return method === 'spearman' ? spearman(xs, ys) : pearson(xs, ys);
+};
+
+// Symmetric matrix of coefficients: rows[i][j] is the correlation of metrics[i] and metrics[j]
+export const correlationMatrix = (readings, metrics, method = 'pearson') => {
+  const rows = metrics.map(() => new Array(metrics.length).fill(null));
+  metrics.forEach((a, i) => {
+    metrics.forEach((b, j) => {
+      if (j < i) return;
+      const value = correlate(readings, a, b, method);
+      rows[i][j] = value;
+      rows[j][i] = value;
+    });
+  });
+  return rows;
+};
+
+// Correlation of a with b shifted by -maxLag..maxLag readings: [{ lag, r, pairs }].
+// A positive lag compares a with b `lag` readings later, so a peak there means a leads b.
+export const crossCorrelation = (readings, a, b, maxLag) => {
+  const xs = readings.map(reading => toValue(reading[a]));
+  const ys = readings.map(reading => toValue(reading[b]));
+  const results = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const pairedX = [];
+    const pairedY = [];
+    for (let i = Math.max(0, -lag); i < xs.length && i + lag < ys.length; i++) {
+      if (xs[i] !== null && ys[i + lag] !== null) {
+        pairedX.push(xs[i]);
+        pairedY.push(ys[i + lag]);
+      }
+    }
+    results.push({ lag, r: pearson(pairedX, pairedY), pairs: pairedX.length });
+  }
+  return results;
+};
+
+// Lag with the strongest correlation (either sign), or null when none could be computed
+export const findPeakLag = (results) => results.reduce((best, result) => (
+  result.r !== null && (best === null || Math.abs(result.r) > Math.abs(best.r)) ? result : best
+), null);
+
+// Plain-language strength of a coefficient
+export const describeCorrelation = (r) => {
+  if (r === null) return 'n/a';
+  const size = Math.abs(r);
+  const strength = size >= 0.8 ? 'very strong' : size >= 0.6 ? 'strong' : size >= 0.4 ? 'moderate' : size >= 0.2 ? 'weak' : 'none';
+  return strength === 'none' ? 'no correlation' : `${strength} ${r > 0 ? 'positive' : 'negative'}`;
+};
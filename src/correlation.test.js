@@ -0,0 +1,49 @@
+import { correlate, correlationMatrix, crossCorrelation, describeCorrelation, findPeakLag, pearson, rankValues, spearman } from './correlation';
+
+const readings = Array.from({ length: 40 }, (_, i) => ({
+  time: i * 60000,
+  current: 100 + 20 * Math.sin(i / 3),
+  // Temperature follows current three readings later
+  temperature: 25 + 0.1 * (100 + 20 * Math.sin((i - 3) / 3)),
+  humidity: 50,
+  angle: i % 2 ? null : i
+}));
+
+test('Pearson measures linear and Spearman monotonic correlation', () => {
+  expect(pearson([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+  expect(pearson([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1);
+  expect(pearson([1, 2, 3], [5, 5, 5])).toBeNull();
+  expect(pearson([1, 2], [1, 2])).toBeNull();
+
+  const xs = [1, 2, 3, 4, 5];
+  const cubes = xs.map(x => x ** 3);
+  expect(pearson(xs, cubes)).toBeLessThan(0.99);
+  expect(spearman(xs, cubes)).toBeCloseTo(1);
+  expect(rankValues([10, 20, 20, 30])).toEqual([1, 2.5, 2.5, 4]);
+});
+
+test('builds a symmetric matrix and skips missing and constant values', () => {
+  const metrics = ['current', 'temperature', 'humidity', 'angle'];
+  const matrix = correlationMatrix(readings, metrics, 'spearman');
+  expect(matrix[0][0]).toBeCloseTo(1);
+  expect(matrix[0][1]).toBe(matrix[1][0]);
+  expect(matrix[0][2]).toBeNull();
+  expect(correlate(readings, 'angle', 'angle')).toBeCloseTo(1);
+});
+
+test('lagged cross-correlation finds which signal leads', () => {
+  const lags = crossCorrelation(readings, 'current', 'temperature', 5);
+  expect(lags.map(result => result.lag)).toEqual([-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5]);
+  const peak = findPeakLag(lags);
+  expect(peak.lag).toBe(3);
+  expect(peak.r).toBeCloseTo(1);
+  expect(peak.pairs).toBe(37);
+  expect(findPeakLag(crossCorrelation(readings, 'temperature', 'current', 5)).lag).toBe(-3);
+});
+
+test('describes the strength of a coefficient', () => {
+  expect(describeCorrelation(0.85)).toBe('very strong positive');
+  expect(describeCorrelation(-0.45)).toBe('moderate negative');
+  expect(describeCorrelation(0.1)).toBe('no correlation');
+  expect(describeCorrelation(null)).toBe('n/a');
+});
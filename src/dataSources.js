@@ -0,0 +1,412 @@
+// dataSources.js - Pluggable data-source adapters
+//
+// Every adapter exposes the same interface:
+//   type        - adapter id used in configuration
+//   label       - human readable name for the connection panel
+//   description - short detail (sheet id, URL, file name) for the footer
+//   fetchTable  - async ({ offset }) => { headers: string[], rows: object[] }
+//                 rows are keyed by source column header; only rows at index
+//                 >= offset are returned (the gviz adapter and REST endpoints
+//                 with a cursor parameter filter server-side, the others slice)
+//
+// fetchReadings() turns a table into the normalized reading shape the
+// dashboard consumes, so the cards, charts and alerts never see the backend.
+
+import { DATA_SOURCE_CONFIG } from './config';
+import { SCENARIOS, simulateReadings } from './simulator';
+import { parseReadingTime, toReadingTimeFields } from './time';
+
+// Metric fields of a normalized reading
+export const METRIC_KEYS = ['temperature', 'humidity', 'oilLevel', 'voltage', 'current', 'power', 'energy', 'angle'];
+
+// Source column header for each reading field (matches the original sheet layout)
+export const DEFAULT_COLUMN_MAP = {
+  timestamp: 'Time',
+  date: 'Date',
+  temperature: 'Temperature',
+  humidity: 'Humidity (%)',
+  oilLevel: 'Oil Level (%)',
+  voltage: 'Voltage (V)',
+  current: 'Current (mA)',
+  power: 'Power (mW)',
+  energy: 'Energy (Wh)',
+  angle: 'Angle (°)'
+  // Impact is excluded as requested
+};
+
+// REST endpoints are expected to return objects already keyed by reading field
+export const IDENTITY_COLUMN_MAP = ['timestamp', 'date', ...METRIC_KEYS].reduce((map, key) => {
+  map[key] = key;
+  return map;
+}, {});
+
+// Display metadata per metric: card/alert icon, unit and the decimals values are shown with
+export const METRIC_INFO = {
+  temperature: { label: 'Temperature', unit: '°C', icon: '🌡️', decimals: 1 },
+  humidity: { label: 'Humidity', unit: '%', icon: '💧', decimals: 1 },
+  oilLevel: { label: 'Oil Level', unit: '%', icon: '🛢️', decimals: 1 },
+  voltage: { label: 'Voltage', unit: 'V', icon: '⚡', decimals: 2 },
+  current: { label: 'Current', unit: 'mA', icon: '🔌', decimals: 0 },
+  power: { label: 'Power', unit: 'mW', icon: '⚡', decimals: 0 },
+  energy: { label: 'Energy', unit: 'Wh', icon: '🔋', decimals: 3 },
+  angle: { label: 'Angle', unit: '°', icon: '📐', decimals: 2 }
+};
+
+// Display names for reading fields, used when reporting mapping problems
+export const FIELD_LABELS = {
+  timestamp: 'Time',
+  date: 'Date',
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  oilLevel: 'Oil Level',
+  voltage: 'Voltage',
+  current: 'Current',
+  power: 'Power',
+  energy: 'Energy',
+  angle: 'Angle'
+};
+
+// Header patterns used to guess which source column feeds each field
+const FIELD_PATTERNS = {
+  timestamp: [/^time$/i, /timestamp/i, /time/i],
+  date: [/^date$/i, /date|day/i],
+  temperature: [/temp/i],
+  humidity: [/humid/i, /\brh\b/i],
+  oilLevel: [/oil/i],
+  voltage: [/volt/i, /\(v\)/i],
+  current: [/current/i, /\bamps?\b/i, /\(m?a\)/i],
+  power: [/power/i, /watt/i, /\(m?w\)/i],
+  energy: [/energy/i, /\(k?wh\)/i],
+  angle: [/angle/i, /tilt/i, /°/]
+};
+
+// Guess a column map from source headers; fields with no match are left unmapped (null)
+export const autoDetectColumnMap = (headers) => {
+  const used = new Set();
+  const columnMap = {};
+  Object.keys(FIELD_PATTERNS).forEach(field => {
+    const match = FIELD_PATTERNS[field]
+      .map(pattern => headers.find(header => !used.has(header) && pattern.test(header)))
+      .find(Boolean);
+    columnMap[field] = match || null;
+    if (match) used.add(match);
+  });
+  return columnMap;
+};
+
+// Report fields that are unmapped or mapped to a column the source does not have
+export const validateColumnMap = (headers, columnMap) => {
+  const issues = [];
+  Object.keys(FIELD_LABELS).forEach(field => {
+    const column = columnMap[field];
+    if (!column) {
+      issues.push({ field, column: null, message: `${FIELD_LABELS[field]} is not mapped to a source column` });
+    } else if (!headers.includes(column)) {
+      issues.push({ field, column, message: `${FIELD_LABELS[field]}: column "${column}" was not found in the source` });
+    }
+  });
+  return issues;
+};
+
+// Numeric cell value; blank or unparsable cells are missing (null), never 0
+export const parseMetricValue = (value) => {
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+// A source row carries its own Date or Time value
+const hasOwnTime = (row, columnMap) => Boolean(row[columnMap.timestamp] || row[columnMap.date]);
+
+// Transform a source row into the normalized reading shape.
+// Metrics whose column is unmapped or absent, and blank or unparsable cells, stay null
+// instead of becoming 0 (see quality.js).
+// `time` is the reading's instant (epoch ms) from its Date/Time columns in the
+// source time zone, or null when they can't be parsed; rows without either
+// column keep the Date/Time of `stamped` (the reading fetched earlier for the
+// same row) or are stamped with the current time.
+export const normalizeReading = (row, columnMap = DEFAULT_COLUMN_MAP, timeZone = '', stamped = null) => {
+  const { timestamp, date } = hasOwnTime(row, columnMap)
+    ? { timestamp: row[columnMap.timestamp] || '', date: row[columnMap.date] || '' }
+    : stamped || toReadingTimeFields(Date.now(), timeZone);
+  const reading = { timestamp, date, time: parseReadingTime(date, timestamp, timeZone) };
+  METRIC_KEYS.forEach(key => {
+    const column = columnMap[key];
+    reading[key] = column && column in row ? parseMetricValue(row[column]) : null;
+  });
+  return reading;
+};
+
+// Build a table from an array of row objects, collecting headers in first-seen order
+const tableFromObjects = (objects) => {
+  const headers = [];
+  objects.forEach(obj => {
+    Object.keys(obj).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return { headers, rows: objects };
+};
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+export const parseCSV = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      const cell = cells[index];
+      row[header] = cell === undefined || cell.trim() === '' ? null : cell.trim();
+    });
+    return row;
+  });
+  return { headers, rows };
+};
+
+// Parse the JSONP-like gviz response into a table
+export const parseGvizResponse = (text) => {
+  // Remove the prefix and suffix to get the JSON
+  const jsonStart = text.indexOf('{');
+  const jsonEnd = text.lastIndexOf('}') + 1;
+  const jsonData = JSON.parse(text.substring(jsonStart, jsonEnd));
+
+  if (!jsonData.table || !jsonData.table.rows) {
+    throw new Error('Unexpected response from Google Sheet');
+  }
+
+  const headers = jsonData.table.cols.map(col => col.label);
+  const rows = jsonData.table.rows.map(row => {
+    const rowData = {};
+    headers.forEach((header, colIndex) => {
+      if (row.c[colIndex] && (row.c[colIndex].v !== null)) {
+        // Use formatted value if available, otherwise use raw value
+        rowData[header] = row.c[colIndex].f || row.c[colIndex].v;
+      } else {
+        rowData[header] = null;
+      }
+    });
+    return rowData;
+  });
+  return { headers, rows };
+};
+
+// Resolve a dot path such as "data.readings" inside a JSON document
+export const getPath = (obj, path) => {
+  if (!path) return obj;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+// Drop rows the caller already has when the backend cannot filter them itself
+const sliceTable = (table, offset) => (offset > 0 ? { ...table, rows: table.rows.slice(offset) } : table);
+
+const fetchText = async (url, errorHint) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${errorHint}`);
+  }
+  return response.text();
+};
+
+// Google Sheets gviz endpoint (public "Anyone with the link" sheets, no auth)
+export const createGoogleSheetsAdapter = ({ sheetId, sheetName = 'Sheet1', columnMap = DEFAULT_COLUMN_MAP }) => ({
+  type: 'googleSheets',
+  label: 'Google Sheet',
+  description: `Sheet ID: ${sheetId}`,
+  columnMap,
+  sheetId,
+  fetchTable: async ({ offset = 0 } = {}) => {
+    // The gviz query language skips rows server-side with an OFFSET clause
+    const query = offset > 0 ? `&tq=${encodeURIComponent(`select * offset ${offset}`)}` : '';
+    const url = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}${query}`;
+    const text = await fetchText(url, 'Sheet may not be public or accessible');
+    return parseGvizResponse(text);
+  }
+});
+
+// Generic REST endpoint returning a JSON array of readings.
+// With cursorParam set (e.g. "offset") the row offset is sent as a query
+// parameter and the endpoint is expected to return only rows from that index.
+export const createRestAdapter = ({ url, rowsPath = '', cursorParam = '', columnMap = IDENTITY_COLUMN_MAP }) => ({
+  type: 'rest',
+  label: 'REST API',
+  description: `Endpoint: ${url}`,
+  columnMap,
+  fetchTable: async ({ offset = 0 } = {}) => {
+    if (!url) throw new Error('No REST endpoint URL configured');
+    const useCursor = cursorParam && offset > 0;
+    const requestUrl = useCursor
+      ? `${url}${url.includes('?') ? '&' : '?'}${encodeURIComponent(cursorParam)}=${offset}`
+      : url;
+    const text = await fetchText(requestUrl, 'REST endpoint is not reachable');
+    const rows = getPath(JSON.parse(text), rowsPath);
+    if (!Array.isArray(rows)) {
+      throw new Error(`Expected an array of readings at "${rowsPath || '(root)'}"`);
+    }
+    const table = tableFromObjects(rows);
+    return useCursor ? table : sliceTable(table, offset);
+  }
+});
+
+// CSV file published at a URL (e.g. "Publish to web" CSV export)
+export const createCsvAdapter = ({ url, columnMap = DEFAULT_COLUMN_MAP }) => ({
+  type: 'csv',
+  label: 'CSV URL',
+  description: `CSV: ${url}`,
+  columnMap,
+  fetchTable: async ({ offset = 0 } = {}) => {
+    if (!url) throw new Error('No CSV URL configured');
+    const text = await fetchText(url, 'CSV file is not reachable');
+    return sliceTable(parseCSV(text), offset);
+  }
+});
+
+// Local CSV or JSON file chosen by the user
+export const createLocalFileAdapter = ({ file, columnMap = DEFAULT_COLUMN_MAP }) => ({
+  type: 'localFile',
+  label: 'Local File',
+  description: file ? `File: ${file.name}` : 'No file selected',
+  columnMap,
+  fetchTable: async ({ offset = 0 } = {}) => {
+    if (!file) throw new Error('Choose a CSV or JSON file to load');
+    const text = await file.text();
+    if (file.name.toLowerCase().endsWith('.json')) {
+      const rows = JSON.parse(text);
+      if (!Array.isArray(rows)) throw new Error('JSON file must contain an array of readings');
+      return sliceTable(tableFromObjects(rows), offset);
+    }
+    return sliceTable(parseCSV(text), offset);
+  }
+});
+
+// Simulated scenarios without a startedAt begin when the page loads
+const PAGE_LOADED_AT = Date.now();
+
+// Deterministic simulator: historySamples of normal operation, then the scenario's
+// fault develops from startedAt, one sample per intervalMs up to now
+export const createSimulatorAdapter = ({
+  seed = 42,
+  scenario = 'normal',
+  intervalMs = 60000,
+  historySamples = 120,
+  startedAt = null,
+  columnMap = IDENTITY_COLUMN_MAP,
+  timeZone = '',
+  now = Date.now
+}) => ({
+  type: 'simulator',
+  label: 'Simulator',
+  description: `Simulator: ${(SCENARIOS[scenario] || SCENARIOS.normal).label} (seed ${seed})`,
+  columnMap,
+  fetchTable: async ({ offset = 0 } = {}) => {
+    if (!SCENARIOS[scenario]) throw new Error(`Unknown simulator scenario: ${scenario}`);
+    const start = startedAt ?? PAGE_LOADED_AT;
+    const elapsedSamples = Math.max(0, Math.floor((now() - start) / intervalMs));
+    const rows = simulateReadings({
+      seed,
+      scenario,
+      count: historySamples + elapsedSamples + 1,
+      intervalMs,
+      startTime: start - historySamples * intervalMs,
+      onsetSample: historySamples,
+      timeZone
+    });
+    return sliceTable(tableFromObjects(rows), offset);
+  }
+});
+
+const ADAPTER_FACTORIES = {
+  googleSheets: createGoogleSheetsAdapter,
+  rest: createRestAdapter,
+  csv: createCsvAdapter,
+  localFile: createLocalFileAdapter,
+  simulator: createSimulatorAdapter
+};
+
+// Create the adapter selected in configuration
+export const createDataSource = (config = DATA_SOURCE_CONFIG, overrides = {}) => {
+  const factory = ADAPTER_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown data source type: ${config.type}`);
+  }
+  // Ignore empty overrides so adapter defaults (e.g. the column map) still apply
+  const definedOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== null && value !== undefined)
+  );
+  // Wall-clock Date/Time columns are read in the source's time zone ('' = browser)
+  const timeZone = config.timeZone || '';
+  return { ...factory({ ...config[config.type], timeZone, ...definedOverrides }), timeZone };
+};
+
+// Two readings describe the same source row (used to check the incremental cursor)
+export const isSameReading = (a, b) => (
+  !!a && !!b && a.timestamp === b.timestamp && a.date === b.date && METRIC_KEYS.every(key => a[key] === b[key])
+);
+
+// Values for the cards: the latest reading with each metric's newest value filled in.
+// Streamed readings only carry the metrics heard in their batch, so the latest one
+// alone would blank the cards of sensors that publish less often.
+export const getLatestValues = (readings) => {
+  if (!readings || readings.length === 0) return null;
+  const latest = { ...readings[readings.length - 1] };
+  const isMissing = (value) => value === null || value === undefined;
+  METRIC_KEYS.filter(metric => isMissing(latest[metric])).forEach(metric => {
+    let index = readings.length - 1;
+    while (index >= 0 && isMissing(readings[index][metric])) index--;
+    latest[metric] = index >= 0 ? readings[index][metric] : null;
+  });
+  return latest;
+};
+
+// Fetch from an adapter and return normalized readings plus any column mapping issues.
+// With an offset only rows from that index are returned; an empty result is then not an error.
+// `previous` is the history fetched so far: rows without a time of their own keep the
+// time they were given then, so only rows appended since are stamped with the fetch time.
+export const fetchReadings = async (source, { offset = 0, previous = [] } = {}) => {
+  const table = await source.fetchTable({ offset });
+  if (table.rows.length === 0 && offset === 0) {
+    throw new Error(`No data found in ${source.label}`);
+  }
+  return {
+    headers: table.headers,
+    readings: table.rows.map((row, index) => normalizeReading(row, source.columnMap, source.timeZone, previous[offset + index])),
+    issues: validateColumnMap(table.headers, source.columnMap)
+  };
+};
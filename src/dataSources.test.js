@@ -0,0 +1,104 @@
+import { parseCSV, parseGvizResponse, normalizeReading, createDataSource, fetchReadings, autoDetectColumnMap, isSameReading, validateColumnMap } from './dataSources';
+
+test('parses quoted CSV fields and blank cells', () => {
+  const { headers, rows } = parseCSV('Time,Temperature,Note\r\n10:00:00,25.5,"a, ""b"""\n10:01:00,,\n');
+  expect(headers).toEqual(['Time', 'Temperature', 'Note']);
+  expect(rows).toEqual([
+    { Time: '10:00:00', Temperature: '25.5', Note: 'a, "b"' },
+    { Time: '10:01:00', Temperature: null, Note: null }
+  ]);
+});
+
+test('strips the gviz JSONP wrapper', () => {
+  const text = '/*O_o*/\ngoogle.visualization.Query.setResponse({"table":{"cols":[{"label":"Time"},{"label":"Temperature"}],"rows":[{"c":[{"v":"x","f":"10:00:00"},{"v":25}]}]}});';
+  expect(parseGvizResponse(text)).toEqual({
+    headers: ['Time', 'Temperature'],
+    rows: [{ Time: '10:00:00', Temperature: 25 }]
+  });
+});
+
+test('normalizes rows through the column map', () => {
+  const reading = normalizeReading({ Time: '10:00:00', Date: '1/1/2025', 'Oil Level (%)': '20' });
+  expect(reading.timestamp).toBe('10:00:00');
+  expect(reading.oilLevel).toBe(20);
+});
+
+test('every adapter feeds the same reading shape', async () => {
+  const source = createDataSource({ type: 'rest', rest: { url: 'http://localhost/readings', rowsPath: 'data' } });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    text: () => Promise.resolve(JSON.stringify({ data: [{ timestamp: '10:00:00', date: '1/1/2025', angle: 1.5 }] }))
+  });
+  const { readings, issues } = await fetchReadings(source);
+  expect(readings[0]).toMatchObject({ timestamp: '10:00:00', angle: 1.5, temperature: null });
+  expect(issues.map(issue => issue.field)).toContain('temperature');
+  delete global.fetch;
+});
+
+test('rejects unknown source types', () => {
+  expect(() => createDataSource({ type: 'ftp' })).toThrow('Unknown data source type: ftp');
+});
+
+test('auto-detects renamed columns and reports unmapped fields', () => {
+  const headers = ['Date', 'Time', 'Temp (C)', 'Rel. Humidity', 'Oil %', 'Volts', 'Amps', 'Watts', 'Energy kWh'];
+  const columnMap = autoDetectColumnMap(headers);
+  expect(columnMap).toMatchObject({ temperature: 'Temp (C)', humidity: 'Rel. Humidity', voltage: 'Volts', current: 'Amps', angle: null });
+  expect(validateColumnMap(headers, columnMap).map(issue => issue.field)).toEqual(['angle']);
+});
+
+test('keeps metrics with a missing column as null instead of 0', () => {
+  const reading = normalizeReading({ Time: '10:00:00', Humidity: '55' });
+  expect(reading.humidity).toBeNull();
+});
+
+test('blank and unparsable cells are missing, not 0', () => {
+  expect(normalizeReading({ Time: '10:00:00', 'Oil Level (%)': '' }).oilLevel).toBeNull();
+  expect(normalizeReading({ Time: '10:00:00', 'Oil Level (%)': 'n/a' }).oilLevel).toBeNull();
+  expect(normalizeReading({ Time: '10:00:00', 'Oil Level (%)': null }).oilLevel).toBeNull();
+  expect(normalizeReading({ Time: '10:00:00', 'Oil Level (%)': '0' }).oilLevel).toBe(0);
+});
+
+test('incremental fetches ask gviz for rows after the cursor', async () => {
+  const source = createDataSource({ type: 'googleSheets', googleSheets: { sheetId: 'abc', sheetName: 'Sheet1' } });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    text: () => Promise.resolve('setResponse({"table":{"cols":[{"label":"Time"}],"rows":[]}});')
+  });
+  const { readings } = await fetchReadings(source, { offset: 41 });
+  expect(readings).toEqual([]);
+  expect(global.fetch.mock.calls[0][0]).toContain(`&tq=${encodeURIComponent('select * offset 41')}`);
+  delete global.fetch;
+});
+
+test('adapters without a server-side cursor slice rows client-side', async () => {
+  const source = createDataSource({ type: 'csv', csv: { url: 'http://localhost/log.csv' } });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    text: () => Promise.resolve('Time,Temperature\n10:00,20\n10:01,21\n10:02,22\n')
+  });
+  const { readings } = await fetchReadings(source, { offset: 2 });
+  expect(readings.map(reading => reading.temperature)).toEqual([22]);
+  delete global.fetch;
+});
+
+test('rows without a time of their own keep the time of their first fetch', async () => {
+  const source = createDataSource({ type: 'csv', csv: { url: 'http://localhost/log.csv' } });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    text: () => Promise.resolve('Temperature,Humidity\n20,40\n21,41\n')
+  });
+  jest.useFakeTimers().setSystemTime(Date.UTC(2025, 0, 1, 10, 0, 0));
+  const first = await fetchReadings(source);
+  expect(first.readings.map(reading => reading.time)).toEqual([Date.UTC(2025, 0, 1, 10, 0, 0), Date.UTC(2025, 0, 1, 10, 0, 0)]);
+
+  // A row appended an hour later is the only one stamped with the new fetch time
+  global.fetch.mockResolvedValue({ ok: true, text: () => Promise.resolve('Temperature,Humidity\n20,40\n21,41\n22,42\n') });
+  jest.setSystemTime(Date.UTC(2025, 0, 1, 11, 0, 0));
+  const resync = await fetchReadings(source, { previous: first.readings });
+  expect(resync.readings.map(reading => reading.time)).toEqual([...first.readings.map(reading => reading.time), Date.UTC(2025, 0, 1, 11, 0, 0)]);
+  const again = await fetchReadings(source, { offset: 1, previous: first.readings });
+  expect(isSameReading(again.readings[0], first.readings[1])).toBe(true);
+  expect(isSameReading({ ...again.readings[0], humidity: 42 }, first.readings[1])).toBe(false);
+  jest.useRealTimers();
+  delete global.fetch;
+});
@@ -0,0 +1,310 @@
+// derived.js - Derived (virtual) metrics and sensor-consistency checks
+//
+// A derived metric is a formula over the measured metrics and earlier derived
+// metrics, evaluated over the whole reading history (oldest first):
+//   { id: 'computedPower', label: 'Computed power', unit: 'mW', decimals: 0, formula: 'voltage * current' }
+// Formulas support numbers, metric / derived ids, + - * / ^, parentheses and
+//   abs(x) sqrt(x) min(a, b, …) max(a, b, …)   per reading
+//   integral(x)   running time integral of x in <unit of x>·hours (trapezoidal)
+//   first(x)      first value of x in the history, e.g. to offset a cumulative counter
+// A reading where any input is missing gives null rather than a made-up value.
+//
+// A consistency rule compares a measured and an expected formula and raises a
+// "sensor disagreement" alert when they differ by more than `tolerance` percent:
+//   { id, metric, measured: 'power', expected: 'computedPower', tolerance: 10, minSamples: 3, severity: 'warning' }
+// `metric` is the sensor the alert is filed under; minSamples debounces it like an alert rule.
+
+import { METRIC_INFO, METRIC_KEYS } from './dataSources';
+import { evaluateRule } from './rules';
+
+const HOUR_MS = 3600000;
+// Values this close to zero on both sides are treated as agreeing
+const MIN_MAGNITUDE = 1e-9;
+
+const FUNCTIONS = {
+  abs: { args: [1, 1], apply: Math.abs },
+  sqrt: { args: [1, 1], apply: (x) => (x < 0 ? null : Math.sqrt(x)) },
+  min: { args: [2, Infinity], apply: Math.min },
+  max: { args: [2, Infinity], apply: Math.max },
+  integral: { args: [1, 1], series: true },
+  first: { args: [1, 1], series: true }
+};
+
+export const FORMULA_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([A-Za-z_]\w*)|(\S))/gy;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text))) {
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'symbol', value: match[3] });
+  }
+  return tokens;
+};
+
+// Parse a formula into a syntax tree: { tree } or { error }
+export const parseFormula = (text) => {
+  const tokens = tokenize(String(text || ''));
+  let position = 0;
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new Error(`expected "${value}"`);
+    position++;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol('+') || isSymbol('-')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isSymbol('*') || isSymbol('/')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      position++;
+      return { type: 'negate', arg: parseUnary() };
+    }
+    const base = parsePrimary();
+    if (isSymbol('^')) {
+      position++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('unexpected end of formula');
+    position++;
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'name') {
+      if (!isSymbol('(')) return { type: 'name', name: token.value };
+      position++;
+      const args = [parseExpression()];
+      while (isSymbol(',')) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(')');
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`unknown function "${token.value}"`);
+      if (args.length < fn.args[0] || args.length > fn.args[1]) throw new Error(`wrong number of arguments for ${token.value}()`);
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    throw new Error(`unexpected "${token.value}"`);
+  };
+
+  try {
+    if (tokens.length === 0) throw new Error('formula is empty');
+    const tree = parseExpression();
+    if (position < tokens.length) throw new Error(`unexpected "${tokens[position].value}"`);
+    return { tree };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+// Metric and derived ids a formula reads
+export const getFormulaNames = (tree) => {
+  if (!tree) return [];
+  if (tree.type === 'name') return [tree.name];
+  if (tree.type === 'negate') return getFormulaNames(tree.arg);
+  if (tree.type === 'binary') return [...getFormulaNames(tree.left), ...getFormulaNames(tree.right)];
+  if (tree.type === 'call') return tree.args.flatMap(getFormulaNames);
+  return [];
+};
+
+const finite = (value) => (value === null || !Number.isFinite(value) ? null : value);
+
+const applyOperator = (op, a, b) => {
+  if (a === null || b === null) return null;
+  if (op === '+') return a + b;
+  if (op === '-') return a - b;
+  if (op === '*') return a * b;
+  if (op === '/') return b === 0 ? null : a / b;
+  return finite(a ** b);
+};
+
+// Running trapezoidal integral over time; missing values are bridged from the last present one
+const integrate = (values, times) => {
+  let total = null;
+  let previous = null;
+  return values.map((value, index) => {
+    if (value === null || times[index] === null) return null;
+    if (previous === null) {
+      total = 0;
+    } else if (times[index] > previous.time) {
+      total += ((previous.value + value) / 2) * ((times[index] - previous.time) / HOUR_MS);
+    }
+    previous = { value, time: times[index] };
+    return total;
+  });
+};
+
+const firstValue = (values) => {
+  let first = null;
+  return values.map(value => {
+    if (first === null && value !== null) first = value;
+    return first;
+  });
+};
+
+// Values of a syntax tree for every reading; lookup(name) returns a series or undefined
+const evaluateTree = (tree, lookup, times) => {
+  const count = times.length;
+  if (tree.type === 'number') return new Array(count).fill(tree.value);
+  if (tree.type === 'name') return lookup(tree.name) || new Array(count).fill(null);
+  if (tree.type === 'negate') return evaluateTree(tree.arg, lookup, times).map(value => (value === null ? null : -value));
+  if (tree.type === 'binary') {
+    const left = evaluateTree(tree.left, lookup, times);
+    const right = evaluateTree(tree.right, lookup, times);
+    return left.map((value, index) => finite(applyOperator(tree.op, value, right[index])));
+  }
+  const args = tree.args.map(arg => evaluateTree(arg, lookup, times));
+  if (tree.name === 'integral') return integrate(args[0], times);
+  if (tree.name === 'first') return firstValue(args[0]);
+  const fn = FUNCTIONS[tree.name];
+  return args[0].map((_, index) => {
+    const values = args.map(series => series[index]);
+    return values.includes(null) ? null : finite(fn.apply(...values));
+  });
+};
+
+const toValue = (value) => (value === null || value === undefined || value === '' || !isFinite(value) ? null : Number(value));
+
+const createLookup = (readings, derived) => {
+  const cache = {};
+  return (name) => {
+    if (derived[name]) return derived[name];
+    if (!METRIC_KEYS.includes(name)) return undefined;
+    if (!cache[name]) cache[name] = readings.map(reading => toValue(reading[name]));
+    return cache[name];
+  };
+};
+
+// Series of every derived metric: { [id]: values[] } aligned with the readings.
+// Definitions that do not parse give all-null series.
+export const computeDerivedSeries = (readings, derivedMetrics) => {
+  const times = readings.map(reading => toValue(reading.time));
+  const derived = {};
+  const lookup = createLookup(readings, derived);
+  derivedMetrics.forEach(definition => {
+    const { tree } = parseFormula(definition.formula);
+    derived[definition.id] = tree ? evaluateTree(tree, lookup, times) : new Array(readings.length).fill(null);
+  });
+  return derived;
+};
+
+// Series of any formula over the readings and already computed derived series
+export const evaluateFormula = (formula, readings, derived = {}) => {
+  const { tree } = parseFormula(formula);
+  if (!tree) return new Array(readings.length).fill(null);
+  return evaluateTree(tree, createLookup(readings, derived), readings.map(reading => toValue(reading.time)));
+};
+
+// Percentage difference of two values relative to the larger one
+export const relativeDeviation = (measured, expected) => {
+  if (measured === null || expected === null) return null;
+  const magnitude = Math.max(Math.abs(measured), Math.abs(expected));
+  return magnitude < MIN_MAGNITUDE ? 0 : (Math.abs(measured - expected) / magnitude) * 100;
+};
+
+// Latest state of each consistency rule:
+// [{ rule, measured, expected, deviation, severity }] — severity is null while they agree
+export const evaluateConsistency = (readings, derivedMetrics, consistencyRules) => {
+  if (!readings || readings.length === 0 || consistencyRules.length === 0) return [];
+  const derived = computeDerivedSeries(readings, derivedMetrics);
+  return consistencyRules.map(rule => {
+    const measured = evaluateFormula(rule.measured, readings, derived);
+    const expected = evaluateFormula(rule.expected, readings, derived);
+    // Replayed through the rules engine so minSamples debounces like any alert rule
+    const deviations = readings.map((reading, index) => ({ time: reading.time, deviation: relativeDeviation(measured[index], expected[index]) }));
+    const result = evaluateRule({
+      id: rule.id,
+      metric: 'deviation',
+      type: 'range',
+      [rule.severity]: { min: null, max: Number(rule.tolerance) },
+      minSamples: rule.minSamples
+    }, deviations);
+    const last = readings.length - 1;
+    return {
+      rule,
+      measured: measured[last],
+      expected: expected[last],
+      deviation: deviations[last].deviation,
+      severity: result ? result.severity : null
+    };
+  });
+};
+
+const formatValue = (value, metric) => {
+  if (value === null) return '—';
+  const info = METRIC_INFO[metric];
+  return `${value.toFixed(info ? info.decimals : 2)}${info ? info.unit : ''}`;
+};
+
+// "Sensor disagreement" alerts for the consistency rules that currently fire,
+// in the shape evaluateAlerts() returns
+export const evaluateConsistencyAlerts = (readings, derivedMetrics, consistencyRules) => (
+  evaluateConsistency(readings, derivedMetrics, consistencyRules)
+    .filter(result => result.severity)
+    .map(({ rule, measured, expected, deviation, severity }) => {
+      const info = METRIC_INFO[rule.metric] || { label: rule.metric, icon: '⚠️' };
+      return {
+        ruleId: rule.id,
+        metric: rule.metric,
+        severity,
+        message: `${info.icon} ${info.label} SENSOR DISAGREEMENT`,
+        currentValue: `${deviation.toFixed(1)}% apart`,
+        threshold: `±${rule.tolerance}%`,
+        description: `${rule.measured} is ${formatValue(measured, rule.metric)} but ${rule.expected} gives ${formatValue(expected, rule.metric)}`
+      };
+    })
+);
+
+// Problems with the derived metric and consistency rule definitions, for the settings screen
+export const validateDerived = (derivedMetrics, consistencyRules) => {
+  const issues = [];
+  const known = new Set(METRIC_KEYS);
+  derivedMetrics.forEach((definition, index) => {
+    const name = `Derived metric ${index + 1} (${definition.label || definition.id || 'unnamed'})`;
+    if (!/^[A-Za-z_]\w*$/.test(definition.id || '')) {
+      issues.push(`${name}: id must start with a letter and contain only letters, digits and _`);
+    } else if (known.has(definition.id) || FUNCTIONS[definition.id]) {
+      issues.push(`${name}: id "${definition.id}" is already used`);
+    }
+    const { tree, error } = parseFormula(definition.formula);
+    if (error) issues.push(`${name}: ${error}`);
+    getFormulaNames(tree).filter(id => !known.has(id)).forEach(id => issues.push(`${name}: unknown name "${id}"`));
+    known.add(definition.id);
+  });
+  consistencyRules.forEach((rule, index) => {
+    const name = `Consistency rule ${index + 1} (${METRIC_INFO[rule.metric]?.label || rule.metric})`;
+    ['measured', 'expected'].forEach(side => {
+      const { tree, error } = parseFormula(rule[side]);
+      if (error) issues.push(`${name}: ${side} ${error}`);
+      getFormulaNames(tree).filter(id => !known.has(id)).forEach(id => issues.push(`${name}: unknown name "${id}"`));
+    });
+    if (!(Number(rule.tolerance) > 0)) issues.push(`${name}: tolerance must be a positive percentage`);
+    if (rule.minSamples !== null && rule.minSamples !== undefined && !(rule.minSamples >= 1)) issues.push(`${name}: samples must be at least 1`);
+  });
+  return issues;
+};
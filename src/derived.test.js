@@ -0,0 +1,69 @@
+import { DEFAULT_CONSISTENCY_RULES, DEFAULT_DERIVED_METRICS } from './config';
+import { computeDerivedSeries, evaluateConsistency, evaluateConsistencyAlerts, evaluateFormula, parseFormula, relativeDeviation, validateDerived } from './derived';
+import { simulateReadings } from './simulator';
+
+const HOUR = 3600000;
+
+test('parses formulas with precedence, functions and errors', () => {
+  const readings = [{ time: 0, voltage: 10, current: 150, power: 1500 }];
+  expect(evaluateFormula('voltage * current - 2 ^ 2 * 10', readings)).toEqual([1460]);
+  expect(evaluateFormula('-(voltage - 12) / 2', readings)).toEqual([1]);
+  expect(evaluateFormula('max(voltage, 12, abs(-3))', readings)).toEqual([12]);
+  expect(parseFormula('voltage *').error).toBe('unexpected end of formula');
+  expect(parseFormula('foo(voltage)').error).toBe('unknown function "foo"');
+  expect(parseFormula('voltage current').error).toBe('unexpected "current"');
+});
+
+test('missing inputs and division by zero give null', () => {
+  const readings = [{ time: 0, voltage: 10, current: null }, { time: 1, voltage: 0, current: 5 }];
+  expect(evaluateFormula('voltage * current', readings)).toEqual([null, 0]);
+  expect(evaluateFormula('current / voltage', readings)).toEqual([null, null]);
+});
+
+test('integrates over time and offsets by the first value', () => {
+  const readings = [
+    { time: 0, power: 1000, energy: 5 },
+    { time: HOUR, power: 3000, energy: 7 },
+    { time: 1.5 * HOUR, power: null, energy: null },
+    { time: 2 * HOUR, power: 3000, energy: 10 }
+  ];
+  expect(evaluateFormula('integral(power)', readings)).toEqual([0, 2000, null, 5000]);
+  expect(evaluateFormula('energy - first(energy)', readings)).toEqual([0, 2, null, 5]);
+});
+
+test('derived metrics can build on each other', () => {
+  const definitions = [
+    { id: 'computedPower', formula: 'voltage * current' },
+    { id: 'doubled', formula: 'computedPower * 2' }
+  ];
+  const derived = computeDerivedSeries([{ time: 0, voltage: 2, current: 3 }], definitions);
+  expect(derived).toEqual({ computedPower: [6], doubled: [12] });
+});
+
+test('simulated sensors agree and a drifting power sensor raises a disagreement', () => {
+  const readings = simulateReadings({ seed: 3, count: 60, startTime: 0 });
+  const healthy = evaluateConsistency(readings, DEFAULT_DERIVED_METRICS, DEFAULT_CONSISTENCY_RULES);
+  expect(healthy.map(result => result.severity)).toEqual([null, null]);
+  expect(healthy[0].deviation).toBeLessThan(1);
+
+  // Power reads 30% low for the last three readings
+  const faulty = readings.map((reading, index) => (index >= 57 ? { ...reading, power: reading.power * 0.7 } : reading));
+  expect(evaluateConsistencyAlerts(faulty.slice(0, 59), DEFAULT_DERIVED_METRICS, DEFAULT_CONSISTENCY_RULES)).toEqual([]);
+  const alerts = evaluateConsistencyAlerts(faulty, DEFAULT_DERIVED_METRICS, DEFAULT_CONSISTENCY_RULES);
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toMatchObject({ ruleId: 'power-consistency', metric: 'power', severity: 'warning', message: '⚡ Power SENSOR DISAGREEMENT', threshold: '±10%' });
+  expect(relativeDeviation(70, 100)).toBeCloseTo(30);
+});
+
+test('validates ids, formulas and tolerances', () => {
+  expect(validateDerived(DEFAULT_DERIVED_METRICS, DEFAULT_CONSISTENCY_RULES)).toEqual([]);
+  expect(validateDerived(
+    [{ id: 'power', label: 'Dup', formula: 'voltage *' }, { id: 'ok', label: 'Ok', formula: 'speed * 2' }],
+    [{ metric: 'power', measured: 'power', expected: 'ok', tolerance: 0 }]
+  )).toEqual([
+    'Derived metric 1 (Dup): id "power" is already used',
+    'Derived metric 1 (Dup): unexpected end of formula',
+    'Derived metric 2 (Ok): unknown name "speed"',
+    'Consistency rule 1 (Power): tolerance must be a positive percentage'
+  ]);
+});
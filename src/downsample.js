@@ -0,0 +1,89 @@
+// downsample.js - Reduce a time series to what a chart can actually draw
+//
+// Largest-Triangle-Three-Buckets keeps the points that shape the line (peaks,
+// dips, steps), so a month of one-minute data drawn into a 600 px chart looks
+// the same with ~600 points. Only chart rendering uses this; alerts, insights
+// and statistics keep working on the raw readings.
+
+const hasValue = (row, key) => row[key] !== null && row[key] !== undefined && isFinite(row[key]);
+
+// LTTB over rows that all carry a value for key; returns at most threshold rows
+// (always including the first and last)
+export const lttb = (rows, key, threshold) => {
+  if (rows.length <= threshold) return rows;
+  if (threshold < 3) return [rows[0], rows[rows.length - 1]];
+
+  const sampled = [rows[0]];
+  const bucketSize = (rows.length - 2) / (threshold - 2);
+  let selected = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket is the third triangle corner
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, rows.length);
+    let avgTime = 0;
+    let avgValue = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      avgTime += rows[i].time;
+      avgValue += Number(rows[i][key]);
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    avgTime /= nextCount;
+    avgValue /= nextCount;
+
+    // Point of this bucket forming the largest triangle with the last selected point
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    const anchorTime = rows[selected].time;
+    const anchorValue = Number(rows[selected][key]);
+    let maxArea = -1;
+    let best = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs(
+        (anchorTime - avgTime) * (Number(rows[i][key]) - anchorValue) -
+        (anchorTime - rows[i].time) * (avgValue - anchorValue)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        best = i;
+      }
+    }
+    sampled.push(rows[best]);
+    selected = best;
+  }
+
+  sampled.push(rows[rows.length - 1]);
+  return sampled;
+};
+
+// Downsample one metric of a time series to about maxPoints rows. Rows without a
+// value (gap markers from toTimeSeries, missing readings) split the series into
+// segments that are reduced separately, so gaps stay gaps.
+export const downsampleSeries = (series, key, maxPoints) => {
+  if (series.length <= maxPoints) return series;
+
+  const segments = [];
+  const gaps = [];
+  let current = [];
+  series.forEach(row => {
+    if (hasValue(row, key)) {
+      current.push(row);
+    } else if (current.length > 0) {
+      // A run of rows without values becomes a single break
+      segments.push(current);
+      gaps.push(row);
+      current = [];
+    }
+  });
+  segments.push(current);
+
+  const valued = segments.reduce((sum, segment) => sum + segment.length, 0);
+  const budget = Math.max(maxPoints - gaps.length, segments.length * 2);
+  const result = [];
+  segments.forEach((segment, index) => {
+    const share = Math.max(2, Math.round(budget * segment.length / Math.max(1, valued)));
+    result.push(...lttb(segment, key, share));
+    if (index < gaps.length) result.push(gaps[index]);
+  });
+  return result;
+};
@@ -0,0 +1,33 @@
+import { downsampleSeries, lttb } from './downsample';
+
+const series = (count, valueAt) => Array.from({ length: count }, (_, i) => ({ time: i * 1000, temperature: valueAt(i) }));
+
+test('LTTB keeps the ends and the shape of the line', () => {
+  const rows = series(10000, i => (i === 4321 ? 100 : Math.sin(i / 500)));
+  const sampled = lttb(rows, 'temperature', 200);
+  expect(sampled).toHaveLength(200);
+  expect(sampled[0]).toBe(rows[0]);
+  expect(sampled[199]).toBe(rows[9999]);
+  // A single spike survives the reduction
+  expect(sampled.some(row => row.temperature === 100)).toBe(true);
+  expect(sampled.every((row, i) => i === 0 || row.time > sampled[i - 1].time)).toBe(true);
+});
+
+test('short series are returned as they are', () => {
+  const rows = series(100, i => i);
+  expect(downsampleSeries(rows, 'temperature', 500)).toBe(rows);
+});
+
+test('gaps and missing values still break the downsampled line', () => {
+  const rows = [
+    ...series(3000, i => i),
+    { time: 3000500 },
+    ...series(3000, i => i).map(row => ({ ...row, time: row.time + 4000000 })),
+    { time: 7000000, temperature: null },
+    { time: 7001000, temperature: null }
+  ];
+  const sampled = downsampleSeries(rows, 'temperature', 300);
+  expect(sampled.length).toBeLessThanOrEqual(300);
+  const breaks = sampled.filter(row => row.temperature === null || row.temperature === undefined);
+  expect(breaks.map(row => row.time)).toEqual([3000500, 7000000]);
+});
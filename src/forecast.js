@@ -0,0 +1,116 @@
+// forecast.js - Trend forecasts and time-to-threshold per metric
+//
+// A least-squares line is fitted through the last `lookback` readings of a metric
+// and projected ahead by `horizonRatio` times the time span it was fitted on. The
+// band around it is the prediction interval for a single future reading:
+//   forecast ± z · s · √(1 + 1/n + (t − t̄)² / Sxx)
+// where s is the residual standard deviation, t̄ the mean fitted time and Sxx the
+// spread of the fitted times, so the band widens the further out it reaches.
+// The projected line is then checked against the limits of the metric's 'range'
+// alert rules to estimate when a warning or critical level will be reached.
+
+import { RULE_LEVELS } from './rules';
+
+// Fewest readings a line is fitted through
+const MIN_FIT_POINTS = 3;
+// Points drawn along the projection
+const FORECAST_STEPS = 20;
+const HOUR_MS = 3600000;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// Two-sided z value for a confidence level, e.g. 0.95 → 1.96
+// (Abramowitz & Stegun 26.2.23, accurate to about 5e-4)
+export const zForConfidence = (confidence) => {
+  const p = (1 - Math.min(0.999, Math.max(0.5, confidence))) / 2;
+  const t = Math.sqrt(-2 * Math.log(p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+};
+
+// Least-squares line through [{ time, value }]: value(t) = mean + slope · (t − meanTime),
+// slope per ms; null with too few points or no time spread
+export const fitLinearTrend = (points) => {
+  const n = points.length;
+  if (n < MIN_FIT_POINTS) return null;
+  const meanTime = points.reduce((sum, point) => sum + point.time, 0) / n;
+  const mean = points.reduce((sum, point) => sum + point.value, 0) / n;
+  const sxx = points.reduce((sum, point) => sum + (point.time - meanTime) ** 2, 0);
+  if (sxx === 0) return null;
+  const slope = points.reduce((sum, point) => sum + (point.time - meanTime) * (point.value - mean), 0) / sxx;
+  const residuals = points.reduce((sum, point) => sum + (point.value - mean - slope * (point.time - meanTime)) ** 2, 0);
+  return {
+    n,
+    mean,
+    meanTime,
+    slope,
+    sxx,
+    residualStd: Math.sqrt(residuals / (n - 2)),
+    firstTime: points[0].time,
+    lastTime: points[n - 1].time
+  };
+};
+
+export const predictValue = (fit, time) => fit.mean + fit.slope * (time - fit.meanTime);
+
+// Projected value at a time with its prediction interval
+export const predictPoint = (fit, time, z) => {
+  const forecast = predictValue(fit, time);
+  const margin = z * fit.residualStd * Math.sqrt(1 + 1 / fit.n + (time - fit.meanTime) ** 2 / fit.sxx);
+  return { time, forecast, lower: forecast - margin, upper: forecast + margin };
+};
+
+// Fit over the last `lookback` readings of a metric (oldest first), skipping missing values
+export const fitMetricTrend = (readings, metric, { lookback }) => {
+  const points = [];
+  for (let index = readings.length - 1; index >= 0 && points.length < lookback; index--) {
+    const { time } = readings[index];
+    const value = readings[index][metric];
+    if (isSet(time) && isSet(value) && isFinite(value)) points.unshift({ time, value: Number(value) });
+  }
+  return fitLinearTrend(points);
+};
+
+// Limits of the metric's 'range' rules the forecast can run into:
+// [{ ruleId, severity, direction: 'high' | 'low', limit }]
+export const getForecastLimits = (rules, metric) => rules
+  .filter(rule => rule.metric === metric && rule.type === 'range')
+  .flatMap(rule => RULE_LEVELS.flatMap(severity => {
+    const level = rule[severity];
+    if (!level) return [];
+    return [
+      isSet(level.max) && { ruleId: rule.id, severity, direction: 'high', limit: Number(level.max) },
+      isSet(level.min) && { ruleId: rule.id, severity, direction: 'low', limit: Number(level.min) }
+    ].filter(Boolean);
+  }));
+
+// Limits the projected line reaches within maxLeadHours after `from`, soonest first:
+// [{ ...limit, time, hours }]. Limits already crossed at `from` are left to the alerts.
+export const findThresholdCrossings = (fit, limits, from, maxLeadHours) => {
+  if (!fit || fit.slope === 0) return [];
+  const current = predictValue(fit, from);
+  return limits
+    .filter(limit => (limit.direction === 'high' ? fit.slope > 0 && current < limit.limit : fit.slope < 0 && current > limit.limit))
+    .map(limit => {
+      const time = from + (limit.limit - current) / fit.slope;
+      return { ...limit, time, hours: (time - from) / HOUR_MS };
+    })
+    .filter(crossing => crossing.hours <= maxLeadHours)
+    .sort((a, b) => a.time - b.time);
+};
+
+// Forecast of one metric for the charts and insights, or null without a usable fit:
+// { fit, points: [{ time, forecast, lower, upper }], crossings }
+export const forecastMetric = (readings, metric, rules, config) => {
+  const fit = fitMetricTrend(readings, metric, config);
+  if (!fit) return null;
+  const z = zForConfidence(config.confidence);
+  const horizon = (fit.lastTime - fit.firstTime) * config.horizonRatio;
+  const points = Array.from({ length: FORECAST_STEPS + 1 }, (_, step) => (
+    predictPoint(fit, fit.lastTime + (horizon * step) / FORECAST_STEPS, z)
+  ));
+  return {
+    fit,
+    points,
+    crossings: findThresholdCrossings(fit, getForecastLimits(rules, metric), fit.lastTime, config.maxLeadHours)
+  };
+};
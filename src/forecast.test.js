@@ -0,0 +1,52 @@
+import { DEFAULT_ALERT_RULES, FORECAST_CONFIG } from './config';
+import { findThresholdCrossings, fitLinearTrend, forecastMetric, getForecastLimits, predictPoint, zForConfidence } from './forecast';
+
+const HOUR = 3600000;
+// Temperature rising 1°C per hour from 30°C with a small alternating wobble
+const readings = Array.from({ length: 10 }, (_, i) => ({ time: i * HOUR, temperature: 30 + i + (i % 2 ? 0.1 : -0.1) }));
+
+test('z values match the usual confidence levels', () => {
+  expect(zForConfidence(0.95)).toBeCloseTo(1.96, 2);
+  expect(zForConfidence(0.9)).toBeCloseTo(1.645, 2);
+  expect(zForConfidence(0.99)).toBeCloseTo(2.576, 2);
+});
+
+test('fits a least-squares line and widens the band further out', () => {
+  const fit = fitLinearTrend([{ time: 0, value: 1 }, { time: 1, value: 3 }, { time: 2, value: 5 }]);
+  expect(fit.slope).toBeCloseTo(2);
+  expect(fit.residualStd).toBeCloseTo(0);
+  expect(fitLinearTrend([{ time: 0, value: 1 }, { time: 1, value: 2 }])).toBeNull();
+  expect(fitLinearTrend([{ time: 5, value: 1 }, { time: 5, value: 2 }, { time: 5, value: 3 }])).toBeNull();
+
+  const noisy = fitLinearTrend(readings.map(reading => ({ time: reading.time, value: reading.temperature })));
+  const near = predictPoint(noisy, 10 * HOUR, 1.96);
+  const far = predictPoint(noisy, 20 * HOUR, 1.96);
+  expect(near.forecast).toBeCloseTo(40, 0);
+  expect(near.lower).toBeLessThan(near.forecast);
+  expect(far.upper - far.lower).toBeGreaterThan(near.upper - near.lower);
+});
+
+test('uses the limits of range rules only', () => {
+  expect(getForecastLimits(DEFAULT_ALERT_RULES, 'temperature')).toEqual([
+    { ruleId: 'temperature', severity: 'critical', direction: 'high', limit: 45 },
+    { ruleId: 'temperature', severity: 'warning', direction: 'high', limit: 35 }
+  ]);
+  expect(getForecastLimits(DEFAULT_ALERT_RULES, 'oilLevel')).toEqual([]);
+});
+
+test('estimates the time until the trend reaches the configured limits', () => {
+  const forecast = forecastMetric(readings, 'temperature', DEFAULT_ALERT_RULES, FORECAST_CONFIG);
+  expect(forecast.points).toHaveLength(21);
+  expect(forecast.points[0].time).toBe(9 * HOUR);
+  expect(forecast.points[20].time).toBe(9 * HOUR + 4.5 * HOUR);
+  // The warning limit (35°C) is already exceeded, the critical one (45°C) is ~6 hours away
+  expect(forecast.crossings).toHaveLength(1);
+  expect(forecast.crossings[0]).toMatchObject({ severity: 'critical', limit: 45 });
+  expect(forecast.crossings[0].hours).toBeCloseTo(6, 0);
+
+  // A falling trend never reaches an upper limit, and crossings past maxLeadHours are dropped
+  const falling = fitLinearTrend([{ time: 0, value: 30 }, { time: HOUR, value: 29 }, { time: 2 * HOUR, value: 28 }]);
+  expect(findThresholdCrossings(falling, getForecastLimits(DEFAULT_ALERT_RULES, 'temperature'), 2 * HOUR, 72)).toEqual([]);
+  expect(findThresholdCrossings(forecast.fit, getForecastLimits(DEFAULT_ALERT_RULES, 'temperature'), 9 * HOUR, 2)).toEqual([]);
+  expect(forecastMetric(readings.slice(0, 2), 'temperature', DEFAULT_ALERT_RULES, FORECAST_CONFIG)).toBeNull();
+});
@@ -0,0 +1,114 @@
+// heartbeat.js - Stale-data detection from the age of the newest reading
+//
+// A source that stopped receiving rows still answers every poll, so "connected" says
+// nothing about the data being current. The age of the newest reading of the asset and
+// of each metric is compared with the expected sample interval (configured, or the
+// median spacing of the readings):
+//   live      newest value within staleIntervals × the interval
+//   stale     older than that
+//   offline   older than offlineIntervals × the interval
+//   unknown   no timed value yet, or no interval to compare with
+// Both limits get one poll interval of grace: between two polls the newest reading
+// ages without anything being wrong. A missed heartbeat raises a "no data" alert, one
+// for the asset when nothing arrives at all, one per metric when only that sensor went quiet.
+
+import { METRIC_INFO, METRIC_KEYS } from './dataSources';
+import { medianInterval } from './time';
+import { HEARTBEAT_CONFIG, POLL_INTERVAL_MS } from './config';
+
+export const HEARTBEAT_STATUS = {
+  live: { label: 'Live', icon: '🟢' },
+  stale: { label: 'Stale', icon: '🟡' },
+  offline: { label: 'Offline', icon: '🔴' },
+  unknown: { label: 'Unknown', icon: '⚪' }
+};
+
+const STATUS_SEVERITY = {
+  stale: 'warning',
+  offline: 'critical'
+};
+
+const MINUTE_MS = 60000;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// "45 s", "12 min", "3.5 h", "2.0 d"
+export const formatAge = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+  return `${(seconds / 86400).toFixed(1)} d`;
+};
+
+// Expected time between readings: the configured interval, or the typical spacing of the history
+export const getExpectedInterval = (readings, config = HEARTBEAT_CONFIG) => (
+  config.expectedIntervalMinutes > 0 ? config.expectedIntervalMinutes * MINUTE_MS : medianInterval(readings)
+);
+
+// Time of the newest reading carrying a value of any of the metrics (oldest-first history)
+export const getLatestTime = (readings, metrics = METRIC_KEYS) => {
+  for (let index = readings.length - 1; index >= 0; index--) {
+    const reading = readings[index];
+    if (isSet(reading.time) && metrics.some(metric => isSet(reading[metric]))) return reading.time;
+  }
+  return null;
+};
+
+// Status of a feed whose newest value is ageMs old
+export const getHeartbeatStatus = (ageMs, intervalMs, config = HEARTBEAT_CONFIG) => {
+  if (ageMs === null || !(intervalMs > 0)) return 'unknown';
+  if (ageMs > config.offlineIntervals * intervalMs + POLL_INTERVAL_MS) return 'offline';
+  if (ageMs > config.staleIntervals * intervalMs + POLL_INTERVAL_MS) return 'stale';
+  return 'live';
+};
+
+// Heartbeat of an asset and each of its metrics at `now`:
+// { intervalMs, asset: { latestTime, ageMs, status }, metrics: { [metric]: { latestTime, ageMs, status } } }
+export const assessHeartbeat = (readings, config = HEARTBEAT_CONFIG, { now = Date.now(), metrics = METRIC_KEYS } = {}) => {
+  const intervalMs = getExpectedInterval(readings, config);
+  const describe = (latestTime) => {
+    // Readings stamped slightly ahead of the browser clock count as brand new
+    const ageMs = latestTime === null ? null : Math.max(0, now - latestTime);
+    return { latestTime, ageMs, status: getHeartbeatStatus(ageMs, intervalMs, config) };
+  };
+  return {
+    intervalMs,
+    asset: describe(getLatestTime(readings, metrics)),
+    metrics: Object.fromEntries(metrics.map(metric => [metric, describe(getLatestTime(readings, [metric]))]))
+  };
+};
+
+// "No data" alerts for a missed heartbeat. A silent asset gives one alert for the whole
+// feed (metric null) rather than one per sensor; metrics that never reported are left to
+// the column mapping checks.
+export const evaluateHeartbeatAlerts = (heartbeat) => {
+  const { intervalMs, asset, metrics } = heartbeat;
+  const expected = `Expected every ${formatAge(intervalMs)}`;
+  if (STATUS_SEVERITY[asset.status]) {
+    return [{
+      ruleId: 'heartbeat',
+      metric: null,
+      severity: STATUS_SEVERITY[asset.status],
+      message: '📡 NO DATA RECEIVED',
+      currentValue: `${formatAge(asset.ageMs)} ago`,
+      threshold: expected,
+      description: `No new readings for ${formatAge(asset.ageMs)} - the source may have stopped updating`
+    }];
+  }
+  return Object.entries(metrics)
+    .filter(([, metricHeartbeat]) => STATUS_SEVERITY[metricHeartbeat.status])
+    .map(([metric, { ageMs, status }]) => {
+      const info = METRIC_INFO[metric] || { label: metric, icon: '⚠️' };
+      return {
+        ruleId: `heartbeat-${metric}`,
+        metric,
+        severity: STATUS_SEVERITY[status],
+        message: `${info.icon} ${info.label} NO DATA`,
+        currentValue: `${formatAge(ageMs)} ago`,
+        threshold: expected,
+        description: `${info.label} has not reported for ${formatAge(ageMs)} while other sensors keep updating`
+      };
+    });
+};
@@ -0,0 +1,61 @@
+import { POLL_INTERVAL_MS } from './config';
+import { evaluateAlerts } from './alerts';
+import { assessHeartbeat, evaluateHeartbeatAlerts, formatAge, getHeartbeatStatus } from './heartbeat';
+
+const MINUTE = 60000;
+const config = { expectedIntervalMinutes: 0, staleIntervals: 3, offlineIntervals: 10 };
+// One reading a minute for an hour, the last one at `end`
+const readings = (end, values = () => ({ temperature: 25, humidity: 40 })) => (
+  Array.from({ length: 60 }, (_, i) => ({ time: end - (59 - i) * MINUTE, ...values(i) }))
+);
+
+test('compares the age of the newest reading with the expected interval', () => {
+  expect(getHeartbeatStatus(2 * MINUTE, MINUTE, config)).toBe('live');
+  expect(getHeartbeatStatus(3 * MINUTE + POLL_INTERVAL_MS + 1, MINUTE, config)).toBe('stale');
+  expect(getHeartbeatStatus(10 * MINUTE + POLL_INTERVAL_MS + 1, MINUTE, config)).toBe('offline');
+  expect(getHeartbeatStatus(null, MINUTE, config)).toBe('unknown');
+  expect(getHeartbeatStatus(MINUTE, null, config)).toBe('unknown');
+  // A configured interval overrides the spacing of the readings
+  const now = 2 * 3600000;
+  expect(assessHeartbeat(readings(now - 30 * MINUTE), config, { now }).asset.status).toBe('offline');
+  expect(assessHeartbeat(readings(now - 30 * MINUTE), { ...config, expectedIntervalMinutes: 15 }, { now }).asset.status).toBe('live');
+});
+
+test('tracks each metric separately', () => {
+  const now = 2 * 3600000;
+  // Humidity stopped reporting 20 minutes ago
+  const history = readings(now, i => ({ temperature: 25, humidity: i < 40 ? 40 : null }));
+  const heartbeat = assessHeartbeat(history, config, { now, metrics: ['temperature', 'humidity', 'angle'] });
+  expect(heartbeat.intervalMs).toBe(MINUTE);
+  expect(heartbeat.asset).toEqual({ latestTime: now, ageMs: 0, status: 'live' });
+  expect(heartbeat.metrics.humidity).toEqual({ latestTime: now - 20 * MINUTE, ageMs: 20 * MINUTE, status: 'offline' });
+  expect(heartbeat.metrics.angle.status).toBe('unknown');
+
+  const alerts = evaluateHeartbeatAlerts(heartbeat);
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toMatchObject({ ruleId: 'heartbeat-humidity', metric: 'humidity', severity: 'critical', currentValue: '20 min ago' });
+});
+
+test('a silent asset raises one "no data" alert through evaluateAlerts', () => {
+  const now = 2 * 3600000;
+  const history = readings(now - 10 * MINUTE);
+  expect(evaluateAlerts(history, [], { heartbeat: config, now })).toEqual([{
+    ruleId: 'heartbeat',
+    metric: null,
+    severity: 'warning',
+    message: '📡 NO DATA RECEIVED',
+    currentValue: '10 min ago',
+    threshold: 'Expected every 1 min',
+    description: 'No new readings for 10 min - the source may have stopped updating'
+  }]);
+  expect(evaluateAlerts(readings(now), [], { heartbeat: config, now })).toEqual([]);
+  expect(evaluateAlerts(history, [], { now })).toEqual([]);
+});
+
+test('formats ages', () => {
+  expect(formatAge(45000)).toBe('45 s');
+  expect(formatAge(12 * MINUTE)).toBe('12 min');
+  expect(formatAge(210 * MINUTE)).toBe('3.5 h');
+  expect(formatAge(48 * 3600000)).toBe('2.0 d');
+  expect(formatAge(null)).toBe('—');
+});
@@ -0,0 +1,228 @@
+// historyCache.js - Persistent reading history in IndexedDB
+//
+// Every fetched or streamed reading is stored per asset, keyed by
+// [assetId, keyTime, keyIndex] so the dashboard can render the last known history
+// when the source is unreachable. keyTime is the reading's time (a reading without
+// one files under the reading before it) and keyIndex keeps readings sharing a time
+// apart, so downloading rows again rewrites them in place. A full download replaces
+// the cached history, except rows older than the cache, which retention already
+// dropped. Readings also keep the time they were first cached (cachedAt, indexed)
+// for age-based retention. Alert events (alertHistory.js) live in the same database
+// so the alert log survives reloads.
+
+const DB_NAME = 'industrialHealthDashboard';
+const DB_VERSION = 4;
+const READINGS_STORE = 'readings';
+const META_STORE = 'meta';
+const ALERT_EVENTS_STORE = 'alertEvents';
+
+// Alert events are kept for root-cause reviews well beyond the reading cache
+const ALERT_EVENT_MAX_AGE_DAYS = 90;
+
+let dbPromise = null;
+
+const isSupported = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// readings[fromIndex..] (oldest first) with their cache keys
+const withCacheKeys = (readings, fromIndex = 0) => {
+  const keyed = [];
+  let keyTime = -Infinity;
+  let keyIndex = -1;
+  readings.forEach((reading, index) => {
+    const time = typeof reading.time === 'number' && !isNaN(reading.time) ? reading.time : keyTime;
+    keyIndex = time === keyTime ? keyIndex + 1 : 0;
+    keyTime = time;
+    if (index >= fromIndex) keyed.push({ ...reading, keyTime, keyIndex });
+  });
+  return keyed;
+};
+
+const compareKeys = (a, b) => (a.keyTime === b.keyTime ? a.keyIndex - b.keyIndex : a.keyTime - b.keyTime);
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      // Version 1 created the reading stores, version 2 added alert events, version 3
+      // keyed readings by position and version 4 by their time
+      const createReadingsStore = () => {
+        const readings = db.createObjectStore(READINGS_STORE, { keyPath: ['assetId', 'keyTime', 'keyIndex'] });
+        readings.createIndex('byAsset', 'assetId');
+        readings.createIndex('byCachedAt', ['assetId', 'cachedAt']);
+        return readings;
+      };
+      if (!db.objectStoreNames.contains(READINGS_STORE)) {
+        createReadingsStore();
+        db.createObjectStore(META_STORE, { keyPath: 'assetId' });
+      } else if (event.oldVersion < 4) {
+        // Carry the cached readings over to the new key, in their fetched order
+        const existing = request.transaction.objectStore(READINGS_STORE).getAll();
+        existing.onsuccess = () => {
+          db.deleteObjectStore(READINGS_STORE);
+          const readings = createReadingsStore();
+          const byAsset = {};
+          existing.result.forEach(record => {
+            byAsset[record.assetId] = [...(byAsset[record.assetId] || []), record];
+          });
+          Object.values(byAsset).forEach(records => {
+            withCacheKeys(records.sort((a, b) => a.seq - b.seq)).forEach(({ seq, ...record }) => readings.put(record));
+          });
+        };
+      }
+      if (!db.objectStoreNames.contains(ALERT_EVENTS_STORE)) {
+        const events = db.createObjectStore(ALERT_EVENTS_STORE, { keyPath: 'id', autoIncrement: true });
+        events.createIndex('byAsset', 'assetId');
+      }
+    };
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const getAssetRecords = (store, assetId) => promisify(store.index('byAsset').getAll(IDBKeyRange.only(assetId)));
+
+// All readings of an asset; arrays sort after numbers, so [assetId, []] is above every key
+const assetReadingsRange = (assetId) => IDBKeyRange.bound([assetId], [assetId, []]);
+
+// Delete the records a cursor request walks over, at most limit; resolves to the number deleted
+const deleteRecords = (request, limit = Infinity) => new Promise((resolve, reject) => {
+  let count = 0;
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor || count >= limit) {
+      resolve(count);
+      return;
+    }
+    cursor.delete();
+    count++;
+    cursor.continue();
+  };
+  request.onerror = () => reject(request.error);
+});
+
+// Drop readings cached more than maxAgeDays ago (through the cachedAt index), then
+// the oldest readings beyond maxReadings (the store lists them oldest first)
+const pruneAsset = async (db, assetId, { maxReadings, maxAgeDays }) => {
+  const transaction = db.transaction(READINGS_STORE, 'readwrite');
+  const store = transaction.objectStore(READINGS_STORE);
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const expired = await deleteRecords(
+    store.index('byCachedAt').openCursor(IDBKeyRange.bound([assetId, -Infinity], [assetId, cutoff], false, true))
+  );
+  const overflow = Math.max(0, (await promisify(store.count(assetReadingsRange(assetId)))) - maxReadings);
+  const trimmed = overflow > 0 ? await deleteRecords(store.openCursor(assetReadingsRange(assetId)), overflow) : 0;
+
+  await transactionDone(transaction);
+  return expired + trimmed;
+};
+
+// Store readings[fromIndex..] for an asset and apply the retention limits
+export const saveHistory = async (assetId, readings, { fromIndex = 0, retention }) => {
+  if (!isSupported() || readings.length <= fromIndex) return;
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([READINGS_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(READINGS_STORE);
+    const cachedAt = Date.now();
+    let records = withCacheKeys(readings, fromIndex);
+    const firstCachedAt = new Map();
+    if (fromIndex === 0) {
+      // A full download replaces the history, including rows the source no longer has.
+      // Rows older than the cache were pruned before and are not added back.
+      const existing = await getAssetRecords(store, assetId);
+      existing.forEach(record => firstCachedAt.set(`${record.keyTime}|${record.keyIndex}`, record.cachedAt));
+      if (existing.length > 0) records = records.filter(record => compareKeys(record, existing[0]) >= 0);
+      store.delete(assetReadingsRange(assetId));
+    }
+    records.forEach(record => {
+      store.put({ ...record, assetId, cachedAt: firstCachedAt.get(`${record.keyTime}|${record.keyIndex}`) ?? cachedAt });
+    });
+    transaction.objectStore(META_STORE).put({ assetId, updatedAt: cachedAt });
+    await transactionDone(transaction);
+
+    const pruned = await pruneAsset(db, assetId, retention);
+    if (pruned > 0) console.log(`🗑️ Pruned ${pruned} cached readings for ${assetId}`);
+  } catch (error) {
+    console.error('❌ ERROR: Could not cache readings:', error.message);
+  }
+};
+
+// Cached history for an asset, oldest first, or null when nothing is cached
+export const loadHistory = async (assetId) => {
+  if (!isSupported()) return null;
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([READINGS_STORE, META_STORE], 'readonly');
+    const [records, meta] = await Promise.all([
+      getAssetRecords(transaction.objectStore(READINGS_STORE), assetId),
+      promisify(transaction.objectStore(META_STORE).get(assetId))
+    ]);
+    if (records.length === 0) return null;
+
+    // The index lists an asset's readings in key order, oldest first
+    const readings = records.map(({ assetId: _assetId, keyTime, keyIndex, cachedAt, ...reading }) => reading);
+    return { readings, cachedAt: meta ? meta.updatedAt : records.reduce((latest, record) => Math.max(latest, record.cachedAt), 0) };
+  } catch (error) {
+    console.error('❌ ERROR: Could not read cached readings:', error.message);
+    return null;
+  }
+};
+
+// Remove every cached reading for an asset
+export const clearHistory = async (assetId) => {
+  if (!isSupported()) return;
+  const db = await openDatabase();
+  const transaction = db.transaction([READINGS_STORE, META_STORE], 'readwrite');
+  const store = transaction.objectStore(READINGS_STORE);
+  const count = await promisify(store.index('byAsset').count(IDBKeyRange.only(assetId)));
+  store.delete(assetReadingsRange(assetId));
+  transaction.objectStore(META_STORE).delete(assetId);
+  await transactionDone(transaction);
+  console.log(`🗑️ Cleared ${count} cached readings for ${assetId}`);
+};
+
+// Append alert events for an asset and drop those past the retention age
+export const saveAlertEvents = async (assetId, events) => {
+  if (!isSupported() || events.length === 0) return;
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(ALERT_EVENTS_STORE, 'readwrite');
+    const store = transaction.objectStore(ALERT_EVENTS_STORE);
+    events.forEach(event => store.add({ ...event, assetId }));
+    const cutoff = Date.now() - ALERT_EVENT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const records = await getAssetRecords(store, assetId);
+    records.filter(record => record.time < cutoff).forEach(record => store.delete(record.id));
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('❌ ERROR: Could not save alert events:', error.message);
+  }
+};
+
+// Alert events of an asset, oldest first
+export const loadAlertEvents = async (assetId) => {
+  if (!isSupported()) return [];
+  try {
+    const db = await openDatabase();
+    const records = await getAssetRecords(db.transaction(ALERT_EVENTS_STORE, 'readonly').objectStore(ALERT_EVENTS_STORE), assetId);
+    return records.sort((a, b) => a.time - b.time || a.id - b.id);
+  } catch (error) {
+    console.error('❌ ERROR: Could not read alert events:', error.message);
+    return [];
+  }
+};
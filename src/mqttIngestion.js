@@ -0,0 +1,125 @@
+// mqttIngestion.js - MQTT (over WebSocket) sensor ingestion
+//
+// Field devices publish one or more metrics per topic. A topic map says which
+// metric each topic feeds and where the value sits in a JSON payload:
+//   { topic: 'plant/motor1/temperature', metric: 'temperature', path: '' }        -> payload "25.3"
+//   { topic: 'plant/+/telemetry',        metric: 'voltage',     path: 'elec.v' }  -> payload {"elec":{"v":9.6}}
+// Messages arriving within batchMs are merged into one reading, so the dashboard sees
+// normal readings. Metrics without a message in that window are left empty rather than
+// repeating their last value, so a sensor that stops publishing shows up as stale; the
+// cards and alert rules hold each metric's last value until its next message.
+
+import mqtt from 'mqtt';
+import { IDENTITY_COLUMN_MAP, METRIC_KEYS, getPath, normalizeReading } from './dataSources';
+import { getBackoffDelay } from './streaming';
+
+// MQTT topic filter matching with + (one level) and # (remaining levels) wildcards
+export const topicMatches = (filter, topic) => {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+};
+
+const parsePayload = (payload) => {
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    // Plain-text payloads such as "25.3" or "on"
+    return payload;
+  }
+};
+
+// Metric values carried by one message, e.g. { temperature: 25.3 }
+export const extractMetricValues = (topic, payload, topicMap) => {
+  const document = parsePayload(payload);
+  const values = {};
+  topicMap
+    .filter(entry => entry.topic && METRIC_KEYS.includes(entry.metric) && topicMatches(entry.topic, topic))
+    .forEach(entry => {
+      const raw = entry.path ? getPath(document, entry.path) : document;
+      const value = parseFloat(raw);
+      if (!isNaN(value)) values[entry.metric] = value;
+    });
+  return values;
+};
+
+// Unique topic filters to subscribe to
+export const getSubscriptions = (topicMap) => [...new Set(topicMap.map(entry => entry.topic).filter(Boolean))];
+
+// Connect to the broker and emit merged readings; same contract as connectReadingStream
+export const connectMqttIngestion = ({ url, username, password, topics = [], batchMs = 500, onReadings, onStatus = () => {} }) => {
+  let batch = {};
+  let batchTimer = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  onStatus('connecting');
+  const client = mqtt.connect(url, {
+    username: username || undefined,
+    password: password || undefined,
+    // Reconnects are scheduled here with backoff instead of mqtt.js' fixed period
+    reconnectPeriod: 0,
+    connectTimeout: 10000
+  });
+
+  const flush = () => {
+    batchTimer = null;
+    if (Object.keys(batch).length === 0) return;
+    // No Date/Time fields, so the reading is stamped with the flush time
+    const reading = normalizeReading(batch, IDENTITY_COLUMN_MAP);
+    batch = {};
+    onReadings([reading]);
+  };
+
+  client.on('connect', () => {
+    attempt = 0;
+    const subscriptions = getSubscriptions(topics);
+    client.subscribe(subscriptions, { qos: 0 }, (error) => {
+      if (error) {
+        console.error('❌ ERROR: MQTT subscribe failed:', error.message);
+        return;
+      }
+      console.log(`✅ MQTT subscribed to ${subscriptions.join(', ')}`);
+    });
+    onStatus('open');
+  });
+
+  client.on('message', (topic, payload) => {
+    const values = extractMetricValues(topic, payload.toString(), topics);
+    if (Object.keys(values).length === 0) return;
+    Object.assign(batch, values);
+    if (!batchTimer) batchTimer = setTimeout(flush, batchMs);
+  });
+
+  client.on('error', (error) => {
+    console.error('❌ ERROR: MQTT connection error:', error.message);
+  });
+
+  client.on('close', () => {
+    if (closed || retryTimer) return;
+    const delay = getBackoffDelay(attempt++);
+    onStatus('reconnecting', delay);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (closed) return;
+      onStatus('connecting');
+      client.reconnect();
+    }, delay);
+  });
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(batchTimer);
+      client.end(true);
+      onStatus('closed');
+    }
+  };
+};
@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+import mqtt from 'mqtt';
+import { diffAlertEvents } from './alertHistory';
+import { evaluateAlerts } from './alerts';
+import { reconcileAlerts } from './alertState';
+import { DEFAULT_ALERT_RULES } from './config';
+import { getLatestValues } from './dataSources';
+import { connectMqttIngestion, extractMetricValues, getSubscriptions, topicMatches } from './mqttIngestion';
+
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+
+test('matches MQTT wildcards', () => {
+  expect(topicMatches('plant/+/temperature', 'plant/motor1/temperature')).toBe(true);
+  expect(topicMatches('plant/#', 'plant/motor1/elec/voltage')).toBe(true);
+  expect(topicMatches('plant/+/temperature', 'plant/motor1/humidity')).toBe(false);
+  expect(topicMatches('plant/motor1', 'plant/motor1/temperature')).toBe(false);
+});
+
+test('extracts plain and JSON-path payload values', () => {
+  const topicMap = [
+    { topic: 'plant/motor1/temperature', metric: 'temperature', path: '' },
+    { topic: 'plant/+/telemetry', metric: 'voltage', path: 'elec.v' },
+    { topic: 'plant/+/telemetry', metric: 'current', path: 'elec.mA' }
+  ];
+  expect(extractMetricValues('plant/motor1/temperature', '25.3', topicMap)).toEqual({ temperature: 25.3 });
+  expect(extractMetricValues('plant/motor1/telemetry', '{"elec":{"v":9.6,"mA":"140"}}', topicMap)).toEqual({ voltage: 9.6, current: 140 });
+  expect(extractMetricValues('plant/motor1/telemetry', '{"elec":{}}', topicMap)).toEqual({});
+});
+
+test('subscribes once per topic filter', () => {
+  expect(getSubscriptions([{ topic: 'a/b' }, { topic: 'a/b' }, { topic: '' }, { topic: 'a/c' }])).toEqual(['a/b', 'a/c']);
+});
+
+test('a reading only carries the metrics heard in its batch', () => {
+  jest.useFakeTimers();
+  const client = Object.assign(new EventEmitter(), { subscribe: jest.fn(), end: jest.fn() });
+  mqtt.connect.mockReturnValue(client);
+  const readings = [];
+  const ingestion = connectMqttIngestion({
+    url: 'ws://localhost:9001',
+    topics: [{ topic: 'm/temperature', metric: 'temperature' }, { topic: 'm/angle', metric: 'angle' }],
+    onReadings: (batch) => readings.push(...batch)
+  });
+
+  client.emit('message', 'm/temperature', Buffer.from('25'));
+  client.emit('message', 'm/angle', Buffer.from('1.5'));
+  jest.advanceTimersByTime(500);
+  // The angle sensor went quiet; its last value is not repeated
+  client.emit('message', 'm/temperature', Buffer.from('26'));
+  jest.advanceTimersByTime(500);
+  jest.advanceTimersByTime(500);
+
+  expect(readings.map(({ temperature, angle }) => ({ temperature, angle }))).toEqual([
+    { temperature: 25, angle: 1.5 },
+    { temperature: 26, angle: null }
+  ]);
+  ingestion.close();
+  jest.useRealTimers();
+});
+
+test('an alert stays active while another topic publishes in between', () => {
+  jest.useFakeTimers();
+  const client = Object.assign(new EventEmitter(), { subscribe: jest.fn(), end: jest.fn() });
+  mqtt.connect.mockReturnValue(client);
+  let history = [];
+  let alerts = [];
+  const events = [];
+  const ingestion = connectMqttIngestion({
+    url: 'ws://localhost:9001',
+    topics: [{ topic: 'm/temperature', metric: 'temperature' }, { topic: 'm/angle', metric: 'angle' }],
+    // What the dashboard does with each batch
+    onReadings: (readings) => {
+      history = [...history, ...readings];
+      const next = reconcileAlerts(alerts, evaluateAlerts(history, DEFAULT_ALERT_RULES), { assetId: 'asset-1' }).alerts;
+      events.push(...diffAlertEvents(alerts, next, history[history.length - 1]));
+      alerts = next;
+    }
+  });
+
+  // The two sensors publish in turn, a minute apart, so every reading lacks one of them
+  ['40', '1.5', '40.2', '1.4', '40.1'].forEach((payload, i) => {
+    client.emit('message', i % 2 === 0 ? 'm/temperature' : 'm/angle', Buffer.from(payload));
+    jest.advanceTimersByTime(60000);
+  });
+
+  expect(history.map(({ temperature, angle }) => ({ temperature, angle }))).toEqual([
+    { temperature: 40, angle: null },
+    { temperature: null, angle: 1.5 },
+    { temperature: 40.2, angle: null },
+    { temperature: null, angle: 1.4 },
+    { temperature: 40.1, angle: null }
+  ]);
+  expect(events.map(event => `${event.type} ${event.ruleId}`)).toEqual(['raised temperature']);
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toMatchObject({ ruleId: 'temperature', state: 'active' });
+  // The cards keep the last value of each sensor
+  expect(getLatestValues(history.slice(0, 4))).toMatchObject({ temperature: 40.2, angle: 1.4 });
+  ingestion.close();
+  jest.useRealTimers();
+});
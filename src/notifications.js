@@ -0,0 +1,203 @@
+// notifications.js - Notification channels fired when alerts are raised
+//
+// The dashboard hands every new or escalated alert (see alertState.js) to a
+// notifier built from the asset's notification settings. Each channel has its
+// own severity routing and rate limit:
+//   desktop   browser Notification API (needs the user's permission)
+//   sound     audible alarm, a different beep pattern per severity
+//   webhook   POSTs a JSON payload rendered from a template with {{placeholders}}
+// For a local webhook endpoint run `npm run webhook-receiver`.
+
+import { SEVERITY_LABELS } from './alerts';
+import { METRIC_INFO } from './dataSources';
+
+const RATE_WINDOW_MS = 60000;
+
+export const CHANNEL_LABELS = {
+  desktop: 'Desktop notification',
+  sound: 'Sound',
+  webhook: 'Webhook'
+};
+
+// Beep patterns: pitch, number of beeps and beep length
+const SOUND_PATTERNS = {
+  critical: { frequency: 880, beeps: 3, durationMs: 250 },
+  warning: { frequency: 660, beeps: 2, durationMs: 200 },
+  info: { frequency: 440, beeps: 1, durationMs: 150 }
+};
+
+export const TEMPLATE_PLACEHOLDERS = [
+  'event', 'asset', 'assetId', 'metric', 'metricLabel', 'severity', 'severityLabel',
+  'message', 'value', 'threshold', 'description', 'raisedAt', 'state'
+];
+
+// 'escalated' when the alert was raised again because its severity went up
+export const getAlertEvent = (alert) => (
+  alert.escalatedAt && alert.escalatedAt === alert.updatedAt ? 'escalated' : 'raised'
+);
+
+// Values available to webhook templates
+export const getTemplateValues = (alert, asset) => ({
+  event: getAlertEvent(alert),
+  asset: asset.name,
+  assetId: asset.id,
+  metric: alert.metric,
+  metricLabel: METRIC_INFO[alert.metric]?.label || alert.metric || 'All sensors',
+  severity: alert.severity,
+  severityLabel: SEVERITY_LABELS[alert.severity] || alert.severity,
+  message: alert.message,
+  value: alert.currentValue,
+  threshold: alert.threshold,
+  description: alert.description,
+  raisedAt: alert.raisedAt ? new Date(alert.raisedAt).toISOString() : '',
+  state: alert.state
+});
+
+// Fill {{placeholders}} in a JSON template. Values are escaped as JSON string
+// content, so placeholders belong inside quotes; unknown ones are left empty.
+export const renderTemplate = (template, values) => {
+  const text = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    JSON.stringify(String(values[name] ?? '')).slice(1, -1)
+  ));
+  return JSON.parse(text);
+};
+
+// Problem with a webhook template, or null when it renders to valid JSON
+export const validateTemplate = (template) => {
+  try {
+    renderTemplate(template, {});
+    return null;
+  } catch (error) {
+    return `Template is not valid JSON: ${error.message}`;
+  }
+};
+
+// Sliding-window limiter: tryAcquire() is true for at most maxPerWindow calls per window
+export const createRateLimiter = (maxPerWindow, windowMs = RATE_WINDOW_MS) => {
+  let sent = [];
+  return {
+    tryAcquire: (now = Date.now()) => {
+      sent = sent.filter(time => now - time < windowMs);
+      if (sent.length >= maxPerWindow) return false;
+      sent.push(now);
+      return true;
+    }
+  };
+};
+
+const createDesktopChannel = () => ({
+  send: (alert, asset) => {
+    if (typeof window === 'undefined' || !('Notification' in window)) {
+      console.warn('⚠️ Desktop notifications are not supported in this browser');
+      return;
+    }
+    if (window.Notification.permission !== 'granted') {
+      console.warn('⚠️ Desktop notifications are not allowed; enable them in the asset settings');
+      return;
+    }
+    // The tag replaces an earlier notification for the same alert instead of stacking
+    new window.Notification(`${alert.message} • ${asset.name}`, {
+      body: alert.description || alert.threshold || '',
+      tag: alert.key,
+      requireInteraction: alert.severity === 'critical'
+    });
+  }
+});
+
+let audioContext = null;
+
+const createSoundChannel = () => ({
+  send: (alert) => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      console.warn('⚠️ Audio is not supported in this browser');
+      return;
+    }
+    audioContext = audioContext || new AudioContext();
+    // Browsers start audio suspended until the page has been interacted with
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const { frequency, beeps, durationMs } = SOUND_PATTERNS[alert.severity] || SOUND_PATTERNS.info;
+    const start = audioContext.currentTime;
+    for (let i = 0; i < beeps; i++) {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain).connect(audioContext.destination);
+      const beepStart = start + i * (durationMs * 2) / 1000;
+      oscillator.start(beepStart);
+      oscillator.stop(beepStart + durationMs / 1000);
+    }
+  }
+});
+
+const createWebhookChannel = ({ url, template }) => ({
+  send: async (alert, asset) => {
+    if (!url) {
+      console.warn('⚠️ Webhook channel has no URL');
+      return;
+    }
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(renderTemplate(template, getTemplateValues(alert, asset)))
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      console.log(`📤 Webhook sent for ${alert.key}`);
+    } catch (error) {
+      console.error('❌ ERROR: Webhook notification failed:', error.message);
+    }
+  }
+});
+
+const CHANNEL_FACTORIES = {
+  desktop: createDesktopChannel,
+  sound: createSoundChannel,
+  webhook: createWebhookChannel
+};
+
+// Ask for desktop notification permission; must be called from a user action
+export const requestDesktopPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+// Build a notifier from an asset's notification settings. notify() routes each
+// alert to the enabled channels that handle its severity and are within their
+// rate limit, and returns how many notifications were sent per channel.
+export const createNotifier = (settings, factories = CHANNEL_FACTORIES) => {
+  const channels = Object.entries(settings)
+    .filter(([name, channel]) => channel.enabled && factories[name])
+    .map(([name, channel]) => ({
+      name,
+      severities: channel.severities,
+      limiter: createRateLimiter(channel.maxPerMinute),
+      ...factories[name](channel)
+    }));
+
+  return {
+    notify: (alerts, asset, now = Date.now()) => {
+      const sent = {};
+      channels.forEach(channel => {
+        alerts
+          .filter(alert => channel.severities.includes(alert.severity))
+          .forEach(alert => {
+            if (!channel.limiter.tryAcquire(now)) {
+              console.warn(`⚠️ ${CHANNEL_LABELS[channel.name]} rate limit reached, skipping ${alert.key}`);
+              return;
+            }
+            try {
+              channel.send(alert, asset);
+              sent[channel.name] = (sent[channel.name] || 0) + 1;
+            } catch (error) {
+              console.error(`❌ ERROR: ${CHANNEL_LABELS[channel.name]} failed:`, error.message);
+            }
+          });
+      });
+      return sent;
+    }
+  };
+};
@@ -0,0 +1,53 @@
+import { DEFAULT_WEBHOOK_TEMPLATE } from './config';
+import { createNotifier, createRateLimiter, getTemplateValues, renderTemplate, validateTemplate } from './notifications';
+
+const alert = {
+  key: 'asset-1:angle',
+  metric: 'angle',
+  severity: 'critical',
+  state: 'active',
+  message: '📐 Angle HIGH ALERT',
+  currentValue: '3.80°',
+  threshold: 'Normal range: -3.5° to 3.5°',
+  description: 'Angle is 3.80° (above 3.5° threshold)',
+  raisedAt: Date.UTC(2025, 0, 1, 10, 0),
+  updatedAt: Date.UTC(2025, 0, 1, 10, 0)
+};
+const asset = { id: 'asset-1', name: 'Press "A"' };
+
+test('renders webhook templates as JSON with escaped values', () => {
+  expect(renderTemplate(DEFAULT_WEBHOOK_TEMPLATE, getTemplateValues(alert, asset))).toMatchObject({
+    text: 'Critical: 📐 Angle HIGH ALERT on Press "A"',
+    event: 'raised',
+    asset: 'Press "A"',
+    value: '3.80°',
+    raisedAt: '2025-01-01T10:00:00.000Z'
+  });
+  expect(renderTemplate('{"escalated": "{{event}}", "unknown": "{{nope}}"}', getTemplateValues({ ...alert, escalatedAt: alert.updatedAt }, asset)))
+    .toEqual({ escalated: 'escalated', unknown: '' });
+  expect(validateTemplate(DEFAULT_WEBHOOK_TEMPLATE)).toBeNull();
+  expect(validateTemplate('{"text": {{message}}')).toMatch(/not valid JSON/);
+});
+
+test('rate limiter allows a fixed number of sends per window', () => {
+  const limiter = createRateLimiter(2, 60000);
+  expect([limiter.tryAcquire(0), limiter.tryAcquire(1000), limiter.tryAcquire(2000)]).toEqual([true, true, false]);
+  expect(limiter.tryAcquire(60500)).toBe(true);
+});
+
+test('routes alerts to enabled channels by severity within their rate limits', () => {
+  const sends = [];
+  const factories = {
+    desktop: () => ({ send: (item) => sends.push(['desktop', item.key]) }),
+    webhook: () => ({ send: (item) => sends.push(['webhook', item.key]) })
+  };
+  const notifier = createNotifier({
+    desktop: { enabled: true, severities: ['critical', 'warning'], maxPerMinute: 1 },
+    sound: { enabled: true, severities: ['critical'], maxPerMinute: 5 },
+    webhook: { enabled: true, severities: ['critical'], maxPerMinute: 5 }
+  }, factories);
+
+  const warning = { ...alert, key: 'asset-1:humidity', severity: 'warning' };
+  expect(notifier.notify([warning, alert], asset, 0)).toEqual({ desktop: 1, webhook: 1 });
+  expect(sends).toEqual([['desktop', 'asset-1:humidity'], ['webhook', 'asset-1:angle']]);
+});
@@ -0,0 +1,213 @@
+// pdfCharts.js - Trend charts drawn into the PDF report with jsPDF vector primitives
+//
+// The charts are built from the readings alone, so an export does not depend on what
+// is rendered on screen and stays sharp at any zoom level. Each chart has a frame with
+// value and time gridlines, the metric's line (broken where the sampling has gaps),
+// a dashed line for every alert rule limit and a marker on each reading that violates
+// a rule level. Coordinates are in the document's unit (mm).
+
+import { METRIC_INFO } from './dataSources';
+import { SEVERITY_LABELS, SEVERITY_RANK } from './alerts';
+import { checkReading } from './rules';
+import { downsampleSeries } from './downsample';
+import { formatReadingTime, getAxisTimeFormat } from './time';
+
+const SEVERITY_COLORS = {
+  critical: '#dc2626',
+  warning: '#f59e0b'
+};
+const GRID_COLOR = '#e5e7eb';
+const AXIS_COLOR = '#9ca3af';
+const TEXT_COLOR = '#333333';
+const MUTED_TEXT_COLOR = '#6b7280';
+
+// Points drawn per mm of plot width; more would not be visible in print
+const POINTS_PER_MM = 3;
+const VALUE_TICKS = 5;
+const TIME_TICKS = 5;
+const MARKER_RADIUS = 0.7;
+// Space around the plot for the title, value labels and time labels
+const PLOT_MARGIN = { top: 9, right: 2, bottom: 7, left: 16 };
+
+const isLimit = (value) => value !== null && value !== undefined && value !== '' && isFinite(value);
+
+const hasValue = (row, key) => isLimit(row[key]);
+
+// Round axis bounds and evenly spaced ticks (steps of 1, 2, 2.5 or 5 × a power of ten)
+// covering [min, max]: { min, max, step, ticks }
+export const niceScale = (min, max, count = VALUE_TICKS) => {
+  if (!(max > min)) {
+    const pad = Math.abs(min) * 0.1 || 1;
+    return niceScale(min - pad, max + pad, count);
+  }
+  const rawStep = (max - min) / Math.max(1, count - 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let index = 0; niceMin + index * step <= niceMax + step / 1e6; index++) {
+    ticks.push(Number((niceMin + index * step).toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, step, ticks };
+};
+
+// Decimals needed to tell ticks `step` apart
+const stepDecimals = (step) => Math.min(6, Math.max(0, -Math.floor(Math.log10(step) + 1e-9)));
+
+// Horizontal limit lines of a metric's range and equals rules: [{ value, severity, ruleId }]
+export const getThresholdLines = (rules, metric) => rules
+  .filter(rule => rule.metric === metric && (rule.type === 'range' || rule.type === 'equals'))
+  .flatMap(rule => ['critical', 'warning'].flatMap(severity => {
+    const level = rule[severity];
+    if (!level) return [];
+    const limits = rule.type === 'range' ? [level.min, level.max] : [level.value];
+    return limits.filter(isLimit).map(value => ({ value: Number(value), severity, ruleId: rule.id }));
+  }));
+
+// Readings that violate one of the metric's rule levels: [{ time, value, severity }],
+// the most severe level when several rules fire. Debounce is ignored, every
+// violating sample is marked.
+export const getAlertMarkers = (series, rules, metric) => {
+  const metricRules = rules.filter(rule => rule.metric === metric);
+  if (metricRules.length === 0) return [];
+  const markers = [];
+  let previous = null;
+  series.forEach(row => {
+    if (!hasValue(row, metric)) return;
+    const severity = metricRules.reduce((worst, rule) => {
+      const violation = checkReading(rule, row, previous);
+      return violation && (!worst || SEVERITY_RANK[violation.severity] > SEVERITY_RANK[worst]) ? violation.severity : worst;
+    }, null);
+    if (severity) markers.push({ time: row.time, value: Number(row[metric]), severity });
+    previous = row;
+  });
+  return markers;
+};
+
+// Draw the trend chart of one metric in the box (x, y, width, height).
+// series is a time series from toTimeSeries limited to domain [from, to] (null = its ends).
+export const drawMetricChart = (pdf, { x, y, width, height, title, series, metric, color, rules = [], timeZone = '', domain = [null, null] }) => {
+  const info = METRIC_INFO[metric] || { unit: '', decimals: 2 };
+  const plot = {
+    left: x + PLOT_MARGIN.left,
+    right: x + width - PLOT_MARGIN.right,
+    top: y + PLOT_MARGIN.top,
+    bottom: y + height - PLOT_MARGIN.bottom
+  };
+  const valued = series.filter(row => hasValue(row, metric) && row.time !== null && row.time !== undefined);
+
+  pdf.setTextColor(TEXT_COLOR);
+  pdf.setFontSize(10);
+  pdf.setFont(undefined, 'bold');
+  pdf.text(`${title}${info.unit ? ` (${info.unit})` : ''}`, x, y + 4);
+  pdf.setFont(undefined, 'normal');
+
+  pdf.setDrawColor(AXIS_COLOR);
+  pdf.setLineWidth(0.2);
+  pdf.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top, 'S');
+  if (valued.length === 0) {
+    pdf.setFontSize(8);
+    pdf.setTextColor(MUTED_TEXT_COLOR);
+    pdf.text('No readings in the selected range', (plot.left + plot.right) / 2, (plot.top + plot.bottom) / 2, { align: 'center' });
+    return;
+  }
+
+  const thresholds = getThresholdLines(rules, metric);
+  const values = [...valued.map(row => Number(row[metric])), ...thresholds.map(line => line.value)];
+  const scale = niceScale(
+    values.reduce((min, value) => (value < min ? value : min), Infinity),
+    values.reduce((max, value) => (value > max ? value : max), -Infinity)
+  );
+  const from = domain[0] ?? valued[0].time;
+  const to = Math.max(domain[1] ?? valued[valued.length - 1].time, from + 1);
+  const toX = (time) => plot.left + ((time - from) / (to - from)) * (plot.right - plot.left);
+  const toY = (value) => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * (plot.bottom - plot.top);
+
+  // Value gridlines and labels
+  const decimals = stepDecimals(scale.step);
+  pdf.setFontSize(6.5);
+  scale.ticks.forEach(tick => {
+    const tickY = toY(tick);
+    pdf.setDrawColor(GRID_COLOR);
+    if (tick > scale.min && tick < scale.max) pdf.line(plot.left, tickY, plot.right, tickY);
+    pdf.setTextColor(MUTED_TEXT_COLOR);
+    pdf.text(tick.toFixed(decimals), plot.left - 1.5, tickY + 1, { align: 'right' });
+  });
+
+  // Time gridlines and labels
+  const timeFormat = getAxisTimeFormat(to - from);
+  Array.from({ length: TIME_TICKS }, (_, index) => from + ((to - from) * index) / (TIME_TICKS - 1)).forEach((time, index) => {
+    const tickX = toX(time);
+    pdf.setDrawColor(GRID_COLOR);
+    if (index > 0 && index < TIME_TICKS - 1) pdf.line(tickX, plot.top, tickX, plot.bottom);
+    const align = index === 0 ? 'left' : index === TIME_TICKS - 1 ? 'right' : 'center';
+    pdf.text(formatReadingTime(time, timeZone, timeFormat), tickX, plot.bottom + 4, { align });
+  });
+
+  // Alert rule limits, dashed in the colour of their level
+  pdf.setLineDashPattern([1.5, 1], 0);
+  pdf.setLineWidth(0.3);
+  thresholds.forEach(line => {
+    const lineY = toY(line.value);
+    pdf.setDrawColor(SEVERITY_COLORS[line.severity]);
+    pdf.line(plot.left, lineY, plot.right, lineY);
+    pdf.setTextColor(SEVERITY_COLORS[line.severity]);
+    pdf.text(`${SEVERITY_LABELS[line.severity]} ${line.value}${info.unit}`, plot.right - 1, lineY - 0.8, { align: 'right' });
+  });
+  pdf.setLineDashPattern([], 0);
+
+  // The metric's line, one polyline per stretch without gaps
+  const points = downsampleSeries(series, metric, Math.round((plot.right - plot.left) * POINTS_PER_MM));
+  pdf.setDrawColor(color);
+  pdf.setLineWidth(0.4);
+  let segment = [];
+  const drawSegment = () => {
+    if (segment.length > 1) {
+      const deltas = segment.slice(1).map(([pointX, pointY], index) => [pointX - segment[index][0], pointY - segment[index][1]]);
+      pdf.lines(deltas, segment[0][0], segment[0][1], [1, 1], 'S', false);
+    } else if (segment.length === 1) {
+      pdf.setFillColor(color);
+      pdf.circle(segment[0][0], segment[0][1], 0.3, 'F');
+    }
+    segment = [];
+  };
+  points.forEach(row => {
+    if (hasValue(row, metric)) {
+      segment.push([toX(row.time), toY(Number(row[metric]))]);
+    } else {
+      drawSegment();
+    }
+  });
+  drawSegment();
+
+  // Violating readings; where markers overlap in print only the most severe one is drawn
+  const markers = getAlertMarkers(series, rules, metric);
+  const byPosition = new Map();
+  markers.forEach(marker => {
+    const key = `${Math.round(toX(marker.time) / MARKER_RADIUS)}:${Math.round(toY(marker.value) / MARKER_RADIUS)}`;
+    const drawn = byPosition.get(key);
+    if (!drawn || SEVERITY_RANK[marker.severity] > SEVERITY_RANK[drawn.severity]) byPosition.set(key, marker);
+  });
+  byPosition.forEach(marker => {
+    pdf.setFillColor(SEVERITY_COLORS[marker.severity]);
+    pdf.circle(toX(marker.time), toY(marker.value), MARKER_RADIUS, 'F');
+  });
+
+  // Marker counts next to the title
+  const counts = ['critical', 'warning']
+    .map(severity => [severity, markers.filter(marker => marker.severity === severity).length])
+    .filter(([, count]) => count > 0);
+  let legendX = x + width - PLOT_MARGIN.right;
+  pdf.setFontSize(7);
+  [...counts].reverse().forEach(([severity, count]) => {
+    const text = `${count} ${SEVERITY_LABELS[severity].toLowerCase()}`;
+    pdf.setTextColor(SEVERITY_COLORS[severity]);
+    pdf.text(text, legendX, y + 4, { align: 'right' });
+    legendX -= pdf.getTextWidth(text) + 2;
+    pdf.setFillColor(SEVERITY_COLORS[severity]);
+    pdf.circle(legendX, y + 3.2, MARKER_RADIUS, 'F');
+    legendX -= 4;
+  });
+  pdf.setTextColor(TEXT_COLOR);
+};
@@ -0,0 +1,43 @@
+import jsPDF from 'jspdf';
+import { DEFAULT_ALERT_RULES } from './config';
+import { drawMetricChart, getAlertMarkers, getThresholdLines, niceScale } from './pdfCharts';
+import { simulateReadings } from './simulator';
+import { toTimeSeries } from './time';
+
+test('rounds the value axis to readable ticks', () => {
+  expect(niceScale(21.3, 38.9)).toEqual({ min: 20, max: 40, step: 5, ticks: [20, 25, 30, 35, 40] });
+  expect(niceScale(0.012, 0.019).ticks).toEqual([0.012, 0.014, 0.016, 0.018, 0.02]);
+  // A flat series still gets a span
+  expect(niceScale(20, 20).ticks.length).toBeGreaterThan(1);
+});
+
+test('draws range and equals limits as threshold lines', () => {
+  expect(getThresholdLines(DEFAULT_ALERT_RULES, 'voltage')).toEqual([
+    { value: 7, severity: 'critical', ruleId: 'voltage' },
+    { value: 13, severity: 'critical', ruleId: 'voltage' },
+    { value: 8, severity: 'warning', ruleId: 'voltage' },
+    { value: 12, severity: 'warning', ruleId: 'voltage' }
+  ]);
+  expect(getThresholdLines(DEFAULT_ALERT_RULES, 'oilLevel')).toEqual([{ value: 20, severity: 'critical', ruleId: 'oil-level' }]);
+  // Rate rules have no level to draw
+  expect(getThresholdLines(DEFAULT_ALERT_RULES, 'temperature').map(line => line.value)).toEqual([45, 35]);
+});
+
+test('marks every violating reading with its most severe level', () => {
+  const series = [30, 36, 46, null, 34].map((temperature, i) => ({ time: i * 600000, temperature }));
+  expect(getAlertMarkers(series, DEFAULT_ALERT_RULES, 'temperature')).toEqual([
+    { time: 600000, value: 36, severity: 'warning' },
+    { time: 1200000, value: 46, severity: 'critical' }
+  ]);
+  expect(getAlertMarkers(series, DEFAULT_ALERT_RULES, 'angle')).toEqual([]);
+});
+
+test('draws a chart from readings without anything on screen', () => {
+  const pdf = new jsPDF('l', 'mm', 'a4');
+  const series = toTimeSeries(simulateReadings({ seed: 3, count: 500, startTime: 0, scenario: 'thermalRunaway', onsetSample: 200 }));
+  drawMetricChart(pdf, { x: 15, y: 20, width: 130, height: 75, title: 'Temperature Trend', series, metric: 'temperature', color: '#FF6B6B', rules: DEFAULT_ALERT_RULES, timeZone: 'UTC' });
+  drawMetricChart(pdf, { x: 155, y: 20, width: 130, height: 75, title: 'Angle Variation', series: [], metric: 'angle', color: '#9D4EDD' });
+  const output = pdf.output();
+  expect(output).toContain('Temperature Trend');
+  expect(output).toContain('No readings in the selected range');
+});
@@ -0,0 +1,115 @@
+// quality.js - Data-quality flags per reading and metric
+//
+// Every value of every reading gets one flag, checked in this order:
+//   missing      no value (blank / unparsable cell, unmapped column, sensor offline)
+//   outOfRange   outside the physically possible limits of the metric
+//   jump         changed more than maxStepPerMinute × the minutes since the previous
+//                good value (at least one minute), faster than the process can move;
+//                the reading after a real step is close to its predecessor and counts as good
+//   stuck        the same value for stuckSamples readings in a row (flatlined sensor);
+//                metrics that legitimately sit still (allowFlat) are not checked
+//   good         none of the above
+// The quality score of a metric is the share of its values flagged good.
+
+import { METRIC_KEYS } from './dataSources';
+
+export const QUALITY_FLAGS = {
+  good: { label: 'Good', icon: '✅' },
+  missing: { label: 'Missing', icon: '⬜' },
+  outOfRange: { label: 'Out of range', icon: '⛔' },
+  jump: { label: 'Impossible jump', icon: '⚡' },
+  stuck: { label: 'Stuck sensor', icon: '⏸️' }
+};
+
+const MINUTE_MS = 60000;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const toValue = (value) => (isSet(value) && isFinite(value) ? Number(value) : null);
+
+// Flags of one metric for every reading (oldest first)
+export const flagMetric = (readings, metric, limits = {}, stuckSamples = 0) => {
+  const { min = null, max = null, maxStepPerMinute = null, allowFlat = false } = limits;
+  const flags = [];
+  let lastGood = null;
+  // Start index of the current run of identical values
+  let runStart = 0;
+
+  readings.forEach((reading, index) => {
+    const value = toValue(reading[metric]);
+    if (value === null) {
+      flags.push('missing');
+      runStart = index + 1;
+      return;
+    }
+    const previous = index > 0 ? toValue(readings[index - 1][metric]) : null;
+    if (previous === null || previous !== value) runStart = index;
+
+    let flag = 'good';
+    if ((isSet(min) && value < min) || (isSet(max) && value > max)) {
+      flag = 'outOfRange';
+    } else if (isSet(maxStepPerMinute) && lastGood !== null) {
+      const isJump = (from) => {
+        const minutes = isSet(reading.time) && isSet(from.time) ? Math.max(1, (reading.time - from.time) / MINUTE_MS) : 1;
+        return Math.abs(value - from.value) > maxStepPerMinute * minutes;
+      };
+      // A value close to the previous one settles a real step change at its new level
+      if (isJump(lastGood) && (previous === null || isJump({ value: previous, time: readings[index - 1].time }))) flag = 'jump';
+    }
+    if (flag === 'good' && !allowFlat && stuckSamples > 1 && index - runStart + 1 >= stuckSamples) {
+      flag = 'stuck';
+      // The whole run is flatlined, not just the readings after the threshold
+      for (let i = runStart; i < index; i++) {
+        if (flags[i] === 'good') flags[i] = 'stuck';
+      }
+    }
+    if (flag === 'good') lastGood = { value, time: reading.time };
+    flags.push(flag);
+  });
+  return flags;
+};
+
+// Share of good values and the count of each flag
+export const scoreFlags = (flags) => {
+  const counts = Object.fromEntries(Object.keys(QUALITY_FLAGS).map(flag => [flag, 0]));
+  flags.forEach(flag => { counts[flag]++; });
+  return { score: flags.length > 0 ? Math.round((counts.good / flags.length) * 100) : null, counts };
+};
+
+// Quality of a reading history: { flags: { [metric]: flag[] }, scores: { [metric]: { score, counts } } }
+// config: { stuckSamples, limits: { [metric]: { min, max, maxStepPerMinute, allowFlat } } }
+export const assessQuality = (readings, config, metrics = METRIC_KEYS) => {
+  const flags = {};
+  const scores = {};
+  metrics.forEach(metric => {
+    flags[metric] = flagMetric(readings, metric, config.limits[metric], config.stuckSamples);
+    scores[metric] = scoreFlags(flags[metric]);
+  });
+  return { flags, scores };
+};
+
+// Non-good flags of one metric keyed by reading time, for the charts
+export const getQualityIssues = (readings, flags) => {
+  const issues = new Map();
+  readings.forEach((reading, index) => {
+    if (flags[index] !== 'good' && flags[index] !== 'missing' && isSet(reading.time)) issues.set(reading.time, flags[index]);
+  });
+  return issues;
+};
+
+// Stretches without a value in a time series: [[from, to]] between the surrounding values
+export const findGaps = (series, key) => {
+  const gaps = [];
+  let lastPresent = null;
+  let inGap = false;
+  series.forEach(row => {
+    if (toValue(row[key]) === null) {
+      inGap = lastPresent !== null;
+      return;
+    }
+    if (inGap) gaps.push([lastPresent, row.time]);
+    inGap = false;
+    lastPresent = row.time;
+  });
+  return gaps;
+};
@@ -0,0 +1,48 @@
+import { QUALITY_CONFIG } from './config';
+import { assessQuality, findGaps, flagMetric, getQualityIssues, scoreFlags } from './quality';
+import { simulateReadings } from './simulator';
+
+const MINUTE = 60000;
+const series = (values, metric = 'temperature') => values.map((value, i) => ({ time: i * MINUTE, [metric]: value }));
+const limits = { min: -40, max: 150, maxStepPerMinute: 10 };
+
+test('flags missing, out-of-range and impossible jumps', () => {
+  const readings = series([25, null, 26, 400, 27, 60, 28]);
+  expect(flagMetric(readings, 'temperature', limits)).toEqual(['good', 'missing', 'good', 'outOfRange', 'good', 'jump', 'good']);
+});
+
+test('a real step change settles at its new level', () => {
+  // 20°C → 45°C in one minute is a jump, the readings after it confirm the new level
+  const readings = series([20, 20.5, 45, 45.2, 45.1]);
+  expect(flagMetric(readings, 'temperature', limits)).toEqual(['good', 'good', 'jump', 'good', 'good']);
+  // The allowed step grows with the time since the last good value
+  expect(flagMetric([{ time: 0, temperature: 20 }, { time: 5 * MINUTE, temperature: 45 }], 'temperature', limits)).toEqual(['good', 'good']);
+});
+
+test('flags a flatlined sensor from the start of the run', () => {
+  const readings = series([25, 25.3, 25.1, 25.1, 25.1, 25.1, 25.4]);
+  expect(flagMetric(readings, 'temperature', limits, 4)).toEqual(['good', 'good', 'stuck', 'stuck', 'stuck', 'stuck', 'good']);
+  expect(flagMetric(readings, 'temperature', { ...limits, allowFlat: true }, 4)).not.toContain('stuck');
+  expect(flagMetric(readings, 'temperature', limits, 5)).not.toContain('stuck');
+});
+
+test('scores the share of good values', () => {
+  expect(scoreFlags(['good', 'good', 'missing', 'stuck'])).toEqual({
+    score: 50,
+    counts: { good: 2, missing: 1, outOfRange: 0, jump: 0, stuck: 1 }
+  });
+  expect(scoreFlags([]).score).toBeNull();
+});
+
+test('simulated readings pass the default checks', () => {
+  const readings = simulateReadings({ seed: 5, count: 200, startTime: 0, scenario: 'thermalRunaway', onsetSample: 100 });
+  const { scores } = assessQuality(readings, QUALITY_CONFIG);
+  Object.values(scores).forEach(({ score }) => expect(score).toBe(100));
+});
+
+test('lists chart issues by time and finds gaps', () => {
+  const readings = series([25, null, 400, 26]);
+  const issues = getQualityIssues(readings, flagMetric(readings, 'temperature', limits));
+  expect([...issues.entries()]).toEqual([[2 * MINUTE, 'outOfRange']]);
+  expect(findGaps([{ time: 0, temperature: 1 }, { time: 1 }, { time: 2, temperature: null }, { time: 3, temperature: 2 }, { time: 4 }], 'temperature')).toEqual([[0, 3]]);
+});
@@ -0,0 +1,571 @@
+// report.js - PDF report built from a report template
+//
+// A template chooses the sections, the metrics, the time range, the company name and
+// logo printed in the header, and the page size and orientation:
+//   { id, name, sections: ['details', ...], metrics: ['temperature', ...], timeRange,
+//     rawDataAggregation, companyName, logo, pageSize, orientation }
+// Sections are always printed in REPORT_SECTIONS order. Templates are saved in the
+// settings (settings.js) and shared by all assets; the defaults are in config.js.
+// Everything is drawn with jsPDF from the readings, charts included (pdfCharts.js).
+
+import jsPDF from 'jspdf';
+import { METRIC_INFO } from './dataSources';
+import { SEVERITY_LABELS, getMetricStatus } from './alerts';
+import { drawMetricChart } from './pdfCharts';
+import { TIME_RANGE_PRESETS, filterByTime, getRangeBounds } from './timeRange';
+import { formatReadingTime, startOfInterval, toTimeSeries } from './time';
+
+export const REPORT_SECTIONS = {
+  details: 'Report details',
+  readings: 'Current readings',
+  overview: 'Data overview',
+  charts: 'Trend charts',
+  statistics: 'Statistics',
+  rawData: 'Raw data'
+};
+
+export const PAGE_SIZES = {
+  a4: 'A4',
+  a3: 'A3',
+  letter: 'US Letter',
+  legal: 'US Legal'
+};
+
+export const ORIENTATIONS = {
+  landscape: 'Landscape',
+  portrait: 'Portrait'
+};
+
+// Preset ranges plus the one currently selected on the dashboard
+export const REPORT_TIME_RANGES = {
+  dashboard: 'As selected on the dashboard',
+  ...Object.fromEntries(Object.entries(TIME_RANGE_PRESETS)
+    .filter(([preset]) => preset !== 'custom')
+    .map(([preset, { label }]) => [preset, label]))
+};
+
+// Logos are stored in the settings as data URLs, so they are kept small
+export const MAX_LOGO_BYTES = 200 * 1024;
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How the raw data section lists the readings of the report's range: every reading, or
+// the minimum, average and maximum of each interval. 'auto' lists every reading unless
+// that takes more than MAX_RAW_DATA_ROWS rows, then the shortest interval that fits.
+export const RAW_DATA_AGGREGATIONS = {
+  auto: { label: 'Automatic', intervalMs: null },
+  none: { label: 'Every reading', intervalMs: 0 },
+  quarterHour: { label: '15-minute min/avg/max', intervalMs: 15 * MINUTE_MS },
+  hour: { label: 'Hourly min/avg/max', intervalMs: HOUR_MS },
+  day: { label: 'Daily min/avg/max', intervalMs: 24 * HOUR_MS }
+};
+
+export const MAX_RAW_DATA_ROWS = 2000;
+
+// Column headers of the raw data table, short enough for one line
+const RAW_DATA_HEADERS = {
+  temperature: 'Temp(°C)',
+  humidity: 'Humidity(%)',
+  oilLevel: 'Oil(%)',
+  voltage: 'Voltage(V)',
+  current: 'Current(mA)',
+  power: 'Power(mW)',
+  energy: 'Energy(Wh)',
+  angle: 'Angle(°)'
+};
+
+const MARGIN = 15;
+const PAGE_TOP = 25;
+const HEADER_HEIGHT = 35;
+const FOOTER_HEIGHT = 15;
+const SECTION_HEADER_HEIGHT = 12;
+
+// Section header colours (RGB)
+const SECTION_COLORS = {
+  readings: [46, 204, 113],
+  overview: [155, 89, 182],
+  charts: [231, 76, 60],
+  statistics: [155, 89, 182],
+  rawData: [230, 126, 34]
+};
+
+const TEXT_COLOR = [51, 51, 51];
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const formatValue = (value, metric) => (
+  isSet(value) && isFinite(value) ? Number(value).toFixed(METRIC_INFO[metric]?.decimals ?? 2) : '—'
+);
+
+// [from, to] of the template's time range; 'dashboard' follows the dashboard's selection
+export const getReportBounds = (template, dashboardBounds = [null, null], now = Date.now()) => (
+  template.timeRange === 'dashboard' ? dashboardBounds : getRangeBounds({ preset: template.timeRange }, now)
+);
+
+// Problems that keep a template from being saved; empty when it is usable
+export const validateReportTemplate = (template, templates = []) => {
+  const issues = [];
+  const name = template.name.trim();
+  if (!name) issues.push('Give the template a name');
+  if (templates.some(other => other.id !== template.id && other.name.trim().toLowerCase() === name.toLowerCase())) {
+    issues.push(`A template named "${name}" already exists`);
+  }
+  if (template.sections.length === 0) issues.push('Choose at least one section');
+  if (template.metrics.length === 0) issues.push('Choose at least one metric');
+  return issues;
+};
+
+// Starting point for a template built from scratch
+const BLANK_TEMPLATE = {
+  sections: Object.keys(REPORT_SECTIONS),
+  metrics: Object.keys(METRIC_INFO),
+  timeRange: 'dashboard',
+  rawDataAggregation: 'auto',
+  companyName: '',
+  logo: null,
+  pageSize: 'a4',
+  orientation: 'landscape'
+};
+
+// New template copied from `base` (or blank) with a unique id and name
+export const createReportTemplate = (templates, base = null) => {
+  const ids = new Set(templates.map(template => template.id));
+  const names = new Set(templates.map(template => template.name));
+  let index = 1;
+  while (ids.has(`report-${index}`)) index++;
+  const baseName = base ? `${base.name} (copy)` : 'New report';
+  let name = baseName;
+  for (let copy = 2; names.has(name); copy++) name = `${baseName} ${copy}`;
+  return { ...(base || BLANK_TEMPLATE), id: `report-${index}`, name };
+};
+
+// Minimum, maximum and average of each metric over the readings, for metrics with values
+export const getMetricStatistics = (readings, metrics) => Object.fromEntries(metrics.flatMap(metric => {
+  const values = readings.map(reading => reading[metric]).filter(value => isSet(value) && isFinite(value)).map(Number);
+  if (values.length === 0) return [];
+  return [[metric, {
+    // A loop rather than Math.min(...values), which overflows the call stack on long ranges
+    min: values.reduce((min, value) => (value < min ? value : min), Infinity),
+    max: values.reduce((max, value) => (value > max ? value : max), -Infinity),
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    count: values.length
+  }]];
+}));
+
+// Aggregation the raw data section uses for these readings (oldest first); templates
+// saved before the option existed are listed automatically
+export const resolveRawDataAggregation = (aggregation, readings) => {
+  if (aggregation !== 'auto' && RAW_DATA_AGGREGATIONS[aggregation]) return aggregation;
+  if (readings.length <= MAX_RAW_DATA_ROWS) return 'none';
+  const spanMs = readings[readings.length - 1].time - readings[0].time;
+  return ['quarterHour', 'hour'].find(key => spanMs / RAW_DATA_AGGREGATIONS[key].intervalMs < MAX_RAW_DATA_ROWS) || 'day';
+};
+
+// Readings (oldest first) grouped into intervals aligned to the display time zone's clock:
+// [{ start, count, statistics }] with statistics as from getMetricStatistics. Intervals
+// without readings are left out.
+export const aggregateReadings = (readings, metrics, intervalMs, timeZone = '') => {
+  const periods = [];
+  readings.forEach(reading => {
+    const start = startOfInterval(reading.time, intervalMs, timeZone);
+    const last = periods[periods.length - 1];
+    if (last && last.start === start) {
+      last.readings.push(reading);
+    } else {
+      periods.push({ start, readings: [reading] });
+    }
+  });
+  return periods.map(({ start, readings: rows }) => ({ start, count: rows.length, statistics: getMetricStatistics(rows, metrics) }));
+};
+
+// Lowest y the content may reach above the footer
+const contentBottom = (pdf) => pdf.internal.pageSize.getHeight() - FOOTER_HEIGHT - 5;
+
+// Start a new page when `height` does not fit below the cursor
+const ensureSpace = (pdf, cursor, height) => {
+  if (cursor.y + height > contentBottom(pdf)) {
+    pdf.addPage();
+    cursor.y = PAGE_TOP;
+  }
+};
+
+const drawSectionHeader = (pdf, cursor, title, color) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  ensureSpace(pdf, cursor, SECTION_HEADER_HEIGHT + 20);
+  pdf.setFillColor(...color);
+  pdf.rect(MARGIN, cursor.y, pageWidth - 2 * MARGIN, SECTION_HEADER_HEIGHT, 'F');
+  pdf.setTextColor(255, 255, 255);
+  pdf.setFontSize(14);
+  pdf.setFont(undefined, 'bold');
+  pdf.text(title.toUpperCase(), MARGIN + 5, cursor.y + 8);
+  cursor.y += SECTION_HEADER_HEIGHT + 8;
+};
+
+// Table with a coloured header row repeated on every page it runs onto and alternating
+// row backgrounds. columns: [{ header, width, align }]; widths shrink to fit the page.
+// groups ([{ header, span }]) adds a header row above spanning several columns each.
+export const drawTable = (pdf, cursor, { columns, rows, groups = null, headerColor, stripeColor = [248, 248, 248], x = MARGIN, rowHeight = 8, fontSize = 9 }) => {
+  const available = pdf.internal.pageSize.getWidth() - x - MARGIN;
+  const total = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => column.width * Math.min(1, available / total));
+  const aligns = columns.map(column => column.align || 'left');
+
+  const drawRow = (cells, cellWidths, cellAligns, isHeader, stripe) => {
+    let cellX = x;
+    pdf.setFontSize(fontSize);
+    pdf.setFont(undefined, isHeader ? 'bold' : 'normal');
+    cells.forEach((cell, index) => {
+      pdf.setFillColor(...(isHeader ? headerColor : stripe ? stripeColor : [255, 255, 255]));
+      pdf.rect(cellX, cursor.y, cellWidths[index], rowHeight, 'F');
+      pdf.setDrawColor(200, 200, 200);
+      pdf.rect(cellX, cursor.y, cellWidths[index], rowHeight, 'D');
+      pdf.setTextColor(...(isHeader ? [255, 255, 255] : TEXT_COLOR));
+      const align = cellAligns[index];
+      const textX = align === 'center' ? cellX + cellWidths[index] / 2 : cellX + 2;
+      pdf.text(String(cell), textX, cursor.y + rowHeight / 2 + fontSize * 0.13, { maxWidth: cellWidths[index] - 3, align });
+      cellX += cellWidths[index];
+    });
+    cursor.y += rowHeight;
+  };
+
+  const drawHeader = () => {
+    if (groups) {
+      let first = 0;
+      const groupWidths = groups.map(group => {
+        const width = widths.slice(first, first + group.span).reduce((sum, value) => sum + value, 0);
+        first += group.span;
+        return width;
+      });
+      drawRow(groups.map(group => group.header), groupWidths, groups.map(() => 'center'), true);
+    }
+    drawRow(columns.map(column => column.header), widths, aligns, true);
+  };
+
+  ensureSpace(pdf, cursor, rowHeight * (groups ? 3 : 2));
+  drawHeader();
+  rows.forEach((row, index) => {
+    if (cursor.y + rowHeight > contentBottom(pdf)) {
+      pdf.addPage();
+      cursor.y = PAGE_TOP;
+      drawHeader();
+    }
+    drawRow(row, widths, aligns, false, index % 2 === 1);
+  });
+};
+
+const drawTitleBar = (pdf, template, asset) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  pdf.setFillColor(41, 128, 185);
+  pdf.rect(0, 0, pageWidth, HEADER_HEIGHT, 'F');
+
+  let logoWidth = 0;
+  if (template.logo) {
+    try {
+      const { width, height } = pdf.getImageProperties(template.logo);
+      const logoHeight = HEADER_HEIGHT - 10;
+      logoWidth = Math.min(50, (width / height) * logoHeight);
+      pdf.addImage(template.logo, MARGIN, 5, logoWidth, logoWidth * (height / width));
+    } catch (error) {
+      console.warn(`⚠️ Report logo could not be added: ${error.message}`);
+      logoWidth = 0;
+    }
+  }
+
+  // Centred in the space right of the logo, shrunk until it fits
+  const centerX = logoWidth > 0 ? (MARGIN + logoWidth + pageWidth) / 2 : pageWidth / 2;
+  const available = pageWidth - 2 * MARGIN - (logoWidth > 0 ? 2 * (logoWidth + 5) : 0);
+  const title = (template.companyName.trim() || 'Industrial Health Monitoring Report').toUpperCase();
+  pdf.setTextColor(255, 255, 255);
+  pdf.setFont(undefined, 'bold');
+  let fontSize = 24;
+  pdf.setFontSize(fontSize);
+  while (fontSize > 12 && pdf.getTextWidth(title) > available) pdf.setFontSize(--fontSize);
+  pdf.text(title, centerX, 18, { align: 'center' });
+
+  pdf.setFontSize(12);
+  pdf.setFont(undefined, 'normal');
+  pdf.text(`${template.name} - ${asset.name}`, centerX, 28, { align: 'center', maxWidth: available });
+};
+
+const drawDetails = (pdf, cursor, context) => {
+  const { dataSource, connectionStatus, lastUpdate, timeZone, now, period, readings } = context;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const middle = pageWidth / 2;
+  pdf.setFillColor(248, 249, 250);
+  pdf.setDrawColor(200, 200, 200);
+  pdf.rect(MARGIN, cursor.y - 5, pageWidth - 2 * MARGIN, 25, 'FD');
+
+  const items = [
+    [20, 'Report Generated:', formatReadingTime(now, timeZone)],
+    [20, 'Data Source:', dataSource],
+    [20, 'Connection Status:', connectionStatus.replace(/[✅❌⚠️]/g, '').trim()],
+    [middle + 5, 'Period:', `${formatReadingTime(period[0], timeZone, 'shortDateTime')} to ${formatReadingTime(period[1], timeZone, 'shortDateTime')}`],
+    [middle + 5, 'Data Points:', readings.length.toString()],
+    [middle + 5, 'Last Updated:', lastUpdate ? formatReadingTime(lastUpdate, timeZone) : 'N/A']
+  ];
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.setFontSize(10);
+  items.forEach(([x, label, value], index) => {
+    const y = cursor.y + 5 + (index % 3) * 7;
+    pdf.setFont(undefined, 'bold');
+    pdf.text(label, x, y);
+    pdf.setFont(undefined, 'normal');
+    pdf.text(String(value), x + 35, y, { maxWidth: middle - 45 });
+  });
+  cursor.y += 30;
+};
+
+const drawReadings = (pdf, cursor, { metrics, latest, ruleResults, timeZone }) => {
+  const latestTime = formatReadingTime(latest?.time, timeZone, 'time');
+  drawTable(pdf, cursor, {
+    columns: [
+      { header: 'Parameter', width: 60 },
+      { header: 'Current Value', width: 35, align: 'center' },
+      { header: 'Unit', width: 25, align: 'center' },
+      { header: 'Status', width: 30 },
+      { header: 'Timestamp', width: 40 }
+    ],
+    rows: metrics.map(metric => [
+      METRIC_INFO[metric].label,
+      formatValue(latest?.[metric], metric),
+      METRIC_INFO[metric].unit,
+      SEVERITY_LABELS[getMetricStatus(ruleResults, metric)],
+      latestTime
+    ]),
+    headerColor: [52, 73, 94],
+    stripeColor: [245, 245, 245]
+  });
+  cursor.y += 12;
+};
+
+const drawOverview = (pdf, cursor, { metrics, latest, readings, period, timeZone }) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  ensureSpace(pdf, cursor, 30);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.setFontSize(10);
+  pdf.setFont(undefined, 'normal');
+  [
+    `Data points in the period: ${readings.length}`,
+    `Period: from ${formatReadingTime(period[0], timeZone)} to ${formatReadingTime(period[1], timeZone)}`,
+    `Latest reading: ${formatReadingTime(latest?.time, timeZone)}`
+  ].forEach(line => {
+    pdf.text(`• ${line}`, 25, cursor.y);
+    cursor.y += 6;
+  });
+
+  pdf.setFont(undefined, 'bold');
+  pdf.text('Current System Status:', 25, cursor.y);
+  cursor.y += 8;
+  pdf.setFont(undefined, 'normal');
+  metrics.forEach((metric, index) => {
+    const { label, unit } = METRIC_INFO[metric];
+    pdf.text(`• ${label}: ${formatValue(latest?.[metric], metric)}${unit}`, index % 2 === 0 ? 30 : pageWidth / 2, cursor.y);
+    if (index % 2 === 1 || index === metrics.length - 1) cursor.y += 6;
+  });
+  cursor.y += 10;
+};
+
+const drawCharts = (pdf, cursor, { metrics, charts, series, bounds, asset, timeZone, missingFields }) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const columns = pageWidth > pdf.internal.pageSize.getHeight() ? 2 : 1;
+  const gap = 10;
+  const chartWidth = (pageWidth - 2 * MARGIN - (columns - 1) * gap) / columns;
+  const chartHeight = columns === 2 ? 75 : 65;
+  const visible = metrics.filter(metric => !missingFields.has(metric));
+  visible.forEach((metric, index) => {
+    const column = index % columns;
+    if (column === 0) ensureSpace(pdf, cursor, chartHeight);
+    const chart = charts.find(item => item.metric === metric) || { title: METRIC_INFO[metric].label, color: '#3A86FF' };
+    drawMetricChart(pdf, {
+      x: MARGIN + column * (chartWidth + gap),
+      y: cursor.y,
+      width: chartWidth,
+      height: chartHeight,
+      title: chart.title,
+      series,
+      metric,
+      color: chart.color,
+      rules: asset.alertRules,
+      timeZone,
+      domain: bounds
+    });
+    if (column === columns - 1 || index === visible.length - 1) cursor.y += chartHeight + 8;
+  });
+};
+
+const drawStatistics = (pdf, cursor, { metrics, latest, readings, ruleResults }) => {
+  const statistics = getMetricStatistics(readings, metrics);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.setFontSize(12);
+  pdf.setFont(undefined, 'bold');
+  pdf.text(`Data Analysis Summary (${readings.length} data points analyzed)`, 20, cursor.y);
+  cursor.y += 7;
+  drawTable(pdf, cursor, {
+    x: 20,
+    columns: [
+      { header: 'Parameter', width: 50 },
+      ...['Current', 'Minimum', 'Maximum', 'Average', 'Status'].map(header => ({ header, width: 25, align: 'center' }))
+    ],
+    rows: Object.entries(statistics).map(([metric, { min, max, avg }]) => [
+      METRIC_INFO[metric].label,
+      formatValue(latest?.[metric], metric),
+      formatValue(min, metric),
+      formatValue(max, metric),
+      formatValue(avg, metric),
+      SEVERITY_LABELS[getMetricStatus(ruleResults, metric)]
+    ]),
+    headerColor: [52, 152, 219]
+  });
+  cursor.y += 12;
+};
+
+// Split the metrics into groups whose columns fit across the page next to the fixed ones
+const fitMetrics = (pdf, metrics, fixedWidth, metricWidth) => {
+  const available = pdf.internal.pageSize.getWidth() - 2 * MARGIN - fixedWidth;
+  const perTable = Math.max(1, Math.floor(available / metricWidth));
+  const parts = [];
+  for (let index = 0; index < metrics.length; index += perTable) parts.push(metrics.slice(index, index + perTable));
+  return parts;
+};
+
+// Every reading of the report's range, or the min/avg/max of each interval. Metrics that do
+// not fit across the page continue in further tables over the same rows.
+const drawRawData = (pdf, cursor, { template, metrics, readings, period, timeZone }) => {
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.setFontSize(10);
+  pdf.setFont(undefined, 'normal');
+  if (readings.length === 0) {
+    pdf.text('No readings in the report\'s time range', MARGIN, cursor.y);
+    return;
+  }
+  const aggregation = resolveRawDataAggregation(template.rawDataAggregation, readings);
+  const { label, intervalMs } = RAW_DATA_AGGREGATIONS[aggregation];
+  const periods = intervalMs ? aggregateReadings(readings, metrics, intervalMs, timeZone) : null;
+  const range = `from ${formatReadingTime(period[0], timeZone)} to ${formatReadingTime(period[1], timeZone)}`;
+  pdf.text(periods
+    ? `${label} of all ${readings.length} readings ${range} (${periods.length} intervals)`
+    : `All ${readings.length} readings ${range}`, MARGIN, cursor.y);
+  cursor.y += 5;
+  pdf.setFontSize(8);
+  pdf.text(`Times in ${timeZone || 'the local time zone'}${periods ? '; each row starts at the time shown' : ''}`, MARGIN, cursor.y);
+  cursor.y += 5;
+
+  const parts = periods ? fitMetrics(pdf, metrics, 58, 48) : fitMetrics(pdf, metrics, 42, 22);
+  parts.forEach((partMetrics, index) => {
+    if (index > 0) {
+      pdf.addPage();
+      cursor.y = PAGE_TOP;
+    }
+    if (parts.length > 1) {
+      pdf.setTextColor(...TEXT_COLOR);
+      pdf.setFontSize(10);
+      pdf.setFont(undefined, 'bold');
+      pdf.text(`Part ${index + 1} of ${parts.length}: ${partMetrics.map(metric => METRIC_INFO[metric].label).join(', ')}`, MARGIN, cursor.y);
+      cursor.y += 5;
+    }
+    if (periods) {
+      drawTable(pdf, cursor, {
+        columns: [
+          { header: aggregation === 'day' ? 'Date' : 'Interval start', width: 40, align: 'center' },
+          { header: 'Readings', width: 18, align: 'center' },
+          ...partMetrics.flatMap(() => ['Min', 'Avg', 'Max'].map(header => ({ header, width: 16, align: 'center' })))
+        ],
+        groups: [{ header: '', span: 2 }, ...partMetrics.map(metric => ({ header: RAW_DATA_HEADERS[metric], span: 3 }))],
+        rows: periods.map(({ start, count, statistics }) => [
+          formatReadingTime(start, timeZone, aggregation === 'day' ? 'date' : 'dateTime'),
+          count,
+          ...partMetrics.flatMap(metric => ['min', 'avg', 'max'].map(key => formatValue(statistics[metric]?.[key], metric)))
+        ]),
+        headerColor: [52, 73, 94],
+        rowHeight: 6,
+        fontSize: 8
+      });
+    } else {
+      drawTable(pdf, cursor, {
+        columns: [
+          { header: 'Date and time', width: 42, align: 'center' },
+          ...partMetrics.map(metric => ({ header: RAW_DATA_HEADERS[metric], width: 22, align: 'center' }))
+        ],
+        rows: readings.map(row => [
+          formatReadingTime(row.time, timeZone),
+          ...partMetrics.map(metric => formatValue(row[metric], metric))
+        ]),
+        headerColor: [52, 73, 94],
+        rowHeight: 6,
+        fontSize: 8
+      });
+    }
+  });
+};
+
+const drawFooters = (pdf, template, { timeZone, now, readings }) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const totalPages = pdf.internal.getNumberOfPages();
+  const owner = template.companyName.trim() || 'Industrial Health Monitoring System';
+  for (let page = 1; page <= totalPages; page++) {
+    pdf.setPage(page);
+    pdf.setFillColor(44, 62, 80);
+    pdf.rect(0, pageHeight - FOOTER_HEIGHT, pageWidth, FOOTER_HEIGHT, 'F');
+    pdf.setFontSize(8);
+    pdf.setFont(undefined, 'normal');
+    pdf.setTextColor(255, 255, 255);
+    pdf.text(`${owner} | ${template.name} | Page ${page} of ${totalPages}`, MARGIN, pageHeight - 8);
+    pdf.text(`Generated: ${formatReadingTime(now, timeZone)} | Data Points: ${readings.length}`, pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+  }
+};
+
+// Build the report of one asset as a jsPDF document.
+// context: { asset, readings (whole history, oldest first), latest, ruleResults, charts
+// ([{ metric, title, color }] as on the dashboard), dashboardBounds, missingFields (Set),
+// dataSource, connectionStatus, lastUpdate, timeZone, now }
+export const buildReport = (template, context) => {
+  const { asset, readings: history, dashboardBounds, now = Date.now() } = context;
+  const pdf = new jsPDF({ orientation: template.orientation, unit: 'mm', format: template.pageSize });
+  const bounds = getReportBounds(template, dashboardBounds, now);
+  const series = filterByTime(toTimeSeries(history), bounds);
+  const readings = series.filter(row => Object.keys(METRIC_INFO).some(metric => isSet(row[metric])));
+  const sectionContext = {
+    ...context,
+    template,
+    now,
+    bounds,
+    series,
+    readings,
+    // Open ends of the range are shown as the first and last reading in it
+    period: [bounds[0] ?? readings[0]?.time ?? null, bounds[1] ?? readings[readings.length - 1]?.time ?? null],
+    // Selected metrics in the dashboard's order
+    metrics: Object.keys(METRIC_INFO).filter(metric => template.metrics.includes(metric)),
+    missingFields: context.missingFields || new Set()
+  };
+  const cursor = { y: HEADER_HEIGHT + 15 };
+
+  drawTitleBar(pdf, template, asset);
+  Object.keys(REPORT_SECTIONS).filter(section => template.sections.includes(section)).forEach(section => {
+    // Charts, statistics and raw data start on a page of their own
+    if (['charts', 'statistics', 'rawData'].includes(section) && cursor.y > PAGE_TOP + 25) {
+      pdf.addPage();
+      cursor.y = PAGE_TOP;
+    }
+    if (section === 'details') {
+      drawDetails(pdf, cursor, sectionContext);
+      return;
+    }
+    drawSectionHeader(pdf, cursor, REPORT_SECTIONS[section], SECTION_COLORS[section]);
+    if (section === 'readings') drawReadings(pdf, cursor, sectionContext);
+    if (section === 'overview') drawOverview(pdf, cursor, sectionContext);
+    if (section === 'charts') drawCharts(pdf, cursor, sectionContext);
+    if (section === 'statistics') drawStatistics(pdf, cursor, sectionContext);
+    if (section === 'rawData') drawRawData(pdf, cursor, sectionContext);
+  });
+  drawFooters(pdf, template, sectionContext);
+  return pdf;
+};
+
+// File name of a generated report, e.g. "Daily_shift_report_Machine_1_2025-01-02T14-05-00.pdf"
+export const getReportFileName = (template, asset, now = Date.now()) => {
+  const timestamp = new Date(now).toISOString().slice(0, 19).replace(/:/g, '-');
+  const clean = (text) => text.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+  return `${clean(template.name) || 'Report'}_${clean(asset.name)}_${timestamp}.pdf`;
+};
@@ -0,0 +1,135 @@
+import { DEFAULT_ALERT_RULES, DEFAULT_REPORT_TEMPLATES } from './config';
+import { MAX_RAW_DATA_ROWS, aggregateReadings, buildReport, createReportTemplate, getMetricStatistics, getReportBounds, getReportFileName, resolveRawDataAggregation, validateReportTemplate } from './report';
+import { simulateReadings } from './simulator';
+
+const HOUR = 3600000;
+const [shiftReport, maintenanceSummary] = DEFAULT_REPORT_TEMPLATES;
+
+test('checks templates before they are saved', () => {
+  expect(validateReportTemplate(shiftReport, DEFAULT_REPORT_TEMPLATES)).toEqual([]);
+  expect(validateReportTemplate({ ...shiftReport, name: ' ' }, DEFAULT_REPORT_TEMPLATES)).toEqual(['Give the template a name']);
+  expect(validateReportTemplate({ ...shiftReport, id: 'other', name: 'maintenance summary ' }, DEFAULT_REPORT_TEMPLATES))
+    .toEqual(['A template named "maintenance summary" already exists']);
+  expect(validateReportTemplate({ ...shiftReport, sections: [], metrics: [] })).toEqual(['Choose at least one section', 'Choose at least one metric']);
+});
+
+test('new templates get a unique id and name', () => {
+  const blank = createReportTemplate(DEFAULT_REPORT_TEMPLATES);
+  expect(blank).toMatchObject({ id: 'report-1', name: 'New report', timeRange: 'dashboard', pageSize: 'a4', orientation: 'landscape' });
+  expect(createReportTemplate([...DEFAULT_REPORT_TEMPLATES, blank])).toMatchObject({ id: 'report-2', name: 'New report 2' });
+  expect(createReportTemplate(DEFAULT_REPORT_TEMPLATES, maintenanceSummary)).toEqual({ ...maintenanceSummary, id: 'report-1', name: 'Maintenance summary (copy)' });
+});
+
+test('resolves the time range of a template', () => {
+  const now = 10 * HOUR;
+  expect(getReportBounds(shiftReport, [null, null], now)).toEqual([2 * HOUR, null]);
+  expect(getReportBounds({ ...shiftReport, timeRange: 'dashboard' }, [HOUR, 2 * HOUR], now)).toEqual([HOUR, 2 * HOUR]);
+});
+
+test('summarises each metric with values', () => {
+  const readings = [{ temperature: 20, humidity: '' }, { temperature: '30' }, { temperature: null }, { temperature: 25 }];
+  expect(getMetricStatistics(readings, ['temperature', 'humidity'])).toEqual({
+    temperature: { min: 20, max: 30, avg: 25, count: 3 }
+  });
+});
+
+test('summarises series too long to spread into Math.min', () => {
+  // A month of readings every 5 seconds
+  const readings = Array.from({ length: 30 * 24 * 720 }, (_, i) => ({ temperature: i % 720 }));
+  expect(getMetricStatistics(readings, ['temperature'])).toEqual({
+    temperature: { min: 0, max: 719, avg: 359.5, count: readings.length }
+  });
+});
+
+test('lists every reading unless the range is too long', () => {
+  const minutes = (count) => Array.from({ length: count }, (_, i) => ({ time: i * 60000, temperature: 20 }));
+  expect(resolveRawDataAggregation('auto', minutes(MAX_RAW_DATA_ROWS))).toBe('none');
+  // A week of minute readings is too long to list, but fits in 672 15-minute intervals;
+  // 30 days would take 2880, so those are listed hourly
+  expect(resolveRawDataAggregation('auto', minutes(7 * 24 * 60))).toBe('quarterHour');
+  expect(resolveRawDataAggregation('auto', minutes(30 * 24 * 60))).toBe('hour');
+  expect(resolveRawDataAggregation('day', minutes(10))).toBe('day');
+  // Templates saved before the option existed
+  expect(resolveRawDataAggregation(undefined, minutes(10))).toBe('none');
+});
+
+test('aggregates readings into intervals of the display time zone', () => {
+  // Kolkata is UTC+5:30, so its hours start at half past in UTC
+  const start = Date.UTC(2025, 0, 1, 0, 0);
+  const readings = [0, 20, 40, 60, 80].map((minute, i) => ({ time: start + minute * 60000, temperature: 20 + i, humidity: i === 1 ? 50 : null }));
+  expect(aggregateReadings(readings, ['temperature', 'humidity'], HOUR, 'Asia/Kolkata')).toEqual([
+    { start: start - 30 * 60000, count: 2, statistics: { temperature: { min: 20, max: 21, avg: 20.5, count: 2 }, humidity: { min: 50, max: 50, avg: 50, count: 1 } } },
+    { start: start + 30 * 60000, count: 3, statistics: { temperature: { min: 22, max: 24, avg: 23, count: 3 } } }
+  ]);
+  expect(aggregateReadings(readings, ['temperature'], 24 * HOUR, 'Asia/Kolkata').map(period => period.start)).toEqual([start - 5.5 * HOUR]);
+});
+
+test('builds the report on the template\'s page size and orientation', () => {
+  const now = Date.UTC(2025, 0, 8);
+  const readings = simulateReadings({ seed: 5, count: 24 * 60, startTime: now - 24 * HOUR });
+  const context = {
+    asset: { name: 'Press 4', alertRules: DEFAULT_ALERT_RULES },
+    readings,
+    latest: readings[readings.length - 1],
+    ruleResults: [],
+    charts: [],
+    dataSource: 'Simulator',
+    connectionStatus: '✅ Connected',
+    lastUpdate: now,
+    timeZone: 'UTC',
+    now
+  };
+
+  const landscape = buildReport({ ...shiftReport, companyName: 'Acme Works' }, context);
+  expect(landscape.internal.pageSize.getWidth()).toBeCloseTo(297, 0);
+  const output = landscape.output();
+  expect(output).toContain('ACME WORKS');
+  expect(output).toContain('Daily shift report - Press 4');
+  expect(output).not.toContain('v2.0');
+
+  const portrait = buildReport({ ...maintenanceSummary, pageSize: 'letter' }, context);
+  expect(portrait.internal.pageSize.getWidth()).toBeCloseTo(215.9, 0);
+  expect(portrait.internal.pageSize.getHeight()).toBeCloseTo(279.4, 0);
+  expect(getReportFileName(maintenanceSummary, context.asset, now)).toBe('Maintenance_summary_Press_4_2025-01-08T00-00-00.pdf');
+});
+
+test('the section after a half-full row of charts starts below it', () => {
+  const now = Date.UTC(2025, 0, 8);
+  const readings = simulateReadings({ seed: 4, count: 120, startTime: now - 2 * HOUR });
+  const template = { ...shiftReport, sections: ['charts', 'statistics'], metrics: ['temperature', 'humidity', 'oilLevel', 'voltage'], timeRange: 'all' };
+  const pdf = buildReport(template, {
+    asset: { name: 'Press 4', alertRules: [] },
+    readings,
+    latest: readings[readings.length - 1],
+    ruleResults: [],
+    charts: [{ metric: 'voltage', title: 'Voltage Trend', color: '#3A86FF' }],
+    // Unmapped, so three charts are left for two columns
+    missingFields: new Set(['oilLevel']),
+    timeZone: 'UTC',
+    now
+  });
+  const pageOf = (text) => pdf.internal.pages.findIndex(page => page && page.join('\n').includes(text));
+  expect(pageOf('Voltage Trend')).toBeGreaterThan(0);
+  expect(pageOf('Data Analysis Summary')).toBe(pageOf('Voltage Trend') + 1);
+});
+
+test('the raw data covers the whole range with full timestamps', () => {
+  const now = Date.UTC(2025, 0, 8);
+  const readings = simulateReadings({ seed: 2, count: 300, startTime: now - 300 * 60000 });
+  const template = { ...maintenanceSummary, sections: ['rawData'], timeRange: 'all', rawDataAggregation: 'none', orientation: 'landscape' };
+  const context = { asset: { name: 'Press 4', alertRules: [] }, readings, latest: readings[readings.length - 1], ruleResults: [], charts: [], timeZone: 'UTC', now };
+
+  const pdf = buildReport(template, context);
+  const output = pdf.output();
+  expect(output).toContain('All 300 readings');
+  expect(output).toContain('Jan 7, 2025, 19:00:00');
+  expect(output).toContain('Jan 7, 2025, 23:59:00');
+  // The header row is repeated on every page of the table
+  expect(pdf.internal.getNumberOfPages()).toBeGreaterThan(5);
+  expect(output.split('(Date and time)').length - 1).toBe(pdf.internal.getNumberOfPages());
+
+  const hourly = buildReport({ ...template, rawDataAggregation: 'hour' }, context).output();
+  expect(hourly).toContain('Hourly min/avg/max of all 300 readings');
+  expect(hourly).toContain('5 intervals');
+  expect(hourly).toContain('Jan 7, 2025, 23:00:00');
+});
@@ -0,0 +1,221 @@
+// rules.js - Declarative alert rules
+//
+// Every status in the app (metric cards, alert popups, fleet tiles, the PDF
+// report) comes from evaluating these rules. A rule watches one metric and has
+// an optional warning and critical level; critical is checked first:
+//   { id, metric, type: 'range',        warning: { min, max },       critical: { min, max } }
+//   { id, metric, type: 'equals',       warning: null,               critical: { value } }
+//   { id, metric, type: 'rateOfChange', warning: { maxPerMinute },   critical: { maxPerMinute } }
+// min/max may be null for one-sided limits; 'equals' fires when the value differs
+// from `value`; 'rateOfChange' compares the change per minute since the previous reading.
+//
+// Optional debounce settings stop noisy signals from flapping:
+//   deadband       a raised level only clears once the value is back inside its limits
+//                  by this much (clear threshold = limit ∓ deadband; not used by 'equals')
+//   minSamples     consecutive violating readings needed before a level fires
+//   minDurationMs  how long a violation has to last before it fires
+// Rules are therefore evaluated over the recent history, not just the latest reading.
+
+import { METRIC_INFO } from './dataSources';
+
+export const RULE_TYPES = {
+  range: { label: 'Outside range', fields: ['min', 'max'] },
+  equals: { label: 'Not equal to', fields: ['value'] },
+  rateOfChange: { label: 'Changes faster than (per min)', fields: ['maxPerMinute'] }
+};
+
+export const RULE_LEVELS = ['critical', 'warning'];
+
+const EQUALITY_TOLERANCE = 1e-9;
+
+// Readings replayed to rebuild debounce and hysteresis state
+const HISTORY_WINDOW = 500;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : parseFloat(value));
+
+const formatNumber = (value, metric) => {
+  const info = METRIC_INFO[metric];
+  return `${Number(value).toFixed(info ? info.decimals : 2)}${info ? info.unit : ''}`;
+};
+
+const formatLimit = (value, metric) => `${value}${METRIC_INFO[metric] ? METRIC_INFO[metric].unit : ''}`;
+
+// Change per minute between two readings, or null without a usable previous reading
+export const getRatePerMinute = (metric, reading, previous) => {
+  if (!previous || !reading) return null;
+  if (!isSet(reading.time) || !isSet(previous.time) || reading.time <= previous.time) return null;
+  const value = toNumber(reading[metric]);
+  const previousValue = toNumber(previous[metric]);
+  if (isNaN(value) || isNaN(previousValue)) return null;
+  return (value - previousValue) / ((reading.time - previous.time) / 60000);
+};
+
+// Violation of one level: { direction, limit } or null. margin moves the limits
+// inward, so a level that is already raised holds until the value clears the deadband.
+const checkLevel = (type, level, value, rate, margin = 0) => {
+  if (!level) return null;
+  if (type === 'range') {
+    if (isSet(level.min) && value < level.min + margin) return { direction: 'low', limit: level.min };
+    if (isSet(level.max) && value > level.max - margin) return { direction: 'high', limit: level.max };
+    return null;
+  }
+  if (type === 'equals') {
+    if (!isSet(level.value) || Math.abs(value - level.value) <= EQUALITY_TOLERANCE) return null;
+    return { direction: value < level.value ? 'low' : 'high', limit: level.value };
+  }
+  if (type === 'rateOfChange') {
+    if (rate === null || !isSet(level.maxPerMinute) || Math.abs(rate) <= level.maxPerMinute - margin) return null;
+    return { direction: rate > 0 ? 'rising' : 'falling', limit: level.maxPerMinute };
+  }
+  return null;
+};
+
+// Debounce settings of a rule with defaults that fire on the first violating reading
+export const getDebounce = (rule) => ({
+  deadband: Math.max(0, toNumber(rule.deadband) || 0),
+  minSamples: Math.max(1, Math.round(toNumber(rule.minSamples) || 1)),
+  minDurationMs: Math.max(0, toNumber(rule.minDurationMs) || 0)
+});
+
+// Evaluate one rule over a reading history (oldest first); returns the level raised
+// at the latest reading, or null when it is fine. A level fires once its violation
+// has lasted minSamples readings and minDurationMs; once raised it holds until the
+// value clears the deadband. Readings without a value of the metric are skipped, so
+// a sensor that publishes less often than the others keeps its level between values
+// (a silent one is reported by the heartbeat); a metric with no value at all gives null.
+export const evaluateRule = (rule, readings) => {
+  const { deadband, minSamples, minDurationMs } = getDebounce(rule);
+  const history = readings.slice(-HISTORY_WINDOW);
+  // Consecutive violating readings per level: { count, since }
+  const runs = {};
+  let raised = null;
+  let result = null;
+  let previous = null;
+
+  history.forEach(reading => {
+    const value = toNumber(reading?.[rule.metric]);
+    if (isNaN(value)) return;
+    const rate = rule.type === 'rateOfChange' ? getRatePerMinute(rule.metric, reading, previous) : null;
+    previous = reading;
+
+    let next = null;
+    RULE_LEVELS.forEach((severity, rank) => {
+      const violation = checkLevel(rule.type, rule[severity], value, rate);
+      const run = violation ? { count: (runs[severity]?.count || 0) + 1, since: runs[severity]?.since ?? reading.time } : null;
+      runs[severity] = run;
+      if (next) return;
+      const confirmed = run && run.count >= minSamples && (minDurationMs === 0 || reading.time - run.since >= minDurationMs);
+      // Levels at or below the one already raised hold inside the deadband
+      const held = raised !== null && rank >= RULE_LEVELS.indexOf(raised)
+        ? checkLevel(rule.type, rule[severity], value, rate, deadband)
+        : null;
+      if (confirmed || held) next = { severity, ...(confirmed ? violation : held) };
+    });
+
+    raised = next ? next.severity : null;
+    result = next ? { rule, ruleId: rule.id, metric: rule.metric, value, rate, ...next } : null;
+  });
+  return result;
+};
+
+// Most severe level a single reading violates, ignoring debounce and hysteresis, or null;
+// used to mark violating samples on charts. Rate rules need the previous reading.
+export const checkReading = (rule, reading, previous = null) => {
+  const value = toNumber(reading?.[rule.metric]);
+  if (isNaN(value)) return null;
+  const rate = rule.type === 'rateOfChange' ? getRatePerMinute(rule.metric, reading, previous) : null;
+  const severity = RULE_LEVELS.find(level => checkLevel(rule.type, rule[level], value, rate));
+  return severity ? { severity, ...checkLevel(rule.type, rule[severity], value, rate) } : null;
+};
+
+// Violations of all rules at the latest reading of a history (oldest first)
+export const evaluateRules = (rules, readings) => (
+  readings && readings.length > 0 ? rules.map(rule => evaluateRule(rule, readings)).filter(Boolean) : []
+);
+
+// Human-readable limits of one rule level, e.g. "-3.5° to 3.5°", "max 35°C", "20%", "±1°C/min"
+export const describeLevel = (rule, severity) => {
+  const level = rule[severity];
+  if (!level) return null;
+  const { metric } = rule;
+  if (rule.type === 'range') {
+    if (isSet(level.min) && isSet(level.max)) return `${formatLimit(level.min, metric)} to ${formatLimit(level.max, metric)}`;
+    if (isSet(level.min)) return `min ${formatLimit(level.min, metric)}`;
+    if (isSet(level.max)) return `max ${formatLimit(level.max, metric)}`;
+    return null;
+  }
+  if (rule.type === 'equals') return isSet(level.value) ? formatLimit(level.value, metric) : null;
+  if (rule.type === 'rateOfChange') return isSet(level.maxPerMinute) ? `±${formatLimit(level.maxPerMinute, metric)}/min` : null;
+  return null;
+};
+
+const DIRECTION_LABELS = {
+  low: 'LOW',
+  high: 'HIGH',
+  rising: 'RISING FAST',
+  falling: 'FALLING FAST'
+};
+
+// Headline, threshold and explanation texts for a violation
+export const describeViolation = (result) => {
+  const { rule, metric, severity, value, rate, direction, limit } = result;
+  const info = METRIC_INFO[metric] || { label: metric, icon: '⚠️' };
+  const levelText = describeLevel(rule, severity);
+  let threshold = levelText;
+  let description;
+  if (rule.type === 'range') {
+    threshold = isSet(rule[severity].min) && isSet(rule[severity].max) ? `Normal range: ${levelText}` : levelText;
+    description = `${info.label} is ${formatNumber(value, metric)} (${direction === 'low' ? 'below' : 'above'} ${formatLimit(limit, metric)} threshold)`;
+  } else if (rule.type === 'equals') {
+    description = `${info.label} is ${formatNumber(value, metric)} (${direction === 'low' ? 'below' : 'above'} threshold ${formatLimit(limit, metric)})`;
+  } else {
+    description = `${info.label} is ${direction} ${formatNumber(Math.abs(rate), metric)}/min (limit ${formatLimit(limit, metric)}/min)`;
+  }
+  return {
+    message: `${info.icon} ${info.label} ${DIRECTION_LABELS[direction]} ALERT`,
+    currentValue: formatNumber(value, metric),
+    threshold,
+    description
+  };
+};
+
+export const DEBOUNCE_FIELDS = ['deadband', 'minSamples', 'minDurationMs'];
+
+const DEBOUNCE_LABELS = {
+  deadband: 'deadband',
+  minSamples: 'consecutive samples',
+  minDurationMs: 'minimum duration'
+};
+
+// Problems with a rule list, for the settings screen; empty when every rule is usable
+export const validateRules = (rules) => {
+  const issues = [];
+  rules.forEach((rule, index) => {
+    const name = `Rule ${index + 1} (${METRIC_INFO[rule.metric]?.label || rule.metric})`;
+    const type = RULE_TYPES[rule.type];
+    if (!METRIC_INFO[rule.metric] || !type) {
+      issues.push(`${name}: unknown metric or condition`);
+      return;
+    }
+    const levels = RULE_LEVELS.filter(severity => rule[severity] && type.fields.some(field => isSet(rule[severity][field])));
+    if (levels.length === 0) issues.push(`${name}: set a warning or critical limit`);
+    levels.forEach(severity => {
+      const level = rule[severity];
+      if (type.fields.some(field => isSet(level[field]) && isNaN(level[field]))) {
+        issues.push(`${name}: ${severity} limits must be numbers`);
+      } else if (rule.type === 'range' && isSet(level.min) && isSet(level.max) && level.min >= level.max) {
+        issues.push(`${name}: ${severity} minimum must be below the maximum`);
+      } else if (rule.type === 'rateOfChange' && isSet(level.maxPerMinute) && level.maxPerMinute <= 0) {
+        issues.push(`${name}: ${severity} rate must be positive`);
+      }
+    });
+    DEBOUNCE_FIELDS.forEach(field => {
+      if (isSet(rule[field]) && (isNaN(rule[field]) || rule[field] < 0)) {
+        issues.push(`${name}: ${DEBOUNCE_LABELS[field]} must be a positive number`);
+      }
+    });
+  });
+  return issues;
+};
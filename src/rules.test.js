@@ -0,0 +1,79 @@
+import { describeLevel, describeViolation, evaluateRule, evaluateRules, validateRules } from './rules';
+
+const temperature = { id: 'temperature', metric: 'temperature', type: 'range', warning: { min: null, max: 35 }, critical: { min: null, max: 45 } };
+const oil = { id: 'oil', metric: 'oilLevel', type: 'equals', warning: null, critical: { value: 20 } };
+const rate = { id: 'rate', metric: 'temperature', type: 'rateOfChange', warning: { maxPerMinute: 1 }, critical: { maxPerMinute: 3 } };
+
+test('range rules report the most severe level crossed', () => {
+  expect(evaluateRule(temperature, [{ temperature: 30 }])).toBeNull();
+  expect(evaluateRule(temperature, [{ temperature: 40 }])).toMatchObject({ severity: 'warning', direction: 'high', limit: 35 });
+  expect(evaluateRule(temperature, [{ temperature: '50' }])).toMatchObject({ severity: 'critical', limit: 45 });
+  expect(evaluateRule(temperature, [{ temperature: null }])).toBeNull();
+  // Readings without the metric keep the level of its last value
+  expect(evaluateRule(temperature, [{ temperature: 40 }, { temperature: null, angle: 1 }])).toMatchObject({ severity: 'warning', value: 40 });
+});
+
+test('equality rules fire when the value moves off target', () => {
+  expect(evaluateRule(oil, [{ oilLevel: 20 }])).toBeNull();
+  expect(evaluateRule(oil, [{ oilLevel: 19.5 }])).toMatchObject({ severity: 'critical', direction: 'low' });
+});
+
+test('rate-of-change rules compare against the previous reading', () => {
+  const previous = { time: 0, temperature: 30 };
+  expect(evaluateRule(rate, [previous, { time: 60000, temperature: 30.5 }])).toBeNull();
+  expect(evaluateRule(rate, [previous, { time: 60000, temperature: 32 }])).toMatchObject({ severity: 'warning', direction: 'rising' });
+  expect(evaluateRule(rate, [previous, { time: 30000, temperature: 28 }])).toMatchObject({ severity: 'critical', direction: 'falling' });
+  // The previous reading is the last one with a value
+  expect(evaluateRule(rate, [previous, { time: 30000, angle: 1 }, { time: 60000, temperature: 32 }])).toMatchObject({ severity: 'warning' });
+  // Without a previous reading there is no rate
+  expect(evaluateRule(rate, [{ time: 60000, temperature: 99 }])).toBeNull();
+});
+
+test('consecutive samples and minimum duration debounce a rule', () => {
+  const angle = { id: 'angle', metric: 'angle', type: 'range', warning: null, critical: { min: -3.5, max: 3.5 }, minSamples: 3 };
+  const readings = [3.6, 3.7, 3.8].map((value, index) => ({ time: index * 60000, angle: value }));
+  expect(evaluateRule(angle, readings.slice(0, 2))).toBeNull();
+  expect(evaluateRule(angle, readings)).toMatchObject({ severity: 'critical', direction: 'high' });
+  // A single noisy sample never fires
+  expect(evaluateRule(angle, [{ time: 0, angle: 0 }, { time: 60000, angle: 3.6 }])).toBeNull();
+
+  const sustained = { ...angle, minSamples: null, minDurationMs: 120000 };
+  expect(evaluateRule(sustained, readings.slice(0, 2))).toBeNull();
+  expect(evaluateRule(sustained, readings)).toMatchObject({ severity: 'critical' });
+});
+
+test('a raised level holds until the value clears the deadband', () => {
+  const angle = { id: 'angle', metric: 'angle', type: 'range', warning: { min: -2, max: 2 }, critical: { min: -3.5, max: 3.5 }, deadband: 0.3 };
+  const at = (...values) => values.map((value, index) => ({ time: index * 60000, angle: value }));
+  expect(evaluateRule(angle, at(3.6, 3.4))).toMatchObject({ severity: 'critical', limit: 3.5 });
+  expect(evaluateRule(angle, at(3.6, 3.1))).toMatchObject({ severity: 'warning' });
+  expect(evaluateRule(angle, at(3.6, 1.9))).toMatchObject({ severity: 'warning' });
+  expect(evaluateRule(angle, at(3.6, 1.6))).toBeNull();
+  // Without a raised level the deadband does not matter
+  expect(evaluateRule(angle, at(0, 3.4))).toMatchObject({ severity: 'warning' });
+});
+
+test('evaluates every rule and describes the violations', () => {
+  const results = evaluateRules([temperature, oil], [{ temperature: 46, oilLevel: 15 }]);
+  expect(results.map(result => result.ruleId)).toEqual(['temperature', 'oil']);
+  expect(describeViolation(results[1])).toMatchObject({
+    message: '🛢️ Oil Level LOW ALERT',
+    currentValue: '15.0%',
+    description: 'Oil Level is 15.0% (below threshold 20%)'
+  });
+  expect(describeLevel(temperature, 'warning')).toBe('max 35°C');
+  expect(describeLevel(rate, 'critical')).toBe('±3°C/min');
+});
+
+test('flags incomplete or inconsistent rules', () => {
+  expect(validateRules([temperature, oil, rate])).toEqual([]);
+  expect(validateRules([
+    { id: 'a', metric: 'angle', type: 'range', warning: null, critical: { min: 3, max: -3 } },
+    { id: 'b', metric: 'humidity', type: 'range', warning: null, critical: { min: null, max: null } },
+    { id: 'c', metric: 'angle', type: 'range', warning: null, critical: { min: -3, max: 3 }, deadband: -1 }
+  ])).toEqual([
+    'Rule 1 (Angle): critical minimum must be below the maximum',
+    'Rule 2 (Humidity): set a warning or critical limit',
+    'Rule 3 (Angle): deadband must be a positive number'
+  ]);
+});
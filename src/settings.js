@@ -0,0 +1,107 @@
+// settings.js - Runtime settings persisted in localStorage
+//
+// Settings hold the registered assets, the display time zone, the operator name
+// used to acknowledge alerts and the PDF report templates. Each asset starts from
+// the build-time defaults in config.js and is overridden by whatever the user saved
+// from the settings screen.
+
+import { ANOMALY_CONFIG, DATA_SOURCE_CONFIG, DEFAULT_ALERT_RULES, DEFAULT_CACHE_RETENTION, DEFAULT_CONSISTENCY_RULES, DEFAULT_DERIVED_METRICS, DEFAULT_REPORT_TEMPLATES, DISPLAY_TIME_ZONE, FORECAST_CONFIG, HEARTBEAT_CONFIG, NOTIFICATION_CONFIG, QUALITY_CONFIG, STREAM_CONFIG } from './config';
+
+const STORAGE_KEY = 'industrialHealthDashboard.settings';
+
+export const DEFAULT_ASSET = {
+  id: 'asset-1',
+  name: 'Machine 1',
+  kind: 'motor',
+  dataSource: DATA_SOURCE_CONFIG,
+  // null means "use the adapter's default column map"
+  columnMap: null,
+  stream: STREAM_CONFIG,
+  alertRules: DEFAULT_ALERT_RULES,
+  derivedMetrics: DEFAULT_DERIVED_METRICS,
+  consistencyRules: DEFAULT_CONSISTENCY_RULES,
+  notifications: NOTIFICATION_CONFIG,
+  anomaly: ANOMALY_CONFIG,
+  forecast: FORECAST_CONFIG,
+  quality: QUALITY_CONFIG,
+  heartbeat: HEARTBEAT_CONFIG,
+  cacheRetention: DEFAULT_CACHE_RETENTION
+};
+
+export const DEFAULT_SETTINGS = {
+  assets: [DEFAULT_ASSET],
+  displayTimeZone: DISPLAY_TIME_ZONE,
+  operatorName: '',
+  // Shared by all assets
+  reportTemplates: DEFAULT_REPORT_TEMPLATES
+};
+
+// Merge one level of nested sections (data source types) over the defaults
+const mergeSections = (defaults, saved = {}) => Object.keys({ ...defaults, ...saved }).reduce((merged, key) => {
+  const base = defaults[key];
+  const override = saved[key];
+  merged[key] = base && typeof base === 'object' ? { ...base, ...override } : (override ?? base);
+  return merged;
+}, {});
+
+// Assets saved before alert rules existed only had an oil target and an angle range
+const migrateThresholds = ({ oilLevel, angle }) => DEFAULT_ALERT_RULES.map(rule => {
+  if (rule.id === 'oil-level' && oilLevel) return { ...rule, critical: { value: oilLevel.target } };
+  if (rule.id === 'angle' && angle) return { ...rule, critical: { min: angle.min, max: angle.max } };
+  return rule;
+});
+
+const mergeAsset = ({ thresholds, ...saved }) => ({
+  ...DEFAULT_ASSET,
+  ...saved,
+  alertRules: saved.alertRules || (thresholds ? migrateThresholds(thresholds) : DEFAULT_ALERT_RULES),
+  dataSource: mergeSections(DEFAULT_ASSET.dataSource, saved.dataSource),
+  stream: {
+    ...DEFAULT_ASSET.stream,
+    ...saved.stream,
+    mqtt: { ...DEFAULT_ASSET.stream.mqtt, ...saved.stream?.mqtt }
+  },
+  notifications: mergeSections(DEFAULT_ASSET.notifications, saved.notifications),
+  anomaly: { ...DEFAULT_ASSET.anomaly, ...saved.anomaly },
+  forecast: { ...DEFAULT_ASSET.forecast, ...saved.forecast },
+  quality: {
+    ...DEFAULT_ASSET.quality,
+    ...saved.quality,
+    limits: mergeSections(DEFAULT_ASSET.quality.limits, saved.quality?.limits)
+  },
+  heartbeat: { ...DEFAULT_ASSET.heartbeat, ...saved.heartbeat },
+  cacheRetention: { ...DEFAULT_ASSET.cacheRetention, ...saved.cacheRetention }
+});
+
+// Settings saved before assets existed describe a single machine
+const mergeSettings = (saved) => {
+  const assets = saved.assets || [{ ...DEFAULT_ASSET, dataSource: saved.dataSource, columnMap: saved.columnMap ?? null }];
+  return { ...DEFAULT_SETTINGS, ...saved, assets: assets.map(mergeAsset) };
+};
+
+// Create a new asset with default source and alert rules and a unique id
+export const createAsset = (existingAssets = []) => {
+  const usedIds = new Set(existingAssets.map(asset => asset.id));
+  let index = existingAssets.length + 1;
+  while (usedIds.has(`asset-${index}`)) index++;
+  return { ...DEFAULT_ASSET, id: `asset-${index}`, name: `Machine ${index}` };
+};
+
+export const loadSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? mergeSettings(JSON.parse(raw)) : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.error('❌ ERROR: Could not read saved settings:', error.message);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('❌ ERROR: Could not save settings:', error.message);
+  }
+  return settings;
+};
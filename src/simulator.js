@@ -0,0 +1,134 @@
+// simulator.js - Deterministic machine simulator with fault-injection scenarios
+//
+// The same seed and scenario always produce the same sequence of readings, so
+// demos, operator training and alert checks are repeatable. Signals are
+// physically linked: power = voltage x current, energy integrates power,
+// temperature follows the dissipated power and humidity follows temperature.
+
+import { toReadingTimeFields } from './time';
+
+// Fault scenarios; the fault starts developing at the onset sample
+export const SCENARIOS = {
+  normal: {
+    label: 'Normal operation',
+    description: 'Steady load with sensor noise and a slow duty cycle'
+  },
+  oilLeak: {
+    label: 'Slow oil leak',
+    description: 'Oil level falls steadily from the target level'
+  },
+  thermalRunaway: {
+    label: 'Thermal runaway',
+    description: 'Heat builds faster than it is removed; current climbs with temperature'
+  },
+  voltageSag: {
+    label: 'Voltage sag',
+    description: 'Supply voltage drops; the constant-power load draws more current'
+  },
+  tiltDrift: {
+    label: 'Tilt drift',
+    description: 'Mounting angle creeps until it leaves the normal range'
+  }
+};
+
+// mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller) from a uniform generator
+const gaussian = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const AMBIENT_TEMPERATURE = 24;
+const NOMINAL_VOLTAGE = 9.5;
+const NOMINAL_CURRENT = 150;
+const OIL_TARGET = 20;
+
+// Simulate `count` samples spaced intervalMs apart, the first at startTime.
+// Samples before onsetSample are normal operation in every scenario.
+export const simulateReadings = ({
+  seed = 1,
+  scenario = 'normal',
+  count = 60,
+  intervalMs = 60000,
+  startTime = Date.now() - (count - 1) * intervalMs,
+  onsetSample = 0,
+  timeZone = ''
+}) => {
+  const rng = createRng(seed);
+  const hoursPerSample = intervalMs / 3600000;
+  const readings = [];
+  let temperature = AMBIENT_TEMPERATURE + 5;
+  let energy = 0;
+
+  for (let i = 0; i < count; i++) {
+    const faultAge = Math.max(0, i - onsetSample);
+    const faulty = i >= onsetSample && scenario !== 'normal';
+
+    // Supply voltage, with a sag settling over ~10 samples
+    let voltage = NOMINAL_VOLTAGE + gaussian(rng) * 0.05;
+    if (faulty && scenario === 'voltageSag') {
+      voltage -= 2 * (1 - Math.exp(-faultAge / 10));
+    }
+
+    // Load current: slow duty cycle plus noise; a constant-power load draws more when voltage sags
+    let current = NOMINAL_CURRENT * (1 + 0.15 * Math.sin(i / 15)) + gaussian(rng) * 4;
+    if (faulty && scenario === 'voltageSag') {
+      current *= NOMINAL_VOLTAGE / voltage;
+    }
+    if (faulty && scenario === 'thermalRunaway') {
+      current *= 1 + 0.01 * Math.max(0, temperature - 35);
+    }
+
+    const power = voltage * current; // V x mA = mW
+    energy += (power / 1000) * hoursPerSample; // Wh
+
+    // First-order thermal model toward ambient + dissipated power
+    let equilibrium = AMBIENT_TEMPERATURE + power * 0.004;
+    if (faulty && scenario === 'thermalRunaway') {
+      equilibrium += faultAge * 0.6;
+    }
+    temperature += (equilibrium - temperature) * 0.1 + gaussian(rng) * 0.1;
+
+    const humidity = Math.min(100, Math.max(0, 60 - 0.8 * (temperature - 28) + gaussian(rng) * 0.5));
+
+    // Oil level sensor reports whole tenths; a leak loses 0.05 % per sample
+    const oilLevel = faulty && scenario === 'oilLeak'
+      ? Math.max(0, OIL_TARGET - faultAge * 0.05)
+      : OIL_TARGET;
+
+    let angle = gaussian(rng) * 0.3;
+    if (faulty && scenario === 'tiltDrift') {
+      angle += faultAge * 0.08;
+    }
+
+    const time = startTime + i * intervalMs;
+    readings.push({
+      ...toReadingTimeFields(time, timeZone),
+      time,
+      temperature: round(temperature, 1),
+      humidity: round(humidity, 1),
+      oilLevel: round(oilLevel, 1),
+      voltage: round(voltage, 2),
+      current: round(current, 0),
+      power: round(power, 0),
+      energy: round(energy, 4),
+      angle: round(angle, 2)
+    });
+  }
+
+  return readings;
+};
@@ -0,0 +1,54 @@
+import { createRng, simulateReadings } from './simulator';
+import { createDataSource, fetchReadings } from './dataSources';
+
+const start = Date.UTC(2025, 0, 1);
+
+test('the same seed replays the same sequence', () => {
+  expect(createRng(7)()).toBe(createRng(7)());
+  const first = simulateReadings({ seed: 7, count: 50, startTime: start });
+  expect(simulateReadings({ seed: 7, count: 50, startTime: start })).toEqual(first);
+  expect(simulateReadings({ seed: 8, count: 50, startTime: start })).not.toEqual(first);
+});
+
+test('power follows voltage x current and energy accumulates', () => {
+  const readings = simulateReadings({ seed: 3, count: 100, startTime: start });
+  readings.forEach(reading => {
+    expect(Math.abs(reading.power - reading.voltage * reading.current)).toBeLessThan(reading.power * 0.01);
+  });
+  readings.slice(1).forEach((reading, i) => expect(reading.energy).toBeGreaterThan(readings[i].energy));
+  expect(readings.every(reading => reading.oilLevel === 20)).toBe(true);
+});
+
+test('faults only develop after the onset sample', () => {
+  const options = { seed: 5, count: 120, startTime: start, onsetSample: 60 };
+  const leak = simulateReadings({ ...options, scenario: 'oilLeak' });
+  expect(leak[59].oilLevel).toBe(20);
+  expect(leak[119].oilLevel).toBeLessThan(18);
+
+  const tilt = simulateReadings({ ...options, scenario: 'tiltDrift' });
+  expect(tilt[119].angle).toBeGreaterThan(3.5);
+
+  const sag = simulateReadings({ ...options, scenario: 'voltageSag' });
+  expect(sag[119].voltage).toBeLessThan(8);
+  expect(sag[119].power).toBeGreaterThan(1000);
+
+  const runaway = simulateReadings({ ...options, scenario: 'thermalRunaway' });
+  const normal = simulateReadings({ ...options, scenario: 'normal' });
+  expect(runaway[59]).toEqual(normal[59]);
+  expect(runaway[119].temperature).toBeGreaterThan(normal[119].temperature + 20);
+});
+
+test('the simulator source adds one sample per interval since the scenario started', async () => {
+  let now = start;
+  const source = createDataSource(
+    { type: 'simulator', simulator: { seed: 1, scenario: 'oilLeak', intervalMs: 60000, historySamples: 10, startedAt: start } },
+    { now: () => now }
+  );
+  expect((await fetchReadings(source)).readings).toHaveLength(11);
+
+  now = start + 5 * 60000;
+  const { readings } = await fetchReadings(source);
+  expect(readings).toHaveLength(16);
+  expect(readings[15].oilLevel).toBeLessThan(20);
+  expect((await fetchReadings(source, { offset: 14 })).readings).toEqual(readings.slice(14));
+});
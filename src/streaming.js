@@ -0,0 +1,97 @@
+// streaming.js - Push-based reading ingestion over WebSocket or Server-Sent Events
+//
+// Each message is a JSON reading (or an array of readings) keyed by reading
+// field: { "timestamp": "10:00:01", "date": "1/1/2025", "temperature": 25.1, ... }
+// Date/Time are read in the source time zone; an ISO instant in "timestamp" also works.
+// The stream reconnects with exponential backoff; the dashboard polls the
+// regular data source while it is down.
+
+import { IDENTITY_COLUMN_MAP, normalizeReading } from './dataSources';
+
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Delay before reconnect attempt n (0-based): doubles up to the cap, with jitter so clients don't reconnect in lockstep
+export const getBackoffDelay = (attempt) => {
+  const base = Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * 2 ** attempt);
+  return Math.round(base / 2 + Math.random() * base / 2);
+};
+
+// Parse a message payload into normalized readings; invalid payloads are logged and skipped
+export const parseStreamMessage = (payload, columnMap = IDENTITY_COLUMN_MAP, timeZone = '') => {
+  try {
+    const parsed = JSON.parse(payload);
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    return items.filter(item => item && typeof item === 'object').map(item => normalizeReading(item, columnMap, timeZone));
+  } catch (error) {
+    console.warn('⚠️ Ignoring malformed stream message:', error.message);
+    return [];
+  }
+};
+
+// Open a stream and keep it open until close() is called.
+// onStatus receives 'connecting' | 'open' | 'reconnecting' | 'closed' (and the retry delay when reconnecting).
+export const connectReadingStream = ({ type, url, columnMap, timeZone, onReadings, onStatus = () => {} }) => {
+  let connection = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    const delay = getBackoffDelay(attempt++);
+    onStatus('reconnecting', delay);
+    retryTimer = setTimeout(open, delay);
+  };
+
+  const handleMessage = (payload) => {
+    const readings = parseStreamMessage(payload, columnMap, timeZone);
+    if (readings.length > 0) onReadings(readings);
+  };
+
+  const open = () => {
+    if (closed) return;
+    onStatus('connecting');
+
+    if (type === 'websocket') {
+      const socket = new WebSocket(url);
+      connection = socket;
+      socket.onopen = () => {
+        attempt = 0;
+        onStatus('open');
+      };
+      socket.onmessage = (event) => handleMessage(event.data);
+      // onclose follows onerror, so reconnecting is scheduled once
+      socket.onclose = () => {
+        connection = null;
+        scheduleReconnect();
+      };
+    } else {
+      const source = new EventSource(url);
+      connection = source;
+      source.onopen = () => {
+        attempt = 0;
+        onStatus('open');
+      };
+      source.onmessage = (event) => handleMessage(event.data);
+      // EventSource retries on its own without backoff; close it and use ours instead
+      source.onerror = () => {
+        source.close();
+        connection = null;
+        scheduleReconnect();
+      };
+    }
+  };
+
+  open();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (connection) connection.close();
+      connection = null;
+      onStatus('closed');
+    }
+  };
+};
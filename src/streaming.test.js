@@ -0,0 +1,19 @@
+import { getBackoffDelay, parseStreamMessage } from './streaming';
+
+test('backoff doubles per attempt and is capped', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(1);
+  expect([0, 1, 2, 3].map(getBackoffDelay)).toEqual([1000, 2000, 4000, 8000]);
+  expect(getBackoffDelay(20)).toBe(30000);
+  Math.random.mockRestore();
+});
+
+test('parses single readings and batches into the normalized shape', () => {
+  expect(parseStreamMessage('{"timestamp":"10:00:01","oilLevel":12}')[0]).toMatchObject({ timestamp: '10:00:01', oilLevel: 12, angle: null });
+  expect(parseStreamMessage('[{"angle":4},{"angle":5}]').map(reading => reading.angle)).toEqual([4, 5]);
+});
+
+test('skips malformed messages', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(parseStreamMessage('not json')).toEqual([]);
+  console.warn.mockRestore();
+});
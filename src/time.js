@@ -0,0 +1,192 @@
+// time.js - Reading timestamps and time zones
+//
+// Sources report a reading's time as separate Date and Time display strings in
+// the source's own time zone ("1/2/2025" + "2:05:00 PM", "2025-01-02" + "14:05",
+// gviz "Date(2025,0,2,14,5,0)", or a full ISO instant). parseReadingTime turns
+// them into epoch milliseconds; formatReadingTime renders an instant in the
+// display time zone. An empty time zone means the browser's own.
+
+// Time zones offered in the settings; '' follows the browser
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const TIME_ZONE_OPTIONS = [
+  { value: '', label: `Browser (${BROWSER_TIME_ZONE})` },
+  { value: 'UTC', label: 'UTC' },
+  ...(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [])
+    .filter(zone => zone !== 'UTC')
+    .map(zone => ({ value: zone, label: zone }))
+];
+
+const ISO_INSTANT = /^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const GVIZ_DATE = /^Date\((\d+),(\d+),(\d+)(?:,(\d+),(\d+),(\d+))?\)$/;
+const YMD_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/;
+const SLASH_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/;
+const DOT_DATE = /^(\d{1,2})\.(\d{1,2})\.(\d{2,4})/;
+const CLOCK_TIME = /(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*([AP]\.?M\.?)?/i;
+
+const formatters = {};
+
+// Cached Intl formatter; creating one per call is slow
+const getFormatter = (timeZone, options) => {
+  const key = `${timeZone}|${JSON.stringify(options)}`;
+  if (!formatters[key]) {
+    formatters[key] = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined });
+  }
+  return formatters[key];
+};
+
+// Wall-clock fields of an instant in a time zone
+const getZonedParts = (ms, timeZone) => {
+  const parts = getFormatter(timeZone, {
+    hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(ms));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') };
+};
+
+// Offset (ms) of a time zone from UTC at the given instant
+const getZoneOffset = (ms, timeZone) => {
+  const p = getZonedParts(ms, timeZone);
+  const wholeSeconds = Math.floor(ms / 1000) * 1000;
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+};
+
+// Instant of a wall-clock time in a time zone; the second pass settles DST transitions
+const zonedTimeToInstant = ({ year, month, day, hour, minute, second, millisecond }, timeZone) => {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second, millisecond).getTime();
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const guess = wallClock - getZoneOffset(wallClock, timeZone);
+  return wallClock - getZoneOffset(guess, timeZone);
+};
+
+const expandYear = (year) => (year < 100 ? 2000 + year : year);
+
+// { year, month, day } from a date string; month/day order follows the separator
+// (US "1/2/2025" is January 2nd, "1.2.2025" is February 1st) unless the first part can't be a month
+const parseDatePart = (text) => {
+  let match = text.match(GVIZ_DATE);
+  if (match) return { year: Number(match[1]), month: Number(match[2]) + 1, day: Number(match[3]) };
+  match = text.match(YMD_DATE);
+  if (match) return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  match = text.match(SLASH_DATE);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    return first > 12
+      ? { year: expandYear(Number(match[3])), month: second, day: first }
+      : { year: expandYear(Number(match[3])), month: first, day: second };
+  }
+  match = text.match(DOT_DATE);
+  if (match) return { year: expandYear(Number(match[3])), month: Number(match[2]), day: Number(match[1]) };
+  return null;
+};
+
+// { hour, minute, second, millisecond } from a time string (24 h or AM/PM, or a gviz time-of-day)
+const parseTimePart = (text) => {
+  const gviz = text.match(GVIZ_DATE);
+  if (gviz) {
+    return { hour: Number(gviz[4] || 0), minute: Number(gviz[5] || 0), second: Number(gviz[6] || 0), millisecond: 0 };
+  }
+  const match = text.match(CLOCK_TIME);
+  if (!match) return null;
+  let hour = Number(match[1]);
+  const meridiem = match[5] ? match[5][0].toUpperCase() : null;
+  if (meridiem === 'P' && hour < 12) hour += 12;
+  if (meridiem === 'A' && hour === 12) hour = 0;
+  return {
+    hour,
+    minute: Number(match[2]),
+    second: Number(match[3] || 0),
+    millisecond: match[4] ? Number(match[4].slice(0, 3).padEnd(3, '0')) : 0
+  };
+};
+
+// Epoch ms for a reading's Date and Time values in the source time zone, or null when unparseable
+export const parseReadingTime = (dateValue, timeValue, timeZone = '') => {
+  if (typeof timeValue === 'number' && isFinite(timeValue)) {
+    // Epoch seconds or milliseconds
+    return timeValue < 1e11 ? timeValue * 1000 : timeValue;
+  }
+  const timeText = timeValue === null || timeValue === undefined ? '' : String(timeValue).trim();
+  const dateText = dateValue === null || dateValue === undefined ? '' : String(dateValue).trim();
+
+  // A full instant with an offset needs no time zone
+  if (ISO_INSTANT.test(timeText)) return Date.parse(timeText.replace(' ', 'T'));
+  if (ISO_INSTANT.test(dateText)) return Date.parse(dateText.replace(' ', 'T'));
+
+  const date = parseDatePart(dateText) || parseDatePart(timeText);
+  if (!date) return null;
+  // The time may sit in the Time column or after the date in the Date column
+  const clockText = timeText || dateText.replace(YMD_DATE, '').replace(SLASH_DATE, '').replace(DOT_DATE, '');
+  const clock = parseTimePart(clockText) || { hour: 0, minute: 0, second: 0, millisecond: 0 };
+  const instant = zonedTimeToInstant({ ...date, ...clock }, timeZone);
+  return isNaN(instant) ? null : instant;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Date ("YYYY-MM-DD") and Time ("HH:MM:SS") strings for an instant in a time zone,
+// used by sources that generate readings so they parse back to the same instant
+export const toReadingTimeFields = (ms, timeZone = '') => {
+  const p = getZonedParts(ms, timeZone);
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    timestamp: `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+  };
+};
+
+const DISPLAY_FORMATS = {
+  time: { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' },
+  shortTime: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  date: { year: 'numeric', month: 'short', day: 'numeric' },
+  shortDateTime: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  dateTime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }
+};
+
+// Render an instant in the display time zone; format is a DISPLAY_FORMATS key
+export const formatReadingTime = (ms, timeZone = '', format = 'dateTime') => {
+  if (ms === null || ms === undefined || isNaN(ms)) return '—';
+  return getFormatter(timeZone, DISPLAY_FORMATS[format]).format(new Date(ms));
+};
+
+// Start of the interval of length intervalMs containing an instant, aligned to the wall
+// clock of the time zone so hours start on the hour and days at midnight
+export const startOfInterval = (ms, intervalMs, timeZone = '') => {
+  const offset = timeZone ? getZoneOffset(ms, timeZone) : -new Date(ms).getTimezoneOffset() * 60000;
+  return Math.floor((ms + offset) / intervalMs) * intervalMs - offset;
+};
+
+// Typical time between readings (oldest first): the median of the positive gaps, or null
+export const medianInterval = (readings) => {
+  const gaps = [];
+  for (let i = 1; i < readings.length; i++) {
+    const gap = readings[i].time - readings[i - 1].time;
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length === 0) return null;
+  gaps.sort((x, y) => x - y);
+  return gaps[Math.floor(gaps.length / 2)];
+};
+
+// Axis tick format for a visible span: clock time within a day, date and time beyond
+export const getAxisTimeFormat = (spanMs) => (spanMs > 24 * 60 * 60 * 1000 ? 'shortDateTime' : 'shortTime');
+
+// Chart rows: readings with a known time in time order, with an all-null row inserted
+// wherever the spacing exceeds gapFactor x the typical (median) spacing so lines break there
+export const toTimeSeries = (readings, { gapFactor = 3 } = {}) => {
+  const timed = readings.filter(reading => reading.time !== null && reading.time !== undefined)
+    .sort((a, b) => a.time - b.time);
+  if (timed.length < 3) return timed;
+
+  const spacings = timed.slice(1).map((reading, i) => reading.time - timed[i].time).sort((a, b) => a - b);
+  const typical = spacings[Math.floor(spacings.length / 2)];
+  if (!(typical > 0)) return timed;
+
+  const series = [timed[0]];
+  for (let i = 1; i < timed.length; i++) {
+    if (timed[i].time - timed[i - 1].time > typical * gapFactor) {
+      series.push({ time: timed[i - 1].time + typical });
+    }
+    series.push(timed[i]);
+  }
+  return series;
+};
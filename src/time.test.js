@@ -0,0 +1,41 @@
+import { formatReadingTime, medianInterval, parseReadingTime, toReadingTimeFields, toTimeSeries } from './time';
+
+test('parses sheet date and time columns in the source time zone', () => {
+  expect(parseReadingTime('1/2/2025', '2:05:00 PM', 'UTC')).toBe(Date.UTC(2025, 0, 2, 14, 5, 0));
+  expect(parseReadingTime('2025-01-02', '14:05', 'UTC')).toBe(Date.UTC(2025, 0, 2, 14, 5, 0));
+  expect(parseReadingTime('25/12/2024', '08:00:00', 'UTC')).toBe(Date.UTC(2024, 11, 25, 8));
+  expect(parseReadingTime('2.1.2025', '00:00:01', 'UTC')).toBe(Date.UTC(2025, 0, 2, 0, 0, 1));
+  expect(parseReadingTime('Date(2025,0,2)', 'Date(1899,11,30,14,5,0)', 'UTC')).toBe(Date.UTC(2025, 0, 2, 14, 5));
+  // New York is UTC-5 in winter and UTC-4 in summer
+  expect(parseReadingTime('1/2/2025', '12:00:00', 'America/New_York')).toBe(Date.UTC(2025, 0, 2, 17));
+  expect(parseReadingTime('7/2/2025', '12:00:00', 'America/New_York')).toBe(Date.UTC(2025, 6, 2, 16));
+});
+
+test('accepts full instants and rejects unparseable values', () => {
+  expect(parseReadingTime('', '2025-01-02T14:05:00Z', 'America/New_York')).toBe(Date.UTC(2025, 0, 2, 14, 5));
+  expect(parseReadingTime('2025-01-02 14:05:00+01:00', '')).toBe(Date.UTC(2025, 0, 2, 13, 5));
+  expect(parseReadingTime(null, 1735826700)).toBe(1735826700000);
+  expect(parseReadingTime('', '10:00:00')).toBeNull();
+  expect(parseReadingTime('yesterday', '10:00:00')).toBeNull();
+});
+
+test('generated time fields parse back to the same instant', () => {
+  const instant = Date.UTC(2025, 2, 30, 1, 30, 15);
+  const fields = toReadingTimeFields(instant, 'Europe/Berlin');
+  expect(fields).toEqual({ date: '2025-03-30', timestamp: '03:30:15' });
+  expect(parseReadingTime(fields.date, fields.timestamp, 'Europe/Berlin')).toBe(instant);
+  expect(formatReadingTime(instant, 'UTC', 'time')).toBe('01:30:15');
+});
+
+test('breaks the series where sampling stops', () => {
+  const readings = [0, 1, 2, 3, 10, 11].map(minute => ({ time: minute * 60000, temperature: minute }));
+  const series = toTimeSeries([readings[1], ...readings.slice(2), readings[0], { time: null, temperature: 5 }]);
+  expect(series.map(row => row.time)).toEqual([0, 60000, 120000, 180000, 240000, 600000, 660000]);
+  expect(series[4].temperature).toBeUndefined();
+});
+
+test('finds the typical spacing of readings', () => {
+  const readings = [0, 1, 1, 2, 3, 13].map(minute => ({ time: minute * 60000 }));
+  expect(medianInterval(readings)).toBe(60000);
+  expect(medianInterval(readings.slice(0, 1))).toBeNull();
+});
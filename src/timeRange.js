@@ -0,0 +1,45 @@
+// timeRange.js - Visible time range for the charts
+//
+// A range is either a preset relative to now ({ preset: 'lastHour' }) or a
+// custom window ({ preset: 'custom', from, to } in epoch ms). Zooming a chart
+// narrows the range further; charts only plot readings inside the result.
+
+import { SHIFT_HOURS } from './config';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const TIME_RANGE_PRESETS = {
+  all: { label: 'All data', durationMs: null },
+  lastHour: { label: 'Last hour', durationMs: HOUR_MS },
+  shift: { label: `Shift (${SHIFT_HOURS} h)`, durationMs: SHIFT_HOURS * HOUR_MS },
+  day: { label: 'Last 24 hours', durationMs: 24 * HOUR_MS },
+  week: { label: 'Last 7 days', durationMs: 7 * 24 * HOUR_MS },
+  custom: { label: 'Custom', durationMs: null }
+};
+
+export const DEFAULT_TIME_RANGE = { preset: 'all' };
+
+// [from, to] in epoch ms for a range; null bounds are open
+export const getRangeBounds = (range, now = Date.now()) => {
+  if (range.preset === 'custom') return [range.from ?? null, range.to ?? null];
+  const preset = TIME_RANGE_PRESETS[range.preset];
+  if (!preset || !preset.durationMs) return [null, null];
+  return [now - preset.durationMs, null];
+};
+
+// Intersection of the range bounds and a chart's zoom window
+export const combineBounds = ([from, to], zoom) => {
+  if (!zoom) return [from, to];
+  return [from === null ? zoom[0] : Math.max(from, zoom[0]), to === null ? zoom[1] : Math.min(to, zoom[1])];
+};
+
+// Rows of a time series inside [from, to]; open bounds include everything on that side
+export const filterByTime = (series, [from, to]) => series.filter(row => (
+  (from === null || row.time >= from) && (to === null || row.time <= to)
+));
+
+// Normalized zoom window from the two ends of a drag, or null for a click without a drag
+export const getZoomWindow = (start, end) => {
+  if (start === null || end === null || start === undefined || end === undefined || start === end) return null;
+  return [Math.min(start, end), Math.max(start, end)];
+};
@@ -0,0 +1,25 @@
+import { combineBounds, filterByTime, getRangeBounds, getZoomWindow } from './timeRange';
+
+const HOUR = 60 * 60 * 1000;
+
+test('presets are relative to now and custom ranges are used as given', () => {
+  expect(getRangeBounds({ preset: 'all' }, 10 * HOUR)).toEqual([null, null]);
+  expect(getRangeBounds({ preset: 'lastHour' }, 10 * HOUR)).toEqual([9 * HOUR, null]);
+  expect(getRangeBounds({ preset: 'shift' }, 10 * HOUR)).toEqual([2 * HOUR, null]);
+  expect(getRangeBounds({ preset: 'custom', from: HOUR, to: 2 * HOUR })).toEqual([HOUR, 2 * HOUR]);
+});
+
+test('zoom narrows the selected range', () => {
+  expect(combineBounds([null, null], [5, 8])).toEqual([5, 8]);
+  expect(combineBounds([6, null], [5, 8])).toEqual([6, 8]);
+  expect(combineBounds([6, 7], null)).toEqual([6, 7]);
+  const series = [1, 2, 3, 4, 5].map(time => ({ time }));
+  expect(filterByTime(series, [2, 4]).map(row => row.time)).toEqual([2, 3, 4]);
+  expect(filterByTime(series, [4, null]).map(row => row.time)).toEqual([4, 5]);
+});
+
+test('a drag in either direction becomes a zoom window; a click does not', () => {
+  expect(getZoomWindow(9, 3)).toEqual([3, 9]);
+  expect(getZoomWindow(3, 3)).toBeNull();
+  expect(getZoomWindow(3, null)).toBeNull();
+});